@@ -0,0 +1,433 @@
+/**
+ * Background service worker — owns long-running fill jobs.
+ * The popup starts a job and then only observes it, so closing the popup
+ * no longer kills a batch halfway through. Job state is mirrored to
+ * chrome.storage.session — its rows and mapping once, its progress after every
+ * row — so a restarted worker can report where it stopped. Every row is
+ * checkpointed to chrome.storage.local so a run can be resumed after a browser
+ * restart; a row is marked unconfirmed before its submit, so one cut off
+ * mid-submit is only sent again when the user says so.
+ */
+importScripts(
+    '../utils/logger.js',
+    '../utils/storage.js',
+    '../utils/injector.js',
+    '../utils/filestore.js',
+    '../utils/sessionstore.js',
+    '../core/runner.js'
+);
+
+const JOB_KEY = 'activeJob';
+const JOB_DATA_KEY = 'activeJobData';
+const KEEP_ALIVE_INTERVAL = 20000;
+
+let job = null;               // { id, tabId, label, rows, mapping, steps, settings, formUrl, queue, position, status, results, checkpoint, … }
+let keepAliveTimer = null;
+let checkpointWrites = Promise.resolve();
+const ports = new Set();      // Connected popup views
+
+/* ───── persistence ───── */
+
+/**
+ * Save the job's progress. Its rows and mapping don't change while it runs and
+ * are saved once, by saveJobData; the checkpoint has its own copy in storage.local.
+ * A failed write is logged — it only costs restoring the job after a worker restart.
+ */
+async function saveJob() {
+    const { rows, mapping, steps, settings, queue, checkpoint, results, ...progress } = job;
+    try {
+        await chrome.storage.session.set({ [JOB_KEY]: progress });
+    } catch (err) {
+        Logger.error('Job progress not saved:', err);
+    }
+}
+
+/** Save what the job fills, once when it starts */
+async function saveJobData() {
+    const { rows, mapping, steps, settings, queue } = job;
+    try {
+        await chrome.storage.session.set({ [JOB_DATA_KEY]: { rows, mapping, steps, settings, queue } });
+        return true;
+    } catch (err) {
+        // Too big for storage.session's quota, most likely
+        Logger.error('Job rows not saved:', err);
+        await chrome.storage.session.remove(JOB_DATA_KEY).catch(() => {});
+        return false;
+    }
+}
+
+async function restoreJob() {
+    const stored = await chrome.storage.session.get([JOB_KEY, JOB_DATA_KEY]);
+    const saved = stored[JOB_KEY];
+    if (!saved || job) return;
+    const data = stored[JOB_DATA_KEY];
+    job = {
+        ...saved,
+        ...(data || { rows: [], mapping: null, steps: null, settings: {}, queue: [] }),
+        checkpoint: saved.checkpointKey ? await Storage.getCheckpoint(saved.checkpointKey) : null,
+        results: []
+    };
+    if (!data) {
+        if (job.status === 'running' || job.status === 'paused') {
+            job.status = 'stopped';
+            job.message = 'Interrupted — start the run again to continue from its checkpoint';
+            await saveJob();
+        }
+        return;
+    }
+    // A running job whose worker was shut down can only be resumed by hand
+    if (job.status === 'running') {
+        job.status = 'paused';
+        job.message = 'Interrupted — resume to continue';
+        await saveJob();
+    }
+}
+
+const ready = restoreJob();
+
+/* ───── popup views ───── */
+
+/** Job state without the bulky row data, for the popup */
+function summarize() {
+    if (!job) return null;
+    const { rows, mapping, steps, settings, queue, checkpoint, ...summary } = job;
+    return {
+        ...summary,
+        total: queue.length,
+        rowCount: rows.length,
+        currentRow: queue[Math.min(job.position, queue.length - 1)]
+    };
+}
+
+function broadcast() {
+    const message = { action: 'jobUpdate', job: summarize() };
+    for (const port of ports) {
+        try { port.postMessage(message); } catch (_) { ports.delete(port); }
+    }
+    updateBadge();
+}
+
+function updateBadge() {
+    const text = !job ? ''
+        : job.status === 'running' ? `${job.position}/${job.queue.length}`
+            : job.status === 'paused' ? '❚❚'
+                : '';
+    chrome.action.setBadgeText({ text });
+    chrome.action.setBadgeBackgroundColor({ color: '#2563eb' });
+}
+
+chrome.runtime.onConnect.addListener((port) => {
+    if (port.name !== 'popup') return;
+    ports.add(port);
+    port.onDisconnect.addListener(() => ports.delete(port));
+    ready.then(() => port.postMessage({ action: 'jobUpdate', job: summarize() }));
+});
+
+/* ───── keep-alive ───── */
+
+// An idle worker is shut down after ~30s; a submit wait can be longer than that
+function startKeepAlive() {
+    if (keepAliveTimer) return;
+    keepAliveTimer = setInterval(() => chrome.runtime.getPlatformInfo(), KEEP_ALIVE_INTERVAL);
+}
+
+function stopKeepAlive() {
+    clearInterval(keepAliveTimer);
+    keepAliveTimer = null;
+}
+
+/* ───── checkpoints ───── */
+
+function rowStatus(result) {
+    if (!result.success) return 'failed';
+    if (result.submitted) return 'submitted';
+    if (result.filled === 0 && result.skipped > 0) return 'skipped';
+    return 'filled';
+}
+
+/** Queue a write of the job's checkpoint; resolves once it is stored (or has failed and been logged) */
+function writeCheckpoint(current) {
+    const { checkpoint } = current;
+    // Serialize writes — rows can finish faster than storage round-trips
+    const snapshot = {
+        ...checkpoint,
+        rows: [...checkpoint.rows],
+        errors: { ...checkpoint.errors },
+        times: { ...checkpoint.times },
+        readback: { ...checkpoint.readback }
+    };
+    checkpointWrites = checkpointWrites
+        .then(() => Storage.updateCheckpoint(current.checkpointKey, snapshot))
+        .catch(err => Logger.error('Checkpoint write failed:', err));
+    return checkpointWrites;
+}
+
+function recordRow(current, row, result) {
+    if (!current.checkpoint) return;
+    const { checkpoint } = current;
+    checkpoint.rows[row] = rowStatus(result);
+    checkpoint.times[row] = new Date().toISOString();
+    if (result.success) {
+        delete checkpoint.errors[row];
+    } else {
+        checkpoint.errors[row] = result.errors.map(e => e.column ? `${e.column}: ${e.error}` : e.error).join('; ');
+    }
+    if (result.readback) checkpoint.readback[row] = result.readback;
+    writeCheckpoint(current);
+}
+
+/** Mark a row unconfirmed and wait for it to be stored before the submit goes out */
+async function markUnconfirmed(current, row) {
+    if (!current.checkpoint) return;
+    current.checkpoint.rows[row] = 'unconfirmed';
+    current.checkpoint.times[row] = new Date().toISOString();
+    await writeCheckpoint(current);
+}
+
+async function loadCheckpoint(request) {
+    const rowCount = request.rows.length;
+    const saved = request.indices ? await Storage.getCheckpoint(request.checkpointKey) : null;
+    const rows = saved ? saved.rows.slice(0, rowCount) : [];
+    while (rows.length < rowCount) rows.push('pending');
+    const errors = saved ? { ...saved.errors } : {};
+    // Rows a pre-flight check or the row selection left out count as skipped in a fresh run
+    if (!saved) {
+        if (request.selection) {
+            const selected = new Set(request.selection);
+            rows.forEach((_, i) => {
+                if (selected.has(i)) return;
+                rows[i] = 'skipped';
+                errors[i] = 'Not in the row selection';
+            });
+        }
+        (request.excluded || []).forEach(i => {
+            rows[i] = 'skipped';
+            errors[i] = 'Excluded before the run';
+        });
+    }
+    return {
+        label: request.label || '',
+        sheet: request.sheet || '',
+        rows,
+        errors,
+        times: saved ? { ...saved.times } : {},
+        readback: saved ? { ...saved.readback } : {}
+    };
+}
+
+/* ───── job lifecycle ───── */
+
+async function runJob() {
+    const current = job;
+    current.status = 'running';
+    current.message = '';
+    await saveJob();
+    broadcast();
+    startKeepAlive();
+
+    try {
+        const outcome = await Runner.run({
+            tabId: current.tabId,
+            mapping: current.mapping,
+            steps: current.steps,
+            rows: current.rows,
+            settings: current.settings,
+            indices: current.queue.slice(current.position),
+            formUrl: current.formUrl,
+            onSubmit: ({ row }) => markUnconfirmed(current, row),
+            onProgress: ({ row, result }) => {
+                current.results.push({ row, ...result });
+                current.totalFilled += result.filled;
+                current.totalErrors += result.errors.length;
+                current.position++;
+                current.updatedAt = new Date().toISOString();
+                recordRow(current, row, result);
+                saveJob();   // Progress only; a failed write is logged, not thrown
+                broadcast();
+            }
+        });
+
+        if (job !== current) return;   // Cleared while running
+        if (outcome.stopped) {
+            // Pause / stop already set the status
+        } else if (current.position >= current.queue.length) {
+            current.status = 'done';
+        } else {
+            current.status = 'stopped';
+            current.message = 'Stopped on error';
+        }
+    } catch (err) {
+        Logger.error('Job failed:', err);
+        current.status = 'stopped';
+        current.message = err.message;
+    }
+
+    stopKeepAlive();
+    current.updatedAt = new Date().toISOString();
+    await saveJob();
+    broadcast();
+}
+
+/**
+ * Start a new job. Without `indices` the checkpoint starts over and the rows in
+ * `selection` (every row not `excluded` when there is none) are filled, in its
+ * order; with them (resume / retry failed) the saved checkpoint is kept.
+ */
+async function startJob(request) {
+    if ((job && job.status === 'running') || Runner.isRunning()) {
+        return { success: false, error: 'A fill job is already running' };
+    }
+
+    const tab = await chrome.tabs.get(request.tabId);
+    const checkpoint = request.checkpointKey ? await loadCheckpoint(request) : null;
+    const excluded = new Set(request.excluded || []);
+    job = {
+        id: Date.now().toString(36),
+        tabId: request.tabId,
+        label: request.label || '',
+        rows: request.rows,
+        mapping: request.mapping,
+        steps: request.steps || null,
+        settings: request.settings || {},
+        // A wizard always starts from its first page
+        formUrl: request.steps?.[0]?.url || tab.url,
+        queue: request.indices || request.selection || request.rows.map((_, i) => i).filter(i => !excluded.has(i)),
+        position: 0,
+        checkpointKey: request.checkpointKey || null,
+        checkpoint,
+        status: 'running',
+        message: '',
+        results: [],
+        totalFilled: 0,
+        totalErrors: 0,
+        startedAt: new Date().toISOString(),
+        updatedAt: new Date().toISOString()
+    };
+
+    if (checkpoint) await Storage.saveCheckpoint(job.checkpointKey, checkpoint);
+    await saveJobData();
+
+    runJob();
+    return { success: true, job: summarize() };
+}
+
+async function haltJob(status) {
+    // A paused job can still be stopped for good
+    const haltable = job && (job.status === 'running' || (job.status === 'paused' && status === 'stopped'));
+    if (!haltable) {
+        return { success: false, error: 'No running job' };
+    }
+    job.status = status;
+    Runner.stop();
+    try {
+        await chrome.tabs.sendMessage(job.tabId, { action: 'stopFill' });
+    } catch (_) { /* tab may be gone or mid-navigation */ }
+    await saveJob();
+    broadcast();
+    return { success: true, job: summarize() };
+}
+
+/**
+ * Resume a paused job. When the worker was stopped mid-submit, the row it was
+ * on may already have gone through: the popup has to say whether to submit it
+ * again (`unconfirmed: 'retry'`) or move past it (`unconfirmed: 'skip'`).
+ */
+async function resumeJob(request) {
+    if (!job || job.status !== 'paused') {
+        return { success: false, error: 'No paused job' };
+    }
+    if (Runner.isRunning()) {
+        return { success: false, error: 'Still finishing the current row' };
+    }
+    // Rows deleted or progress reset while paused would put this job's results on the wrong rows
+    if (job.checkpoint) {
+        await checkpointWrites;
+        const stored = await Storage.getCheckpoint(job.checkpointKey);
+        if (!stored || stored.rows.join() !== job.checkpoint.rows.join()) {
+            return { success: false, error: 'The sheet or its run progress changed while paused — start the run again' };
+        }
+    }
+    const row = job.queue[job.position];
+    if (job.checkpoint?.rows[row] === 'unconfirmed') {
+        if (!request.unconfirmed) {
+            return { success: false, unconfirmed: row, error: `Row ${row + 1} may already have been submitted` };
+        }
+        // A skipped row stays unconfirmed in the checkpoint
+        if (request.unconfirmed === 'skip') job.position++;
+    }
+    runJob();
+    return { success: true, job: summarize() };
+}
+
+async function clearJob() {
+    if (job && job.status === 'running') {
+        return { success: false, error: 'Stop the job before clearing it' };
+    }
+    job = null;
+    await chrome.storage.session.remove([JOB_KEY, JOB_DATA_KEY]);
+    broadcast();
+    return { success: true };
+}
+
+/* ───── attachments ───── */
+
+/**
+ * Files for a page's file inputs. The content script cannot reach the
+ * extension's IndexedDB, so it asks here; content crosses the message
+ * boundary base64-encoded.
+ */
+async function getAttachments(names) {
+    const { files, missing } = await FileStore.get(names || []);
+    const encoded = await Promise.all(files.map(async file => ({
+        name: file.name,
+        type: file.type,
+        data: toBase64(await file.blob.arrayBuffer())
+    })));
+    return { success: true, files: encoded, missing };
+}
+
+function toBase64(buffer) {
+    const bytes = new Uint8Array(buffer);
+    const CHUNK = 0x8000;   // Keep String.fromCharCode's argument list small
+    let binary = '';
+    for (let i = 0; i < bytes.length; i += CHUNK) {
+        binary += String.fromCharCode.apply(null, bytes.subarray(i, i + CHUNK));
+    }
+    return btoa(binary);
+}
+
+/* ───── remembered session ───── */
+
+// Delete the popup's remembered data when it expires, even if the popup is never opened again
+chrome.alarms.onAlarm.addListener((alarm) => {
+    if (alarm.name === SessionStore.ALARM) SessionStore.clearExpired().catch(err => Logger.error('Session expiry failed:', err));
+});
+chrome.runtime.onStartup.addListener(() => {
+    SessionStore.clearExpired().catch(err => Logger.error('Session expiry failed:', err));
+});
+
+/* ───── message listener ───── */
+
+chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
+    const handlers = {
+        getJob: async () => ({ success: true, job: summarize() }),
+        startJob: () => startJob(request),
+        pauseJob: () => haltJob('paused'),
+        resumeJob: () => resumeJob(request),
+        stopJob: () => haltJob('stopped'),
+        clearJob: () => clearJob(),
+        getAttachments: () => getAttachments(request.names)
+    };
+
+    const handler = handlers[request.action];
+    if (!handler) return false;   // Not a message for the worker
+
+    ready
+        .then(handler)
+        .then(sendResponse)
+        .catch(err => {
+            Logger.error('Background error:', err);
+            sendResponse({ success: false, error: err.message });
+        });
+    return true; // Async response
+});
@@ -0,0 +1,37 @@
+/**
+ * Angular Material mat-select adapter (legacy and MDC-based versions).
+ * Options only exist while the panel is open, in the CDK overlay container.
+ */
+Widgets.register({
+    name: 'mat-select',
+    label: 'Angular Material select',
+    kind: 'select',
+    selector: 'mat-select, .mat-mdc-select, .mat-select',
+
+    container(host) {
+        return host;
+    },
+
+    fill(host, value) {
+        const doc = host.ownerDocument;
+        const trigger = host.querySelector('.mat-mdc-select-trigger, .mat-select-trigger') || host;
+
+        return Widgets.choose({
+            open: () => {
+                host.focus();
+                trigger.click();
+            },
+            options: () => {
+                const panel = Widgets.byIdRef(host, 'aria-controls') || Widgets.byIdRef(host, 'aria-owns')
+                    || doc.querySelector('.cdk-overlay-container .mat-mdc-select-panel, .cdk-overlay-container .mat-select-panel');
+                return panel ? panel.querySelectorAll('mat-option, [role="option"]') : [];
+            },
+            close: () => Widgets.key(host, 'Escape')
+        }, value);
+    },
+
+    readValue(host) {
+        const text = host.querySelector('.mat-mdc-select-value-text, .mat-select-value-text');
+        return text ? text.textContent : '';
+    }
+});
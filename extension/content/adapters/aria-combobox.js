@@ -0,0 +1,67 @@
+/**
+ * Generic ARIA combobox / listbox adapter, for widgets that follow the
+ * WAI-ARIA patterns but no known library. Registered last so library
+ * adapters claim their own widgets first.
+ */
+Widgets.register({
+    name: 'aria-combobox',
+    label: 'ARIA combobox',
+    kind: 'select',
+    selector: '[role="combobox"], [role="listbox"]',
+
+    container(host) {
+        // A combobox's own popup is part of it, not a second widget
+        if (host.getAttribute('role') === 'listbox' && host.id &&
+            host.getRootNode().querySelector(`[aria-controls~="${CSS.escape(host.id)}"], [aria-owns~="${CSS.escape(host.id)}"]`)) {
+            return null;
+        }
+        return host;
+    },
+
+    listbox(host) {
+        if (host.getAttribute('role') === 'listbox') return host;
+        return Widgets.byIdRef(host, 'aria-controls') || Widgets.byIdRef(host, 'aria-owns')
+            || host.querySelector('[role="listbox"]');
+    },
+
+    input(host) {
+        if (host.matches('input, textarea')) return host;
+        return host.querySelector('input, textarea');
+    },
+
+    getOptions(host) {
+        // Pre-rendered (possibly hidden) popups can be read without opening them
+        const listbox = this.listbox(host);
+        const options = listbox ? Widgets.toOptions(listbox.querySelectorAll('[role="option"]')) : [];
+        return options.length > 0 ? options.map(({ value, text }) => ({ value, text })) : null;
+    },
+
+    fill(host, value) {
+        const standalone = host.getAttribute('role') === 'listbox';
+        const input = standalone ? null : this.input(host);
+
+        return Widgets.choose({
+            open: () => {
+                if (standalone) return;
+                (input || host).focus();
+                Widgets.press(host);
+                if (host.getAttribute('aria-expanded') !== 'true') Widgets.key(input || host, 'ArrowDown');
+            },
+            input: input && !input.readOnly ? input : null,
+            options: () => {
+                const listbox = this.listbox(host);
+                return listbox ? listbox.querySelectorAll('[role="option"]') : [];
+            },
+            close: () => Widgets.key(input || host, 'Escape')
+        }, value);
+    },
+
+    readValue(host) {
+        const input = host.getAttribute('role') === 'listbox' ? null : this.input(host);
+        if (input) return input.value;
+        // A select-only combobox shows a placeholder until chosen, so trust aria-selected
+        const listbox = this.listbox(host);
+        const selected = listbox ? listbox.querySelectorAll('[role="option"][aria-selected="true"]') : [];
+        return Array.from(selected).map(el => el.textContent.trim()).join('; ');
+    }
+});
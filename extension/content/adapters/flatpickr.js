@@ -0,0 +1,58 @@
+/**
+ * flatpickr adapter.
+ * The input is read-only unless allowInput is set and its format is site
+ * specific, so the date is picked from the calendar instead: open it, step
+ * the month arrows to the target month, click the day.
+ */
+Widgets.register({
+    name: 'flatpickr',
+    label: 'flatpickr',
+    kind: 'date',
+    selector: 'input.flatpickr-input',
+
+    MAX_MONTH_STEPS: 1200,   // 100 years either way
+
+    container(host) {
+        return host;
+    },
+
+    async fill(host, value) {
+        // The filler has usually validated the date to YYYY-MM-DD already; re-parsing that would read it as UTC
+        const str = String(value).trim();
+        const parsed = /^\d{4}-\d{2}-\d{2}$/.test(str) ? { valid: true, value: str } : Validator.validateDate(str);
+        if (!parsed.valid) return { success: false, error: parsed.error };
+        const [year, month, day] = parsed.value.split('-').map(Number);
+
+        const doc = host.ownerDocument;
+        host.focus();
+        host.click();
+        const calendar = await Widgets.waitFor(() => doc.querySelector('.flatpickr-calendar.open'));
+        if (!calendar) return { success: false, error: 'Calendar did not open' };
+
+        const shown = () => {
+            const monthSelect = calendar.querySelector('.flatpickr-monthDropdown-months');
+            const monthName = calendar.querySelector('.cur-month');
+            const m = monthSelect
+                ? Number(monthSelect.value)
+                : new Date(`${monthName.textContent.trim()} 1, 2000`).getMonth();
+            return Number(calendar.querySelector('.cur-year').value) * 12 + m;
+        };
+
+        const target = year * 12 + (month - 1);
+        for (let steps = 0; shown() !== target; steps++) {
+            if (steps >= this.MAX_MONTH_STEPS) return { success: false, error: `Cannot reach ${parsed.value}` };
+            calendar.querySelector(shown() < target ? '.flatpickr-next-month' : '.flatpickr-prev-month').click();
+        }
+
+        const cell = Array.from(calendar.querySelectorAll('.flatpickr-day:not(.prevMonthDay):not(.nextMonthDay)'))
+            .find(el => el.textContent.trim() === String(day));
+        if (!cell) return { success: false, error: `Day ${day} not in calendar` };
+        if (cell.classList.contains('flatpickr-disabled')) return { success: false, error: `${parsed.value} is not selectable` };
+        cell.click();
+        return { success: true };
+    },
+
+    readValue(host) {
+        return host.value;
+    }
+});
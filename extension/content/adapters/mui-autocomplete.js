@@ -0,0 +1,38 @@
+/**
+ * MUI Autocomplete adapter.
+ * The input carries role="combobox"; while open, aria-controls names the
+ * listbox MUI renders in a popper at the end of the body.
+ */
+Widgets.register({
+    name: 'mui-autocomplete',
+    label: 'MUI Autocomplete',
+    kind: 'select',
+    selector: '.MuiAutocomplete-root input',
+
+    container(host) {
+        return host.closest('.MuiAutocomplete-root');
+    },
+
+    fill(host, value) {
+        return Widgets.choose({
+            open: () => {
+                host.focus();
+                Widgets.press(host);
+            },
+            input: host,
+            options: () => {
+                const listbox = Widgets.byIdRef(host, 'aria-controls')
+                    || host.ownerDocument.querySelector('.MuiAutocomplete-popper [role="listbox"]');
+                return listbox ? listbox.querySelectorAll('[role="option"]') : [];
+            },
+            close: () => Widgets.key(host, 'Escape')
+        }, value);
+    },
+
+    readValue(host) {
+        const chips = this.container(host).querySelectorAll('.MuiChip-label');
+        return chips.length > 0
+            ? Array.from(chips).map(el => el.textContent.trim()).join('; ')
+            : host.value;
+    }
+});
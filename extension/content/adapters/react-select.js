@@ -0,0 +1,40 @@
+/**
+ * React-Select adapter.
+ * Anchored on the search input, whose id React-Select derives from its
+ * instance id (react-select-<id>-input); options render as
+ * react-select-<id>-option-<n>, possibly in a portal.
+ */
+Widgets.register({
+    name: 'react-select',
+    label: 'React-Select',
+    kind: 'select',
+    selector: 'input[id^="react-select-"][id$="-input"]',
+
+    container(host) {
+        return host.closest('[class*="-container"]') || host.parentElement;
+    },
+
+    fill(host, value) {
+        const container = this.container(host);
+        const control = container.querySelector('[class*="-control"]') || container;
+        const prefix = host.id.replace(/-input$/, '');
+        const root = host.getRootNode();
+
+        return Widgets.choose({
+            open: () => {
+                host.focus();
+                Widgets.press(control);   // The control opens the menu on mousedown
+            },
+            input: host.readOnly ? null : host,
+            options: () => root.querySelectorAll(`[id^="${prefix}-option-"]`),
+            close: () => Widgets.key(host, 'Escape')
+        }, value);
+    },
+
+    readValue(host) {
+        const container = this.container(host);
+        // Emotion class names (css-…-singleValue) or a classNamePrefix (prefix__single-value)
+        const values = container.querySelectorAll('[class*="singleValue"], [class*="single-value"], [class*="MultiValueGeneric"], [class*="multi-value__label"]');
+        return Array.from(values).map(el => el.textContent.trim()).join('; ');
+    }
+});
@@ -0,0 +1,65 @@
+/**
+ * Select2 adapter.
+ * Select2 hides the original <select> and renders its own container right
+ * after it. Options already in the <select> are set directly and announced
+ * with a change event, which Select2 listens for; remote (AJAX) lists are
+ * searched and picked through the dropdown.
+ */
+Widgets.register({
+    name: 'select2',
+    label: 'Select2',
+    kind: 'select',
+    selector: 'select.select2-hidden-accessible',
+
+    container(host) {
+        const next = host.nextElementSibling;
+        return next && next.classList.contains('select2-container') ? next : null;
+    },
+
+    getOptions(host) {
+        return Array.from(host.options)
+            .filter(opt => opt.value !== '')
+            .map(opt => ({ value: opt.value, text: opt.textContent.trim() }));
+    },
+
+    async fill(host, value) {
+        const local = Widgets.match(this.getOptions(host), value);
+        if (local.option) {
+            if (host.multiple) {
+                Array.from(host.options).forEach(opt => { opt.selected = opt.selected || opt.value === local.option.value; });
+            } else {
+                host.value = local.option.value;
+            }
+            host.dispatchEvent(new Event('change', { bubbles: true }));
+            return { success: true };
+        }
+
+        const container = this.container(host);
+        const selection = container && container.querySelector('.select2-selection');
+        if (!selection) return { success: false, error: local.error };
+
+        const doc = host.ownerDocument;
+        const dropdown = () => doc.querySelector('.select2-container--open .select2-dropdown');
+        return Widgets.choose({
+            open: async () => {
+                Widgets.press(selection);   // Select2 opens on mousedown
+                await Widgets.waitFor(dropdown);
+            },
+            input: () => dropdown()?.querySelector('.select2-search__field')
+                || container.querySelector('.select2-search__field'),
+            options: () => {
+                const open = dropdown();
+                return open ? open.querySelectorAll('.select2-results__option[role="option"]:not(.loading-results)') : [];
+            },
+            valueOf: (el) => el.textContent.trim(),
+            close: () => Widgets.key(selection, 'Escape')
+        }, value);
+    },
+
+    readValue(host) {
+        return Array.from(host.selectedOptions)
+            .filter(opt => opt.value !== '')
+            .map(opt => opt.textContent.trim())
+            .join('; ');
+    }
+});
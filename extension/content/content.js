@@ -1,6 +1,8 @@
 /**
  * Content script — injected into active tab.
  * Listens for messages from popup and orchestrates detection, filling, and preview.
+ * Batch orchestration lives outside the page (core/runner.js) so it survives
+ * the navigation a form submit triggers.
  */
 
 /* ───── message listener ───── */
@@ -11,52 +13,91 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
 
             case 'detectFields': {
                 const fields = Detector.detectFormFields();
+                Detector.watchFields(fields, reportFields);
                 sendResponse({ success: true, fields, count: fields.length });
                 break;
             }
 
             case 'fillRow': {
-                const result = Filler.fillRow(
+                Overlay.clear();
+                // Async — widgets are filled by simulating clicks and typing
+                Filler.fillRow(
                     request.mapping,
                     request.rowData,
                     request.settings || {}
-                );
-                sendResponse({ success: result.success, ...result });
+                ).then(result => {
+                    sendResponse({ success: result.success, ...result });
+                }).catch(error => {
+                    sendResponse({ success: false, error: error.message });
+                });
+                return true;
+            }
+
+            case 'submitForm': {
+                const control = Detector.findSubmitControl(request.selectors);
+                const result = Filler.submitForm(control);
+                sendResponse(result);
                 break;
             }
 
-            case 'fillBatch': {
+            case 'waitForReset': {
                 // Async — must return true
-                Filler.fillBatch(
-                    request.mapping,
-                    request.rows,
-                    request.settings || {},
-                    (progress) => {
-                        // Send progress updates via a separate mechanism if needed
-                        try {
-                            chrome.runtime.sendMessage({
-                                action: 'fillProgress',
-                                ...progress
-                            });
-                        } catch (_) { /* popup may be closed */ }
-                    }
-                ).then(result => {
+                Filler.waitForReset(request.timeout).then(result => {
                     sendResponse({ success: true, ...result });
-                }).catch(err => {
-                    sendResponse({ success: false, error: err.message });
                 });
                 return true; // Async response
             }
 
+            case 'clickElement': {
+                sendResponse(Filler.click(request.selector));
+                break;
+            }
+
+            case 'waitForElement': {
+                // Async — must return true
+                Filler.waitForElement(request.selector, request.timeout).then(sendResponse);
+                return true;
+            }
+
+            case 'readValue': {
+                sendResponse(Filler.readValue(request.selector));
+                break;
+            }
+
             case 'preview': {
-                const prev = Filler.preview(request.mapping, request.rowData);
+                const prev = Filler.preview(request.mapping, request.rowData, request.settings);
                 sendResponse({ success: true, ...prev });
                 break;
             }
 
+            case 'undoFill': {
+                // Async — widgets are put back by simulating clicks and typing
+                Filler.undo().then(sendResponse).catch(error => {
+                    sendResponse({ success: false, error: error.message });
+                });
+                return true;
+            }
+
+            case 'undoStatus': {
+                sendResponse({ success: true, depth: Filler.undoDepth() });
+                break;
+            }
+
+            case 'showOverlay': {
+                sendResponse({ success: true, ...Overlay.show(request.items) });
+                break;
+            }
+
+            case 'clearOverlay': {
+                Overlay.clear();
+                sendResponse({ success: true });
+                break;
+            }
+
             case 'stopFill': {
                 Filler.stop();
                 Filler.removeAllHighlights();
+                Overlay.clear();
                 sendResponse({ success: true });
                 break;
             }
@@ -75,5 +116,16 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
     }
 });
 
+/* ───── live field updates ───── */
+
+/** Send re-detected fields to the popup; stop watching once it has closed */
+function reportFields(fields) {
+    chrome.runtime.sendMessage({ action: 'fieldsChanged', fields, count: fields.length })
+        .then(response => {
+            if (!response) Detector.unwatchFields();
+        })
+        .catch(() => Detector.unwatchFields());
+}
+
 // Signal that content script is loaded
 console.log('[G-Excel] Content script loaded on', window.location.href);
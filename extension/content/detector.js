@@ -1,6 +1,7 @@
 /**
  * Form field detection engine.
- * Scans the DOM for fillable form fields and extracts metadata.
+ * Scans the DOM — including open shadow roots and same-origin frames — for
+ * fillable form fields and extracts metadata.
  */
 const Detector = (() => {
     /* ───── supported selectors ───── */
@@ -12,18 +13,50 @@ const Detector = (() => {
         'input[type="url"]',
         'input[type="date"]',
         'input[type="datetime-local"]',
+        'input[type="time"]',
+        'input[type="month"]',
+        'input[type="week"]',
+        'input[type="color"]',
+        'input[type="range"]',
         'input[type="search"]',
         'input[type="password"]',
         'input[type="checkbox"]',
         'input[type="radio"]',
+        'input[type="file"]',
         'input:not([type])',
         'textarea',
-        'select'
+        'select',
+        '[contenteditable]:not([contenteditable="false"])'
     ];
 
+    const FORM_CONTROLS = ['INPUT', 'TEXTAREA', 'SELECT'];
+
+    /** Button captions that read like a submit action (forms built without <form>) */
+    const SUBMIT_TEXT = /^(submit|save|send|add|create|register|sign up|apply|confirm|done|finish)\b/i;
+
+    /** Quiet period before re-detecting after the page changes */
+    const WATCH_DEBOUNCE = 400;
+    let watcher = null;
+
     /* ───── unique selector generator ───── */
 
+    /**
+     * Selector for an element. Elements inside shadow roots or frames get a
+     * composite selector (see DomPath) leading through each host.
+     */
     function generateUniqueSelector(element) {
+        const host = DomPath.hostOf(element);
+        const local = localSelector(element);
+        return host ? DomPath.join(generateUniqueSelector(host), local) : local;
+    }
+
+    /** Selector unique within the element's own document or shadow root */
+    function localSelector(element) {
+        const root = element.getRootNode();
+
+        // A frame's editable body (TinyMCE and other iframe editors)
+        if (element === root.body) return 'body';
+
         // Try id
         if (element.id) return `#${CSS.escape(element.id)}`;
 
@@ -31,13 +64,13 @@ const Detector = (() => {
         if (element.name) {
             const tag = element.tagName.toLowerCase();
             const nameSelector = `${tag}[name="${CSS.escape(element.name)}"]`;
-            if (document.querySelectorAll(nameSelector).length === 1) return nameSelector;
+            if (root.querySelectorAll(nameSelector).length === 1) return nameSelector;
         }
 
-        // Build a path from the element to a unique ancestor
+        // Build a path from the element to a unique ancestor (shadow roots have no body)
         const parts = [];
         let el = element;
-        while (el && el !== document.body) {
+        while (el && el !== root.body) {
             let selector = el.tagName.toLowerCase();
             if (el.id) {
                 selector = `#${CSS.escape(el.id)}`;
@@ -45,8 +78,8 @@ const Detector = (() => {
                 break;
             }
             // Add nth-child for uniqueness
-            const parent = el.parentElement;
-            if (parent) {
+            const parent = el.parentNode;
+            if (parent && parent.children) {
                 const siblings = Array.from(parent.children).filter(c => c.tagName === el.tagName);
                 if (siblings.length > 1) {
                     const idx = siblings.indexOf(el) + 1;
@@ -62,9 +95,12 @@ const Detector = (() => {
     /* ───── label extraction ───── */
 
     function extractLabel(element) {
+        // Labels live in the same document or shadow root as their field
+        const root = element.getRootNode();
+
         // 1. label[for]
         if (element.id) {
-            const label = document.querySelector(`label[for="${CSS.escape(element.id)}"]`);
+            const label = root.querySelector(`label[for="${CSS.escape(element.id)}"]`);
             if (label) return cleanLabel(label.textContent);
         }
 
@@ -87,7 +123,7 @@ const Detector = (() => {
         // 4. aria-labelledby
         const labelledBy = element.getAttribute('aria-labelledby');
         if (labelledBy) {
-            const labelEl = document.getElementById(labelledBy);
+            const labelEl = root.getElementById(labelledBy);
             if (labelEl) return cleanLabel(labelEl.textContent);
         }
 
@@ -149,11 +185,22 @@ const Detector = (() => {
         }));
     }
 
+    /* ───── rich-text editors ───── */
+
+    /**
+     * Root of a contenteditable region — rich-text editors (Quill,
+     * ProseMirror, CKEditor, an iframe editor's body). Elements nested in
+     * one are part of it, not fields of their own.
+     */
+    function isEditableRoot(element) {
+        return element.isContentEditable && !element.parentElement?.isContentEditable;
+    }
+
     /* ───── visibility check ───── */
 
     function isVisible(element) {
         if (!element.offsetParent && element.style.position !== 'fixed') return false;
-        const style = window.getComputedStyle(element);
+        const style = (element.ownerDocument.defaultView || window).getComputedStyle(element);
         if (style.display === 'none' || style.visibility === 'hidden' || style.opacity === '0') return false;
         const rect = element.getBoundingClientRect();
         return rect.width > 0 && rect.height > 0;
@@ -182,12 +229,31 @@ const Detector = (() => {
         const seen = new Set();
         const allSelector = FIELD_SELECTORS.join(',');
 
-        document.querySelectorAll(allSelector).forEach(element => {
+        // Custom widgets first; the native inputs they are built from are theirs
+        const { widgets, containers } = Widgets.detect(isVisible);
+        widgets.forEach(({ element, adapter }) => {
+            const selector = generateUniqueSelector(element);
+            if (seen.has(selector)) return;
+            seen.add(selector);
+            fields.push(widgetField(element, adapter, selector));
+        });
+        const inWidget = (el) => containers.some(c => c === el || c.contains(el));
+
+        DomPath.queryAll(allSelector).forEach(element => {
             // Skip hidden inputs (type="hidden")
             if (element.type === 'hidden') return;
 
-            // Skip invisible fields
-            if (!isVisible(element)) return;
+            if (inWidget(element)) return;
+
+            const editable = element.hasAttribute('contenteditable') && !FORM_CONTROLS.includes(element.tagName);
+            if (editable && !isEditableRoot(element)) return;
+
+            // Skip invisible fields — file inputs are often hidden behind a styled label or drop zone,
+            // and an iframe editor's body shows through its frame
+            const shown = element.tagName === 'BODY'
+                ? isVisible(element.ownerDocument.defaultView.frameElement)
+                : isVisible(element) || (element.type === 'file' && isVisible(element.labels?.[0] || element.parentElement));
+            if (!shown) return;
 
             // Skip duplicates
             const selector = generateUniqueSelector(element);
@@ -196,18 +262,25 @@ const Detector = (() => {
 
             const field = {
                 selector,
-                type: element.type || element.tagName.toLowerCase(),
-                name: element.name || '',
+                type: editable ? 'contenteditable' : element.type || element.tagName.toLowerCase(),
+                name: element.name || element.getAttribute('name') || '',
                 id: element.id || '',
                 label: extractLabel(element),
-                placeholder: element.placeholder || '',
+                placeholder: element.placeholder || element.getAttribute('aria-placeholder') ||
+                    element.getAttribute('data-placeholder') || '',
                 ariaLabel: element.getAttribute('aria-label') || '',
                 title: element.title || '',
-                value: element.value || '',
-                required: element.required || false,
+                value: editable ? element.innerText.trim() : element.value || '',
+                required: element.required || element.getAttribute('aria-required') === 'true',
                 options: element.tagName === 'SELECT' ? extractOptions(element) : null,
                 min: element.min || null,
                 max: element.max || null,
+                step: element.getAttribute('step') || null,
+                minLength: element.minLength >= 0 ? element.minLength : null,
+                maxLength: element.maxLength >= 0 ? element.maxLength : null,
+                pattern: element.getAttribute('pattern') || null,
+                accept: element.accept || null,
+                multiple: element.multiple || false,
                 dataAttrs: extractDataAttrs(element),
                 tagName: element.tagName.toLowerCase()
             };
@@ -218,5 +291,112 @@ const Detector = (() => {
         return fields;
     }
 
-    return { detectFormFields, generateUniqueSelector, extractLabel, isVisible };
+    /**
+     * Field descriptor for a custom widget. Its type is the native type it
+     * stands in for, so matching and validation treat it the same way.
+     */
+    function widgetField(element, adapter, selector) {
+        return {
+            selector,
+            type: adapter.kind,
+            widget: adapter.name,
+            name: element.getAttribute('name') || '',
+            id: element.id || '',
+            label: extractLabel(element),
+            placeholder: element.getAttribute('placeholder') || '',
+            ariaLabel: element.getAttribute('aria-label') || '',
+            title: element.title || '',
+            value: Widgets.readValue(element, adapter.name),
+            required: element.required || element.getAttribute('aria-required') === 'true',
+            options: adapter.getOptions ? adapter.getOptions(element) : null,
+            min: element.getAttribute('min') || null,
+            max: element.getAttribute('max') || null,
+            dataAttrs: extractDataAttrs(element),
+            tagName: element.tagName.toLowerCase()
+        };
+    }
+
+    /* ───── live re-detection ───── */
+
+    /**
+     * Re-run detection whenever fields appear on or leave the page, e.g. a
+     * section revealed by a checkbox. Replaces any earlier watcher.
+     * @param {Object[]} fields - Fields already reported
+     * @param {Function} onChange - Called with the new field list when the set of fields changes
+     */
+    function watchFields(fields, onChange) {
+        unwatchFields();
+        let known = fields.map(f => f.selector).join('\n');
+        let timer = null;
+
+        const observer = new MutationObserver(() => {
+            clearTimeout(timer);
+            timer = setTimeout(() => {
+                const current = detectFormFields();
+                const key = current.map(f => f.selector).join('\n');
+                if (key === known) return;
+                known = key;
+                onChange(current);
+            }, WATCH_DEBOUNCE);
+        });
+        observer.observe(document.documentElement, {
+            childList: true,
+            subtree: true,
+            attributes: true,
+            attributeFilter: ['style', 'class', 'hidden', 'type']
+        });
+        watcher = { observer, stop: () => clearTimeout(timer) };
+    }
+
+    function unwatchFields() {
+        if (!watcher) return;
+        watcher.observer.disconnect();
+        watcher.stop();
+        watcher = null;
+    }
+
+    /* ───── submit control ───── */
+
+    /**
+     * Find the control that submits the form holding the mapped fields.
+     * Prefers the owning <form>'s own submit buttons (including ones attached
+     * with the form="" attribute), then any submit-looking button on the page.
+     * @param {string[]} fieldSelectors - Selectors of the mapped fields
+     * @returns {{ element: Element|null, form: HTMLFormElement|null }}
+     */
+    function findSubmitControl(fieldSelectors) {
+        let form = null;
+        let fieldRoot = null;   // Shadow root or frame document holding the fields
+        for (const selector of fieldSelectors || []) {
+            const el = DomPath.query(selector);
+            if (!el) continue;
+            if (!fieldRoot) fieldRoot = el.getRootNode();
+            if (el.form || el.closest('form')) {
+                form = el.form || el.closest('form');
+                break;
+            }
+        }
+
+        const explicit = form
+            ? Array.from(form.elements).filter(el => el.type === 'submit' || el.type === 'image')
+            : findAll([fieldRoot, document], 'button[type="submit"], input[type="submit"], input[type="image"]');
+        const visibleSubmit = explicit.find(isVisible);
+        if (visibleSubmit) return { element: visibleSubmit, form };
+
+        // Without a <form>, look next to the fields first, then in the page around them
+        const byText = findAll(form ? [form] : [fieldRoot, document], 'button, input[type="button"], [role="button"]')
+            .find(el => isVisible(el) && SUBMIT_TEXT.test((el.textContent || el.value || '').trim()));
+
+        return { element: byText || null, form };
+    }
+
+    function findAll(scopes, css) {
+        const unique = scopes.filter((s, i) => s && scopes.indexOf(s) === i);
+        return unique.flatMap(scope => Array.from(scope.querySelectorAll(css)));
+    }
+
+    return {
+        detectFormFields, watchFields, unwatchFields, findSubmitControl,
+        generateUniqueSelector, extractLabel, isVisible
+    };
 })();
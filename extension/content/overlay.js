@@ -0,0 +1,118 @@
+/**
+ * Dry-run overlay — badges each field a preview would fill with the value it
+ * would receive, so a fill can be checked on the page before it happens.
+ * Badges never take clicks; they live in one container per document (frames
+ * get their own) and follow their fields on scroll and resize.
+ */
+const Overlay = (() => {
+    const CONTAINER_ATTR = 'data-gexcel-overlay';
+    const COLORS = { accept: '#2563eb', invalid: '#dc2626', skip: '#6b7280' };
+
+    let badges = [];           // [{ element, badge }]
+    let windows = new Set();   // Windows with scroll/resize listeners
+    let frame = null;          // Pending requestAnimationFrame id
+
+    /* ───── layout ───── */
+
+    function containerFor(doc) {
+        let box = doc.querySelector(`[${CONTAINER_ATTR}]`);
+        if (!box) {
+            box = doc.createElement('div');
+            box.setAttribute(CONTAINER_ATTR, '');
+            Object.assign(box.style, {
+                position: 'fixed', top: '0', left: '0', width: '0', height: '0',
+                zIndex: '2147483647', pointerEvents: 'none'
+            });
+            doc.body.appendChild(box);
+        }
+        return box;
+    }
+
+    /** Sit the badge on the field's top-left corner, above it when there is room */
+    function place({ element, badge }) {
+        const rect = element.getBoundingClientRect();
+        if (rect.width === 0 && rect.height === 0) {
+            badge.style.display = 'none';
+            return;
+        }
+        badge.style.display = '';
+        badge.style.left = `${Math.max(0, rect.left)}px`;
+        badge.style.top = `${rect.top}px`;
+        badge.style.transform = rect.top > 20 ? 'translateY(calc(-100% - 2px))' : 'none';
+    }
+
+    function reposition() {
+        if (frame !== null) return;
+        const win = badges[0]?.element.ownerDocument.defaultView || window;
+        frame = win.requestAnimationFrame(() => {
+            frame = null;
+            badges.forEach(place);
+        });
+    }
+
+    function listen(win) {
+        if (windows.has(win)) return;
+        windows.add(win);
+        win.addEventListener('scroll', reposition, { capture: true, passive: true });
+        win.addEventListener('resize', reposition, { passive: true });
+    }
+
+    /* ───── badges ───── */
+
+    function display(value) {
+        if (Array.isArray(value)) return value.join('; ');
+        return value === null || value === undefined ? '' : String(value);
+    }
+
+    function makeBadge(doc, item) {
+        const state = !item.accepted ? 'skip' : item.valid ? 'accept' : 'invalid';
+        const badge = doc.createElement('div');
+        Object.assign(badge.style, {
+            position: 'fixed', maxWidth: '240px', padding: '1px 6px',
+            overflow: 'hidden', textOverflow: 'ellipsis', whiteSpace: 'nowrap',
+            font: '600 11px/16px -apple-system, BlinkMacSystemFont, "Segoe UI", sans-serif',
+            color: '#fff', background: COLORS[state], borderRadius: '4px',
+            boxShadow: '0 1px 3px rgba(0, 0, 0, 0.25)',
+            textDecoration: state === 'skip' ? 'line-through' : 'none'
+        });
+        badge.textContent = state === 'invalid'
+            ? `✕ ${item.error}`
+            : `→ ${display(item.newValue) || '(empty)'}`;
+        return badge;
+    }
+
+    /* ───── public ───── */
+
+    /**
+     * Badge every previewed field, replacing any badges shown before.
+     * @param {Array<{ selector, newValue, valid, error, accepted }>} items - Filler.preview entries plus the user's choice
+     * @returns {{ shown: number }}
+     */
+    function show(items) {
+        clear();
+        items.forEach(item => {
+            const element = DomPath.query(item.selector);
+            if (!element) return;
+            const doc = element.ownerDocument;
+            const badge = makeBadge(doc, item);
+            containerFor(doc).appendChild(badge);
+            badges.push({ element, badge });
+            listen(doc.defaultView);
+        });
+        badges.forEach(place);
+        return { shown: badges.length };
+    }
+
+    function clear() {
+        badges.forEach(({ badge }) => badge.remove());
+        badges = [];
+        windows.forEach(win => {
+            win.removeEventListener('scroll', reposition, { capture: true });
+            win.removeEventListener('resize', reposition);
+            win.document.querySelector(`[${CONTAINER_ATTR}]`)?.remove();
+        });
+        windows = new Set();
+    }
+
+    return { show, clear };
+})();
@@ -0,0 +1,221 @@
+/**
+ * Widget adapter registry.
+ * Custom dropdowns, comboboxes and date pickers are not form controls the
+ * detector can read or the filler can set directly. Each adapter recognises
+ * one widget family, lists its options and fills it by simulating what a
+ * user does: open it, type to filter, pick an option.
+ *
+ * Adapters live in content/adapters/ and register themselves:
+ *
+ *   Widgets.register({
+ *       name: 'my-widget',           // Stored on the field as field.widget
+ *       label: 'My Widget',
+ *       kind: 'select' | 'date',     // Field type reported to the matcher / validator
+ *       selector: '.my-widget',      // CSS for candidate hosts (the element the field's selector points at)
+ *       container(host),             // Widget root (native inputs inside it are not reported separately),
+ *                                    // or null when the host is not a usable widget
+ *       getOptions(host),            // Optional: [{ value, text }] readable without opening the widget
+ *       fill(host, value),           // async → { success, error? }
+ *       readValue(host)              // Current display value
+ *   });
+ *
+ * Adapters are tried in registration order, so generic ones register last.
+ */
+const Widgets = (() => {
+    const OPTION_TIMEOUT = 2000;
+    const POLL_INTERVAL = 50;
+    const adapters = [];
+
+    function register(adapter) {
+        adapters.push(adapter);
+    }
+
+    function get(name) {
+        return adapters.find(a => a.name === name) || null;
+    }
+
+    /* ───── detection ───── */
+
+    /**
+     * Find every visible widget on the page (including shadow roots and frames).
+     * @param {Function} isVisible - Visibility check from the detector
+     * @returns {{ widgets: Array<{ element: Element, adapter: Object }>, containers: Element[] }}
+     */
+    function detect(isVisible) {
+        const widgets = [];
+        const containers = [];
+        const inside = (el) => containers.some(c => c === el || c.contains(el));
+
+        for (const adapter of adapters) {
+            for (const host of DomPath.queryAll(adapter.selector)) {
+                if (inside(host)) continue;
+                const container = adapter.container(host);
+                if (!container || !isVisible(container)) continue;
+                widgets.push({ element: host, adapter });
+                containers.push(container, host);
+            }
+        }
+        return { widgets, containers };
+    }
+
+    /* ───── user simulation ───── */
+
+    function sleep(ms) {
+        return new Promise(r => setTimeout(r, ms));
+    }
+
+    /** Poll until fn returns something truthy, or null after the timeout */
+    async function waitFor(fn, timeout = OPTION_TIMEOUT) {
+        const deadline = Date.now() + timeout;
+        for (;;) {
+            const result = fn();
+            if (result) return result;
+            if (Date.now() >= deadline) return null;
+            await sleep(POLL_INTERVAL);
+        }
+    }
+
+    /** Press and release the primary button on an element, as a mouse click would */
+    function press(element) {
+        const view = element.ownerDocument.defaultView || window;
+        const init = { bubbles: true, cancelable: true, composed: true, button: 0, view };
+        element.dispatchEvent(new view.PointerEvent('pointerdown', init));
+        element.dispatchEvent(new view.MouseEvent('mousedown', init));
+        element.dispatchEvent(new view.PointerEvent('pointerup', init));
+        element.dispatchEvent(new view.MouseEvent('mouseup', init));
+        element.dispatchEvent(new view.MouseEvent('click', init));
+    }
+
+    function key(element, name) {
+        const init = { key: name, code: name, bubbles: true, cancelable: true, composed: true };
+        element.dispatchEvent(new KeyboardEvent('keydown', init));
+        element.dispatchEvent(new KeyboardEvent('keyup', init));
+    }
+
+    /** Set a text box's value through the native setter so framework listeners see it */
+    function typeInto(input, text) {
+        const view = input.ownerDocument.defaultView || window;
+        const proto = input.tagName === 'TEXTAREA' ? view.HTMLTextAreaElement.prototype : view.HTMLInputElement.prototype;
+        input.focus();
+        Object.getOwnPropertyDescriptor(proto, 'value').set.call(input, text);
+        input.dispatchEvent(new Event('input', { bubbles: true, composed: true }));
+        input.dispatchEvent(new KeyboardEvent('keyup', { key: text.slice(-1), bubbles: true }));
+    }
+
+    /** Elements referenced by an id-list attribute such as aria-controls */
+    function byIdRef(element, attr) {
+        const ids = (element.getAttribute(attr) || '').split(/\s+/).filter(Boolean);
+        const root = element.getRootNode();
+        for (const id of ids) {
+            const found = root.getElementById?.(id) || element.ownerDocument.getElementById(id);
+            if (found) return found;
+        }
+        return null;
+    }
+
+    /* ───── options ───── */
+
+    /**
+     * Turn option elements into the { value, text } list Validator.validateSelect reads.
+     * @param {Element[]} elements
+     * @param {Function} [valueOf] - Element → value; defaults to data-value or text
+     */
+    function toOptions(elements, valueOf) {
+        return Array.from(elements)
+            .filter(el => el.getAttribute('aria-disabled') !== 'true')
+            .map(el => {
+                const text = el.textContent.trim();
+                return { value: valueOf ? valueOf(el) : (el.getAttribute('data-value') || text), text, element: el };
+            });
+    }
+
+    /**
+     * Pick the option matching a value, with the same rules as a native <select>.
+     * @returns {{ option?: Object, error?: string }}
+     */
+    function match(options, value) {
+        const check = Validator.validateSelect(value, options.map(({ value: v, text }) => ({ value: v, text })));
+        if (!check.valid) return { error: check.error };
+        const option = options.find(o => o.value === check.value);
+        return option ? { option } : { error: `"${value}" not in dropdown options` };
+    }
+
+    /**
+     * The open → type → pick sequence most comboboxes share.
+     * @param {Object} steps
+     * @param {Function} steps.open - Opens the popup
+     * @param {Function} steps.options - Returns the rendered option elements
+     * @param {HTMLInputElement|Function} [steps.input] - Text box to type into, to filter long or
+     *   remote lists; a function is called once the popup is open
+     * @param {Function} [steps.valueOf] - Option element → value
+     * @param {Function} [steps.close] - Closes the popup when nothing matched
+     * @param {*} value
+     * @returns {Promise<{ success: boolean, error?: string }>}
+     */
+    async function choose({ open, options, input, valueOf, close }, value) {
+        const rendered = () => {
+            const els = Array.from(options() || []);
+            return els.length > 0 ? els : null;
+        };
+
+        await open();
+        const box = typeof input === 'function' ? input() : input;
+        let found = null;
+        if (box) {
+            typeInto(box, String(value));
+            found = await waitFor(rendered);
+            // The filter may hide an option matched by value rather than text
+            if (!found || match(toOptions(found, valueOf), value).error) {
+                typeInto(box, '');
+                found = await waitFor(rendered);
+            }
+        } else {
+            found = await waitFor(rendered);
+        }
+
+        if (!found) {
+            if (close) close();
+            return { success: false, error: 'No options appeared' };
+        }
+
+        const picked = match(toOptions(found, valueOf), value);
+        if (picked.error) {
+            if (close) close();
+            return { success: false, error: picked.error };
+        }
+        press(picked.option.element);
+        return { success: true };
+    }
+
+    /* ───── fill / read ───── */
+
+    /**
+     * Fill a widget through its adapter.
+     * @param {Element} element - Widget host
+     * @param {string} name - Adapter name (field.widget)
+     * @param {*} value
+     * @returns {Promise<{ success: boolean, error?: string }>}
+     */
+    async function fill(element, name, value) {
+        const adapter = get(name);
+        if (!adapter) return { success: false, error: `Unknown widget: ${name}` };
+        // An empty cell leaves the widget as it is
+        if (value === null || value === undefined || String(value).trim() === '') return { success: true };
+        try {
+            return await adapter.fill(element, value);
+        } catch (err) {
+            return { success: false, error: `${adapter.label}: ${err.message}` };
+        }
+    }
+
+    function readValue(element, name) {
+        const adapter = get(name);
+        return adapter ? String(adapter.readValue(element) || '').trim() : '';
+    }
+
+    return {
+        register, get, detect, fill, readValue,
+        // Helpers for adapters
+        sleep, waitFor, press, key, typeInto, byIdRef, toOptions, match, choose
+    };
+})();
@@ -0,0 +1,260 @@
+/**
+ * Result exporter — writes per-row fill outcomes back into the loaded
+ * workbook as extra columns and downloads it via SheetJS. Cell edits and
+ * added or deleted rows from the popup's grid land in the workbook too, so
+ * every export carries them.
+ */
+const Exporter = (() => {
+    const RESULT_HEADERS = {
+        status: 'Fill Status',
+        error: 'Fill Error',
+        time: 'Filled At',
+        readback: 'Read Back'
+    };
+
+    /* ───── sheet helpers ───── */
+
+    /** Sheet row (0-based) a parsed row came from — SheetJS tags rows with __rowNum__ */
+    function sheetRowOf(row) {
+        return row && typeof row.__rowNum__ === 'number' ? row.__rowNum__ : null;
+    }
+
+    /** Find a header cell by text, or claim the next free column for it */
+    function resultColumn(ws, range, headerRow, header) {
+        for (let c = range.s.c; c <= range.e.c; c++) {
+            const cell = ws[XLSX.utils.encode_cell({ r: headerRow, c })];
+            if (cell && String(cell.v) === header) return c;
+        }
+        range.e.c++;
+        return range.e.c;
+    }
+
+    function setCell(ws, r, c, value) {
+        const ref = XLSX.utils.encode_cell({ r, c });
+        if (value === null || value === undefined || value === '') {
+            delete ws[ref];
+            return;
+        }
+        ws[ref] = { t: 's', v: String(value) };
+    }
+
+    /* ───── annotate ───── */
+
+    /**
+     * Write run results into a sheet of the workbook, in place.
+     * Re-exporting reuses the result columns instead of adding new ones.
+     * @param {Object} workbook - SheetJS workbook
+     * @param {string} sheetName
+     * @param {Object[]} rows - Parsed rows (carrying __rowNum__)
+     * @param {Object} checkpoint - { rows: statuses[], errors, times, readback } from Storage.getCheckpoint
+     * @param {Object} [options]
+     * @param {boolean} [options.includeReadback] - Add the "Read Back" column
+     * @param {Object} [options.header] - { last } from SheetLayout.read; result headers go in its last row
+     * @returns {{ written: number }}
+     */
+    function annotateSheet(workbook, sheetName, rows, checkpoint, options = {}) {
+        const ws = workbook.Sheets[sheetName];
+        if (!ws || !ws['!ref']) throw new Error(`Sheet not found: ${sheetName}`);
+
+        const range = XLSX.utils.decode_range(ws['!ref']);
+        const headerRow = options.header ? options.header.last : range.s.r;
+        const keys = Object.keys(RESULT_HEADERS).filter(k => k !== 'readback' || options.includeReadback);
+
+        const cols = {};
+        keys.forEach(key => {
+            cols[key] = resultColumn(ws, range, headerRow, RESULT_HEADERS[key]);
+            setCell(ws, headerRow, cols[key], RESULT_HEADERS[key]);
+        });
+
+        let written = 0;
+        rows.forEach((row, i) => {
+            const r = sheetRowOf(row);
+            if (r === null) return;
+            const status = checkpoint.rows[i] || 'pending';
+            setCell(ws, r, cols.status, status);
+            setCell(ws, r, cols.error, checkpoint.errors?.[i] || '');
+            setCell(ws, r, cols.time, checkpoint.times?.[i] || '');
+            if (cols.readback !== undefined) setCell(ws, r, cols.readback, checkpoint.readback?.[i] || '');
+            if (r > range.e.r) range.e.r = r;
+            written++;
+        });
+
+        ws['!ref'] = XLSX.utils.encode_range(range);
+        return { written };
+    }
+
+    /* ───── edit ───── */
+
+    function sheetOf(workbook, sheetName) {
+        const ws = workbook.Sheets[sheetName];
+        if (!ws || !ws['!ref']) throw new Error(`Sheet not found: ${sheetName}`);
+        return ws;
+    }
+
+    /**
+     * Write one edited cell of a parsed row into its sheet. A number typed
+     * over a number cell stays a number; anything else is written as text.
+     * A column the sheet lacks is added after the last one.
+     * @param {Object} workbook - SheetJS workbook
+     * @param {string} sheetName
+     * @param {Object} header - { last, columns } from SheetLayout.read; gains any added column
+     * @param {Object} row - Parsed row (carrying __rowNum__)
+     * @param {string} column - Parsed column name
+     * @param {string} value
+     */
+    function writeCell(workbook, sheetName, header, row, column, value) {
+        const ws = sheetOf(workbook, sheetName);
+        const r = sheetRowOf(row);
+        if (r === null) return;
+
+        const range = XLSX.utils.decode_range(ws['!ref']);
+        let c = header.columns[column];
+        if (c === undefined) {
+            c = ++range.e.c;
+            setCell(ws, header.last, c, column);
+            header.columns[column] = c;
+        }
+        const ref = XLSX.utils.encode_cell({ r, c });
+        const text = String(value ?? '');
+        if (ws[ref]?.t === 'n' && /^-?\d+(\.\d+)?$/.test(text.trim())) {
+            ws[ref] = { t: 'n', v: Number(text) };
+        } else {
+            setCell(ws, r, c, text);
+        }
+        if (r > range.e.r) range.e.r = r;
+        ws['!ref'] = XLSX.utils.encode_range(range);
+    }
+
+    /** Tag a row with its sheet row the way sheet_to_json and SheetLayout do: hidden from Object.keys */
+    function tagRow(row, r) {
+        return Object.defineProperty(row, '__rowNum__', { value: r, enumerable: false });
+    }
+
+    /**
+     * Give a new parsed row a sheet row below the last one and write its cells.
+     * @param {Object} workbook - SheetJS workbook
+     * @param {string} sheetName
+     * @param {Object} header - { last, columns } from SheetLayout.read
+     * @param {Object} values - { column: value }
+     * @returns {Object} The row, tagged with its __rowNum__
+     */
+    function appendRow(workbook, sheetName, header, values) {
+        const ws = sheetOf(workbook, sheetName);
+        const range = XLSX.utils.decode_range(ws['!ref']);
+        range.e.r++;
+        ws['!ref'] = XLSX.utils.encode_range(range);
+
+        const row = tagRow({ ...values }, range.e.r);
+        Object.entries(values).forEach(([column, value]) => {
+            if (value !== '' && value !== null && value !== undefined) writeCell(workbook, sheetName, header, row, column, value);
+        });
+        return row;
+    }
+
+    /**
+     * Remove a parsed row's sheet row, moving the rows below it up one.
+     * Rows below get fresh objects, since SheetJS makes __rowNum__ read-only.
+     * @param {Object} workbook - SheetJS workbook
+     * @param {string} sheetName
+     * @param {Object[]} rows - Parsed rows (carrying __rowNum__)
+     * @param {number} index - Row to remove
+     * @returns {Object[]} The parsed rows without it
+     */
+    function deleteRow(workbook, sheetName, rows, index) {
+        const ws = sheetOf(workbook, sheetName);
+        const gone = sheetRowOf(rows[index]);
+        const rest = rows.filter((_, i) => i !== index);
+        if (gone === null) return rest;
+
+        const range = XLSX.utils.decode_range(ws['!ref']);
+        for (let r = gone; r <= range.e.r; r++) {
+            for (let c = range.s.c; c <= range.e.c; c++) {
+                const below = ws[XLSX.utils.encode_cell({ r: r + 1, c })];
+                const ref = XLSX.utils.encode_cell({ r, c });
+                if (below && r < range.e.r) ws[ref] = below;
+                else delete ws[ref];
+            }
+        }
+        if (ws['!rows']) ws['!rows'].splice(gone, 1);
+        if (ws['!merges']) {
+            ws['!merges'] = ws['!merges']
+                .filter(m => m.s.r > gone || m.e.r < gone)
+                .map(m => m.s.r > gone ? { s: { ...m.s, r: m.s.r - 1 }, e: { ...m.e, r: m.e.r - 1 } } : m);
+        }
+        range.e.r = Math.max(range.s.r, range.e.r - 1);
+        ws['!ref'] = XLSX.utils.encode_range(range);
+
+        return rest.map(row => {
+            const r = sheetRowOf(row);
+            return r !== null && r > gone ? tagRow({ ...row }, r - 1) : row;
+        });
+    }
+
+    /* ───── extract ───── */
+
+    /**
+     * Copy some rows of a sheet, header included, into a new one-sheet workbook,
+     * e.g. the rows a selection leaves, or the rows a pre-flight check rejected
+     * with a note column saying why. Cells keep their original types and formats.
+     * @param {Object} workbook - SheetJS workbook
+     * @param {string} sheetName
+     * @param {Object[]} rows - Parsed rows (carrying __rowNum__)
+     * @param {number[]} indices - Rows to copy, in the order to write them
+     * @param {Object} [options]
+     * @param {Object} [options.note] - { header, values: { rowIndex: text } } for an extra column
+     * @param {Object} [options.header] - { first, last } from SheetLayout.read; the header rows to copy
+     * @returns {{ workbook: Object, written: number }}
+     */
+    function extractRows(workbook, sheetName, rows, indices, options = {}) {
+        const ws = sheetOf(workbook, sheetName);
+        const { note } = options;
+        const range = XLSX.utils.decode_range(ws['!ref']);
+        const first = options.header ? options.header.first : range.s.r;
+        const last = options.header ? options.header.last : range.s.r;
+        const lastCol = range.e.c - range.s.c + (note ? 1 : 0);
+        const out = {};
+        const copyRow = (from, to) => {
+            for (let c = range.s.c; c <= range.e.c; c++) {
+                const cell = ws[XLSX.utils.encode_cell({ r: from, c })];
+                if (cell) out[XLSX.utils.encode_cell({ r: to, c: c - range.s.c })] = { ...cell };
+            }
+        };
+
+        for (let r = first; r <= last; r++) copyRow(r, r - first);
+        const top = last - first;
+        if (note) setCell(out, top, lastCol, note.header);
+
+        let written = 0;
+        indices.forEach(i => {
+            const r = sheetRowOf(rows[i]);
+            if (r === null) return;
+            written++;
+            copyRow(r, top + written);
+            if (note) setCell(out, top + written, lastCol, note.values[i]);
+        });
+
+        out['!ref'] = XLSX.utils.encode_range({ s: { r: 0, c: 0 }, e: { r: top + written, c: lastCol } });
+        const book = XLSX.utils.book_new();
+        XLSX.utils.book_append_sheet(book, out, sheetName);
+        return { workbook: book, written };
+    }
+
+    /* ───── download ───── */
+
+    /**
+     * Download a workbook (or one sheet of it as CSV).
+     * @param {Object} workbook
+     * @param {string} sheetName - Sheet to export when format is csv
+     * @param {string} baseName - File name without extension
+     * @param {'xlsx'|'csv'} format
+     */
+    function download(workbook, sheetName, baseName, format) {
+        const bookType = format === 'csv' ? 'csv' : 'xlsx';
+        XLSX.writeFile(workbook, `${baseName}.${bookType}`, { bookType, sheet: sheetName });
+    }
+
+    return {
+        annotateSheet, extractRows, download, sheetRowOf,
+        writeCell, appendRow, deleteRow, RESULT_HEADERS
+    };
+})();
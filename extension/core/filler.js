@@ -1,11 +1,31 @@
 /**
  * Autofill execution engine.
- * Validates then fills fields, dispatches DOM events, supports
- * single-row, batch (with delay), and preview modes.
+ * Transforms, splits and validates then fills fields, dispatches DOM events, supports
+ * single-row and preview modes, and submits the form for the batch runner.
+ * Custom widgets (field.widget) are filled through their adapter (see Widgets).
+ * Fields the page renders late are waited for (settings.fieldTimeout); ones
+ * that never showed up on the previous row only briefly. Text
+ * fields can be typed one keystroke at a time instead (see Keyboard). File
+ * inputs get the attachments a cell names (see FileStore). Multiple selects
+ * take a delimited cell ("Red; Blue"); rich-text editors (contenteditable)
+ * get their text inserted as if typed. Each fillRow snapshots the fields it
+ * touches so the last few fills can be undone.
  */
 const Filler = (() => {
     const HIGHLIGHT_CLASS = 'gexcel-filled-highlight';
+    const POLL_INTERVAL = 150;
+    /** Wait for fields that were never ready on the previous row (ms) — a hidden field or missing option stays that way */
+    const ABSENT_WAIT = 500;
+    /**
+     * Input types the keystroke strategy applies to (plus textarea). Not number:
+     * it drops an unfinished "1." or "-" between keystrokes, so it is set in one go.
+     */
+    const TYPEABLE = ['text', 'email', 'tel', 'url', 'search', 'password'];
+    /** Fills kept for undo */
+    const UNDO_DEPTH = 10;
     let abortController = null;
+    let lastFilled = [];   // [{ selector, value }] from the most recent fillRow
+    let history = [];      // [{ at, fields: [{ selector, state }] }] — the fields each fillRow touched, newest last
 
     /* ───── event dispatch ───── */
 
@@ -22,6 +42,36 @@ const Filler = (() => {
         }
     }
 
+    /**
+     * Set a value through the native setter for React compatibility.
+     * Must pick the correct prototype based on element type, from the
+     * element's own window when it lives in a frame.
+     */
+    function setNativeValue(element, value) {
+        let nativeSetter;
+        const tag = element.tagName;
+        const view = element.ownerDocument.defaultView || window;
+        if (tag === 'TEXTAREA') {
+            nativeSetter = Object.getOwnPropertyDescriptor(
+                view.HTMLTextAreaElement.prototype, 'value'
+            )?.set;
+        } else if (tag === 'SELECT') {
+            nativeSetter = Object.getOwnPropertyDescriptor(
+                view.HTMLSelectElement.prototype, 'value'
+            )?.set;
+        } else {
+            nativeSetter = Object.getOwnPropertyDescriptor(
+                view.HTMLInputElement.prototype, 'value'
+            )?.set;
+        }
+
+        if (nativeSetter) {
+            nativeSetter.call(element, value);
+        } else {
+            element.value = value;
+        }
+    }
+
     /* ───── highlight ───── */
 
     function highlightElement(element, success) {
@@ -43,7 +93,7 @@ const Filler = (() => {
     }
 
     function removeAllHighlights() {
-        document.querySelectorAll('.' + HIGHLIGHT_CLASS).forEach(el => {
+        DomPath.queryAll('.' + HIGHLIGHT_CLASS).forEach(el => {
             el.style.boxShadow = '';
             el.style.outline = '';
             el.classList.remove(HIGHLIGHT_CLASS);
@@ -54,25 +104,29 @@ const Filler = (() => {
 
     /**
      * Fill one field with a value.
-     * @param {string} selector - CSS selector of the field
+     * @param {string} selector - CSS or composite selector of the field (see DomPath)
      * @param {*} value - The value to fill
-     * @param {Object} fieldMeta - Field metadata (type, required, options, min, max)
+     * @param {Object} fieldMeta - Field metadata (type, required, options, min, max, widget)
      * @param {Object} settings - Fill settings
-     * @returns {{ success: boolean, error?: string }}
+     * @param {Object} [typing] - { strategy: 'set'|'type', charDelay, commit } from typingOf()
+     * @param {Object} [format] - Number format a transform wrote the value with (see Splitter.targetsOf)
+     * @returns {Promise<{ success: boolean, error?: string }>}
      */
-    function fillField(selector, value, fieldMeta, settings) {
-        const element = document.querySelector(selector);
+    async function fillField(selector, value, fieldMeta, settings, typing = null, format = null) {
+        const element = DomPath.query(selector);
         if (!element) {
             return { success: false, error: `Element not found: ${selector}` };
         }
 
         // Skip if already filled and option is on
-        if (settings.skipFilled && element.value && element.value.trim() !== '') {
+        if (settings.skipFilled && currentValue(element, fieldMeta) !== '') {
             return { success: true, skipped: true };
         }
 
-        // Validate
-        const validation = Validator.validate(value, fieldMeta);
+        // Validate — against the options a select has now, which may have loaded since detection
+        const validation = Validator.validate(value, element.tagName === 'SELECT'
+            ? { ...fieldMeta, options: liveOptions(element) }
+            : fieldMeta, settings.locale, { format });
         if (!validation.valid) {
             if (settings.highlightFields) highlightElement(element, false);
             return { success: false, error: validation.error };
@@ -80,12 +134,24 @@ const Filler = (() => {
 
         const finalValue = validation.value !== undefined ? validation.value : value;
 
+        if (fieldMeta.widget) {
+            const result = await Widgets.fill(element, fieldMeta.widget, finalValue);
+            if (settings.highlightFields) highlightElement(element, result.success);
+            return result;
+        }
+
         try {
             const type = (fieldMeta.type || 'text').toLowerCase();
 
-            if (type === 'select' || type === 'select-one' || type === 'select-multiple') {
+            if (type === 'select-multiple') {
+                const values = [].concat(finalValue);
+                Array.from(element.options).forEach(opt => { opt.selected = values.includes(opt.value); });
+                dispatchEvents(element);
+            } else if (type === 'select' || type === 'select-one') {
                 element.value = finalValue;
                 dispatchEvents(element);
+            } else if (type === 'contenteditable') {
+                fillEditable(element, String(finalValue));
             } else if (type === 'checkbox') {
                 const shouldCheck = ['true', 'yes', '1', 'on', 'x', '✓'].includes(
                     String(finalValue).toLowerCase().trim()
@@ -96,40 +162,29 @@ const Filler = (() => {
                 }
             } else if (type === 'radio') {
                 // Find the radio with matching value in the group
-                const radios = document.querySelectorAll(`input[type="radio"][name="${element.name}"]`);
                 const strVal = String(finalValue).toLowerCase().trim();
-                for (const radio of radios) {
-                    if (radio.value.toLowerCase() === strVal ||
-                        (radio.labels?.[0]?.textContent || '').toLowerCase().trim() === strVal) {
-                        radio.checked = true;
-                        dispatchEvents(radio);
-                        break;
-                    }
+                const radio = radioGroup(element).find(r => r.value.toLowerCase() === strVal ||
+                    (r.labels?.[0]?.textContent || '').toLowerCase().trim() === strVal);
+                if (!radio) {
+                    if (settings.highlightFields) highlightElement(element, false);
+                    return { success: false, error: `"${finalValue}" not in radio options` };
                 }
-            } else {
-                // Use native setter for React compatibility
-                // Must pick the correct prototype based on element type
-                let nativeSetter;
-                const tag = element.tagName;
-                if (tag === 'TEXTAREA') {
-                    nativeSetter = Object.getOwnPropertyDescriptor(
-                        window.HTMLTextAreaElement.prototype, 'value'
-                    )?.set;
-                } else if (tag === 'SELECT') {
-                    nativeSetter = Object.getOwnPropertyDescriptor(
-                        window.HTMLSelectElement.prototype, 'value'
-                    )?.set;
-                } else {
-                    nativeSetter = Object.getOwnPropertyDescriptor(
-                        window.HTMLInputElement.prototype, 'value'
-                    )?.set;
+                radio.checked = true;
+                dispatchEvents(radio);
+            } else if (type === 'file') {
+                const attached = await attachFiles(element, finalValue);
+                if (!attached.success) {
+                    if (settings.highlightFields) highlightElement(element, false);
+                    return attached;
                 }
-
-                if (nativeSetter) {
-                    nativeSetter.call(element, String(finalValue));
-                } else {
-                    element.value = String(finalValue);
+            } else if (typing?.strategy === 'type' && (element.tagName === 'TEXTAREA' || TYPEABLE.includes(element.type))) {
+                const typed = await Keyboard.type(element, String(finalValue), typing, abortController);
+                if (!typed.success) {
+                    if (settings.highlightFields) highlightElement(element, false);
+                    return typed;
                 }
+            } else {
+                setNativeValue(element, String(finalValue));
                 dispatchEvents(element);
             }
 
@@ -140,123 +195,543 @@ const Filler = (() => {
         }
     }
 
+    function radioGroup(radio) {
+        if (!radio.name) return [radio];
+        return Array.from(radio.getRootNode().querySelectorAll(`input[type="radio"][name="${CSS.escape(radio.name)}"]`));
+    }
+
+    function liveOptions(select) {
+        return Array.from(select.options).map(opt => ({ value: opt.value, text: opt.textContent.trim() }));
+    }
+
+    /** Value a field shows now, read through its adapter for widgets */
+    function currentValue(element, fieldMeta) {
+        if (fieldMeta?.widget) return Widgets.readValue(element, fieldMeta.widget);
+        if (element.isContentEditable) return element.innerText.trim();
+        if (element.tagName === 'SELECT' && element.multiple) {
+            return Array.from(element.selectedOptions).map(opt => opt.textContent.trim()).join('; ');
+        }
+        return typeof element.value === 'string' ? element.value.trim() : '';
+    }
+
+    /* ───── rich-text editors ───── */
+
+    /**
+     * Replace a contenteditable region's text. Selecting everything and
+     * inserting text goes through the editor's own input handling, as
+     * typing would (Quill, ProseMirror, Draft.js and CKEditor keep their
+     * own model); setting the text directly is the fallback. With asHtml
+     * the content is markup, as when undo puts an editor back.
+     */
+    function fillEditable(element, text, asHtml = false) {
+        const doc = element.ownerDocument;
+        const view = doc.defaultView || window;
+        element.focus();
+        const range = doc.createRange();
+        range.selectNodeContents(element);
+        const selection = view.getSelection();
+        selection.removeAllRanges();
+        selection.addRange(range);
+
+        const inserted = text === ''
+            ? doc.execCommand('delete', false)
+            : doc.execCommand(asHtml ? 'insertHTML' : 'insertText', false, text);
+        if (!inserted) {
+            if (asHtml) element.innerHTML = text;
+            else element.innerText = text;
+            element.dispatchEvent(new view.InputEvent('input', { bubbles: true, inputType: 'insertText', data: asHtml ? null : text }));
+        }
+        element.dispatchEvent(new Event('blur', { bubbles: true }));
+    }
+
+    /* ───── file inputs ───── */
+
+    /** Whether a file satisfies an accept attribute (".pdf, image/*") */
+    function accepts(accept, file) {
+        const tokens = String(accept || '').split(',').map(t => t.trim().toLowerCase()).filter(Boolean);
+        if (tokens.length === 0) return true;
+        const name = file.name.toLowerCase();
+        const type = (file.type || '').toLowerCase();
+        return tokens.some(t => t.startsWith('.') ? name.endsWith(t)
+            : t.endsWith('/*') ? type.startsWith(t.slice(0, -1))
+                : type === t);
+    }
+
+    /**
+     * Attach the files a cell names, fetched from the attachment store by the
+     * service worker, through a DataTransfer as a drop would.
+     * @returns {Promise<{ success: boolean, error?: string }>}
+     */
+    async function attachFiles(element, value) {
+        const names = FileStore.namesIn(value);
+        if (names.length === 0) return { success: true };
+        if (names.length > 1 && !element.multiple) {
+            return { success: false, error: `Field takes one file, cell names ${names.length}` };
+        }
+
+        const response = await chrome.runtime.sendMessage({ action: 'getAttachments', names });
+        if (!response?.success) return { success: false, error: response?.error || 'Attachments unavailable' };
+        if (response.missing.length > 0) return { success: false, error: `File not found: ${response.missing.join(', ')}` };
+
+        const view = element.ownerDocument.defaultView || window;
+        const transfer = new view.DataTransfer();
+        for (const file of response.files) {
+            if (!accepts(element.accept, file)) {
+                return { success: false, error: `${file.name} is not an accepted file type (${element.accept})` };
+            }
+            const bytes = Uint8Array.from(atob(file.data), c => c.charCodeAt(0));
+            transfer.items.add(new File([bytes], file.name, { type: file.type }));
+        }
+        element.files = transfer.files;
+        dispatchEvents(element);
+        return { success: true };
+    }
+
+    /**
+     * How a column's fields are filled: the entry's own typing options
+     * over the settings, which carry the profile's defaults.
+     */
+    function typingOf(entryTyping, settings) {
+        return {
+            strategy: entryTyping?.strategy || settings.fillStrategy || 'set',
+            charDelay: entryTyping?.charDelay ?? settings.charDelay,
+            commit: entryTyping?.commit || settings.commitMode || 'none'
+        };
+    }
+
+    /* ───── mapping targets ───── */
+
+    function fieldMetaOf(field) {
+        return {
+            type: field?.type || 'text',
+            required: field?.required || false,
+            options: field?.options || null,
+            min: field?.min,
+            max: field?.max,
+            step: field?.step,
+            minLength: field?.minLength,
+            maxLength: field?.maxLength,
+            pattern: field?.pattern,
+            placeholder: field?.placeholder,
+            widget: field?.widget || null
+        };
+    }
+
     /* ───── fill a single row ───── */
 
+    /**
+     * Whether the page is ready for a target: its element is rendered and,
+     * for a select, the option for the value has loaded.
+     */
+    function isReady(target) {
+        const element = DomPath.query(target.selector);
+        if (!element) return false;
+        // File inputs are often hidden behind a styled label
+        if (element.type !== 'file' && element.getClientRects().length === 0) return false;
+        if (element.tagName !== 'SELECT' || target.value === null || target.value === undefined ||
+            String(target.value).trim() === '') return true;
+        const options = liveOptions(element);
+        const check = element.multiple ? Validator.validateMultiSelect : Validator.validateSelect;
+        return options.some(opt => opt.value !== '') && check(target.value, options).valid;
+    }
+
     /**
      * Fill all mapped fields for one data row.
-     * @param {Object} mapping - { columnName: { selector, field } }
+     * Fields are filled in dependency order: each pass fills the fields that
+     * are ready and leaves the rest for the next pass, so a dependent dropdown
+     * or a revealed section gets filled once the field that controls it has
+     * been. When a pass makes no progress, the filler waits for the page to
+     * change for up to settings.fieldTimeout ms — or ABSENT_WAIT when every
+     * field left is in settings.absentSelectors.
+     * @param {Object} mapping - { columnName: { selector, field, transforms?, split?, typing? } }
      * @param {Object} rowData - { columnName: value }
-     * @param {Object} settings
-     * @returns {{ success: boolean, filled: number, skipped: number, errors: Array }}
+     * @param {Object} settings - settings.skipSelectors lists fields to leave alone, e.g. ones skipped in a dry run;
+     *   settings.absentSelectors the fields a previous row's `unready` reported
+     * @returns {Promise<{ success: boolean, filled: number, skipped: number, errors: Array, unready: string[] }>}
+     *   unready: fields still not ready when the wait ran out
      */
-    function fillRow(mapping, rowData, settings) {
+    async function fillRow(mapping, rowData, settings) {
         let filled = 0, skipped = 0;
         const errors = [];
+        const touched = new Map();   // selector → state before this fill
+        lastFilled = [];
+        abortController = { aborted: false };
+        const controller = abortController;
 
+        const pending = [];
         for (const [column, mapInfo] of Object.entries(mapping)) {
             if (!mapInfo || !mapInfo.selector) continue;
-            const value = rowData[column];
-
-            const fieldMeta = {
-                type: mapInfo.field?.type || 'text',
-                required: mapInfo.field?.required || false,
-                options: mapInfo.field?.options || null,
-                min: mapInfo.field?.min,
-                max: mapInfo.field?.max
-            };
-
-            const result = fillField(mapInfo.selector, value, fieldMeta, settings);
 
-            if (result.skipped) {
-                skipped++;
-            } else if (result.success) {
-                filled++;
-            } else {
-                errors.push({ column, selector: mapInfo.selector, error: result.error });
+            // Transforms run before validation so validators see the final value
+            const transformed = Transformer.apply(rowData[column], mapInfo.transforms, settings.locale);
+            const resolved = transformed.error
+                ? { targets: [], error: transformed.error }
+                : Splitter.targetsOf(mapInfo, transformed.value, settings.locale);
+            if (resolved.error) {
+                errors.push({ column, selector: mapInfo.selector, error: resolved.error });
                 if (settings.stopOnError) {
                     return { success: false, filled, skipped, errors };
                 }
+                continue;
+            }
+            const typing = typingOf(mapInfo.typing, settings);
+            resolved.targets.forEach(target => {
+                if (settings.skipSelectors?.includes(target.selector)) skipped++;
+                else pending.push({ column, typing, ...target });
+            });
+        }
+
+        const absent = new Set(settings.absentSelectors || []);
+        let unready = [];
+        let queue = pending;
+        let waited = false;
+        while (queue.length > 0 && !controller.aborted) {
+            // After a fruitless wait, fill what is left so each field reports its own error
+            const ready = waited ? queue : queue.filter(isReady);
+            if (ready.length === 0) {
+                const timeout = queue.every(t => absent.has(t.selector))
+                    ? Math.min(settings.fieldTimeout || 0, ABSENT_WAIT)
+                    : settings.fieldTimeout;
+                const changed = await waitUntil(() => queue.some(isReady), timeout, controller);
+                waited = !changed;
+                if (waited) unready = queue.map(t => t.selector);
+                continue;
+            }
+
+            for (const target of ready) {
+                const before = DomPath.query(target.selector);
+                if (before && !touched.has(target.selector)) {
+                    touched.set(target.selector, snapshot(before, fieldMetaOf(target.field)));
+                }
+                const result = await fillField(target.selector, target.value, fieldMetaOf(target.field), settings, target.typing, target.format);
+
+                if (result.skipped) {
+                    skipped++;
+                } else if (result.success) {
+                    filled++;
+                    // Reset detection compares text values; widgets have none to compare, and a
+                    // value the form's reset puts back (its default) can't show a reset
+                    const element = DomPath.query(target.selector);
+                    if (element && !target.field?.widget && typeof element.value === 'string' &&
+                        !['checkbox', 'radio'].includes(element.type) && element.value !== defaultValueOf(element)) {
+                        lastFilled.push({ selector: target.selector, value: element.value });
+                    }
+                } else {
+                    errors.push({ column: target.column, selector: target.selector, error: result.error });
+                    if (settings.stopOnError) {
+                        record(touched);
+                        return { success: false, filled, skipped, errors, unready };
+                    }
+                }
             }
+            queue = queue.filter(t => !ready.includes(t));
         }
 
-        return { success: errors.length === 0, filled, skipped, errors };
+        record(touched);
+        return { success: errors.length === 0, filled, skipped, errors, unready };
     }
 
-    /* ───── batch fill ───── */
+    /* ───── undo ───── */
 
     /**
-     * Fill multiple rows with delay.
-     * @returns {Promise<{ totalFilled: number, totalErrors: number, results: Array }>}
+     * What a field holds before a fill touches it: its value, checked state
+     * (the whole group's for a radio), selected options, files, editor
+     * markup, or a widget's displayed value.
      */
-    async function fillBatch(mapping, rows, settings, onProgress) {
-        abortController = { aborted: false };
-        const results = [];
-        let totalFilled = 0, totalErrors = 0;
+    function snapshot(element, fieldMeta) {
+        if (fieldMeta.widget) return { kind: 'widget', widget: fieldMeta.widget, value: Widgets.readValue(element, fieldMeta.widget) };
+        if (element.isContentEditable) return { kind: 'editable', html: element.innerHTML };
+        if (element.tagName === 'SELECT') return { kind: 'select', selected: Array.from(element.options).map(opt => opt.selected) };
+        if (element.type === 'checkbox') return { kind: 'checkbox', checked: element.checked };
+        if (element.type === 'radio') return { kind: 'radio', checked: radioGroup(element).map(radio => radio.checked) };
+        if (element.type === 'file') return { kind: 'file', files: Array.from(element.files || []) };
+        return { kind: 'value', value: element.value };
+    }
+
+    function sameState(a, b) {
+        if (a.kind === 'file') return a.files.length === b.files.length && a.files.every((f, i) => f === b.files[i]);
+        return JSON.stringify(a) === JSON.stringify(b);
+    }
 
-        for (let i = 0; i < rows.length; i++) {
-            if (abortController.aborted) {
-                results.push({ row: i, aborted: true });
-                break;
+    /** Put a field back to a snapshot, dispatching the events a fill would */
+    async function restore(element, state) {
+        switch (state.kind) {
+            case 'widget':
+                if (String(state.value ?? '').trim() === '') return { success: false, error: 'A custom widget cannot be emptied' };
+                return Widgets.fill(element, state.widget, state.value);
+            case 'editable':
+                fillEditable(element, state.html, true);
+                return { success: true };
+            case 'select':
+                if (element.options.length !== state.selected.length) return { success: false, error: 'The options changed since the fill' };
+                Array.from(element.options).forEach((opt, i) => { opt.selected = state.selected[i]; });
+                dispatchEvents(element);
+                return { success: true };
+            case 'checkbox':
+                element.checked = state.checked;
+                dispatchEvents(element);
+                return { success: true };
+            case 'radio': {
+                const radios = radioGroup(element);
+                radios.forEach((radio, i) => { radio.checked = !!state.checked[i]; });
+                dispatchEvents(radios.find(radio => radio.checked) || element);
+                return { success: true };
             }
+            case 'file': {
+                const view = element.ownerDocument.defaultView || window;
+                const transfer = new view.DataTransfer();
+                state.files.forEach(file => transfer.items.add(file));
+                element.files = transfer.files;
+                dispatchEvents(element);
+                return { success: true };
+            }
+            default:
+                setNativeValue(element, state.value);
+                dispatchEvents(element);
+                return { success: true };
+        }
+    }
 
-            const result = fillRow(mapping, rows[i], settings);
-            results.push({ row: i, ...result });
-            totalFilled += result.filled;
-            totalErrors += result.errors.length;
+    function record(touched) {
+        if (touched.size === 0) return;
+        history.push({ at: Date.now(), fields: [...touched].map(([selector, state]) => ({ selector, state })) });
+        if (history.length > UNDO_DEPTH) history.shift();
+    }
 
-            if (onProgress) {
-                onProgress({ current: i + 1, total: rows.length, result });
+    /**
+     * Put back the fields the most recent fill changed; call again to step
+     * further back, up to UNDO_DEPTH fills. Fields already back where they
+     * were are left alone.
+     * @returns {Promise<{ success: boolean, restored: number, errors: Array<{ selector, error }>, remaining: number, error?: string }>}
+     */
+    async function undo() {
+        const entry = history.pop();
+        if (!entry) return { success: false, error: 'Nothing to undo', restored: 0, errors: [], remaining: 0 };
+
+        let restored = 0;
+        const errors = [];
+        for (const { selector, state } of [...entry.fields].reverse()) {
+            const element = DomPath.query(selector);
+            if (!element) {
+                errors.push({ selector, error: 'Field is no longer on the page' });
+                continue;
+            }
+            if (sameState(state, snapshot(element, { widget: state.widget }))) continue;
+            try {
+                const result = await restore(element, state);
+                if (result.success) restored++;
+                else errors.push({ selector, error: result.error });
+            } catch (err) {
+                errors.push({ selector, error: err.message });
             }
+        }
+
+        lastFilled = [];
+        return { success: errors.length === 0, restored, errors, remaining: history.length };
+    }
+
+    /** Number of fills undo can still take back */
+    function undoDepth() {
+        return history.length;
+    }
+
+    /* ───── submit ───── */
+
+    /**
+     * Submit a form through its detected submit control.
+     * Falls back to requestSubmit() when the form has no clickable control.
+     * @param {{ element: Element|null, form: HTMLFormElement|null }} control - From Detector.findSubmitControl
+     * @returns {{ success: boolean, error?: string }}
+     */
+    function submitForm(control) {
+        const { element, form } = control || {};
+        try {
+            if (element) {
+                element.click();
+            } else if (form) {
+                if (typeof form.requestSubmit === 'function') form.requestSubmit();
+                else form.submit();
+            } else {
+                return { success: false, error: 'No submit control found' };
+            }
+            return { success: true };
+        } catch (err) {
+            return { success: false, error: err.message };
+        }
+    }
+
+    /* ───── wizard steps ───── */
+
+    /**
+     * Click an element, e.g. a wizard's "Next" button.
+     * @param {string} selector
+     * @returns {{ success: boolean, error?: string }}
+     */
+    function click(selector) {
+        const element = DomPath.query(selector);
+        if (!element) return { success: false, error: `Element not found: ${selector}` };
+        try {
+            element.click();
+            return { success: true };
+        } catch (err) {
+            return { success: false, error: err.message };
+        }
+    }
 
-            if (!result.success && settings.stopOnError) break;
+    /**
+     * Wait for an element to be in the page and rendered.
+     * @param {string} selector
+     * @param {number} timeout - Milliseconds before giving up
+     * @returns {Promise<{ found: boolean }>}
+     */
+    async function waitForElement(selector, timeout) {
+        const found = await waitUntil(() => {
+            const element = DomPath.query(selector);
+            return !!element && element.getClientRects().length > 0;
+        }, timeout);
+        return { found };
+    }
 
-            // Delay between rows
-            if (i < rows.length - 1 && settings.delay > 0) {
-                await new Promise(r => setTimeout(r, settings.delay));
+    /* ───── waiting for the page ───── */
+
+    /**
+     * Resolve once check() passes, re-checking whenever the DOM changes.
+     * Changes inside shadow roots and frames don't reach the observer, so
+     * it polls as well.
+     * @param {Function} check
+     * @param {number} timeout - Milliseconds before giving up
+     * @param {{ aborted: boolean }} [controller] - Gives up early once aborted
+     * @returns {Promise<boolean>} Whether check() passed in time
+     */
+    function waitUntil(check, timeout, controller) {
+        return new Promise(resolve => {
+            if (check()) {
+                resolve(true);
+                return;
             }
+            const finish = (passed) => {
+                observer.disconnect();
+                clearInterval(poll);
+                clearTimeout(timer);
+                resolve(passed);
+            };
+            const observer = new MutationObserver(() => {
+                if (check()) finish(true);
+            });
+            observer.observe(document.documentElement, { childList: true, subtree: true, attributes: true });
+            const poll = setInterval(() => {
+                if (controller?.aborted) finish(false);
+                else if (check()) finish(true);
+            }, POLL_INTERVAL);
+            const timer = setTimeout(() => finish(check()), timeout || 0);
+        });
+    }
+
+    /* ───── read back ───── */
+
+    /**
+     * Read the current value or text of an element (e.g. a confirmation number).
+     * @param {string} selector
+     * @returns {{ success: boolean, value?: string, error?: string }}
+     */
+    function readValue(selector) {
+        const element = DomPath.query(selector);
+        if (!element) return { success: false, error: `Element not found: ${selector}` };
+        const value = 'value' in element && typeof element.value === 'string'
+            ? element.value
+            : element.textContent;
+        return { success: true, value: (value || '').trim() };
+    }
+
+    /* ───── reset detection ───── */
+
+    /** The value a form reset gives a field: its default option for a select, its default value otherwise */
+    function defaultValueOf(element) {
+        if (element.tagName === 'SELECT') {
+            const options = Array.from(element.options);
+            return (options.find(opt => opt.defaultSelected) || (element.multiple ? null : options[0]))?.value ?? '';
         }
+        return element.defaultValue ?? '';
+    }
+
+    /** True once every non-empty value from the last fill is gone from the page (only values a reset changes are tracked) */
+    function isFormReset() {
+        const tracked = lastFilled.filter(f => f.value !== '');
+        if (tracked.length === 0) return false;
+        return tracked.every(f => {
+            const element = DomPath.query(f.selector);
+            return !element || !element.isConnected || element.value !== f.value;
+        });
+    }
+
+    /**
+     * Wait until the fields from the last fill are cleared (form reset after submit).
+     * @param {number} timeout - Milliseconds before giving up
+     * @returns {Promise<{ reset: boolean }>}
+     */
+    async function waitForReset(timeout) {
+        abortController = { aborted: false };
+        const controller = abortController;
+        const deadline = Date.now() + (timeout || 0);
 
-        abortController = null;
-        return { totalFilled, totalErrors, results };
+        while (!controller.aborted && Date.now() < deadline) {
+            if (isFormReset()) return { reset: true };
+            await new Promise(r => setTimeout(r, POLL_INTERVAL));
+        }
+        return { reset: false };
     }
 
     /* ───── preview (dry run) ───── */
 
     /**
      * Generate a preview of what would be filled.
+     * @param {Object} mapping
+     * @param {Object} rowData
+     * @param {Object} [settings] - Fill settings (the source locale is read from them)
      * @returns {{ preview: Array, warnings: Array }}
      */
-    function preview(mapping, rowData) {
+    function preview(mapping, rowData, settings = {}) {
         const preview = [];
         const warnings = [];
 
         for (const [column, mapInfo] of Object.entries(mapping)) {
             if (!mapInfo || !mapInfo.selector) continue;
-            const value = rowData[column];
-            const element = document.querySelector(mapInfo.selector);
-
-            const fieldMeta = {
-                type: mapInfo.field?.type || 'text',
-                required: mapInfo.field?.required || false,
-                options: mapInfo.field?.options || null,
-                min: mapInfo.field?.min,
-                max: mapInfo.field?.max
-            };
-
-            const validation = Validator.validate(value, fieldMeta);
-
-            preview.push({
-                column,
-                selector: mapInfo.selector,
-                fieldLabel: mapInfo.field?.label || mapInfo.field?.name || mapInfo.selector,
-                currentValue: element?.value || '',
-                newValue: validation.value !== undefined ? validation.value : value,
-                valid: validation.valid,
-                error: validation.error || null
-            });
+            const transformed = Transformer.apply(rowData[column], mapInfo.transforms, settings.locale);
+            const resolved = transformed.error
+                ? { targets: [], error: transformed.error }
+                : Splitter.targetsOf(mapInfo, transformed.value, settings.locale);
+
+            if (resolved.error) {
+                preview.push({
+                    column,
+                    selector: mapInfo.selector,
+                    fieldLabel: mapInfo.field?.label || mapInfo.field?.name || mapInfo.selector,
+                    currentValue: DomPath.query(mapInfo.selector)?.value || '',
+                    newValue: transformed.value,
+                    valid: false,
+                    error: resolved.error
+                });
+                warnings.push({ column, error: resolved.error });
+                continue;
+            }
 
-            if (!validation.valid) {
-                warnings.push({ column, error: validation.error });
+            for (const target of resolved.targets) {
+                const element = DomPath.query(target.selector);
+                const validation = Validator.validate(target.value, fieldMetaOf(target.field), settings.locale, { format: target.format });
+
+                preview.push({
+                    column,
+                    selector: target.selector,
+                    fieldLabel: target.field?.label || target.field?.name || target.selector,
+                    currentValue: element ? currentValue(element, fieldMetaOf(target.field)) : '',
+                    newValue: validation.value !== undefined ? validation.value : target.value,
+                    valid: validation.valid,
+                    error: validation.error || null
+                });
+
+                if (!validation.valid) {
+                    warnings.push({ column, error: validation.error });
+                }
             }
         }
 
@@ -269,5 +744,8 @@ const Filler = (() => {
         if (abortController) abortController.aborted = true;
     }
 
-    return { fillField, fillRow, fillBatch, preview, stop, removeAllHighlights };
+    return {
+        fillField, fillRow, preview, submitForm, waitForReset, readValue,
+        click, waitForElement, stop, removeAllHighlights, undo, undoDepth
+    };
 })();
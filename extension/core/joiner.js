@@ -0,0 +1,168 @@
+/**
+ * Sheet joins — columns brought in from the workbook's other sheets.
+ * A join belongs to the sheet it was set up on (`from`) and only extends that sheet.
+ * It matches each row's key to a key column on another sheet and adds
+ * that sheet's other columns: "left" keeps rows without a match (blank
+ * cells), "inner" leaves them out. A lookup adds a single column, the way
+ * VLOOKUP does. Joins run in order, so a later one may key on a column an
+ * earlier one brought in.
+ *   { type: 'join',   from: 'People', sheet: 'Addresses', key: 'Person ID', otherKey: 'ID', kind: 'left' }
+ *   { type: 'lookup', from: 'People', sheet: 'Departments', key: 'Dept', otherKey: 'Code', column: 'Name', name: 'Department' }
+ * Keys match as trimmed, case-insensitive text (7 matches "7"); when a key is
+ * on several rows of the other sheet, the first one is used.
+ */
+const Joiner = (() => {
+
+    /** Key text a cell matches on; a date cell matches its calendar date written YYYY-MM-DD */
+    function keyOf(value) {
+        if (value instanceof Date) return Locale.isoDate(value);
+        return String(value ?? '').trim().toLowerCase();
+    }
+
+    /** Another sheet's rows and columns, under the layout detected for it */
+    function readSheet(workbook, sheetName) {
+        const ws = workbook.Sheets[sheetName];
+        return ws ? SheetLayout.read(ws, SheetLayout.detect(ws)) : null;
+    }
+
+    /**
+     * Columns a sheet offers to join on and bring in.
+     * @returns {string[]}
+     */
+    function columnsOf(workbook, sheetName) {
+        return readSheet(workbook, sheetName)?.columns || [];
+    }
+
+    /** Short description of a join for lists and notes */
+    function describe(join) {
+        if (join.type === 'lookup') {
+            return `${join.name || join.column} ← ${join.sheet}.${join.column} where ${join.key} = ${join.otherKey}`;
+        }
+        return `${join.sheet} where ${join.key} = ${join.otherKey}${join.kind === 'inner' ? ' (matched rows only)' : ''}`;
+    }
+
+    /** Whether a join extends a sheet */
+    function appliesTo(join, sheetName) {
+        return join.from === sheetName && join.sheet !== sheetName;
+    }
+
+    /* ───── planning ───── */
+
+    /**
+     * Work out what each join adds, reading every joined sheet once.
+     * Joined columns keep their names unless one is taken, then the sheet name
+     * is put in front ("Addresses.City"). A join that can't run is left out
+     * and reported in `errors`.
+     * @param {Object} workbook - SheetJS workbook
+     * @param {string} sheetName - Sheet whose rows are extended; joins set up on other sheets are ignored
+     * @param {string[]} columns - Its columns
+     * @param {Object[]} joins
+     * @returns {{ steps: Object[], columns: string[], added: string[], errors: string[] }}
+     */
+    function plan(workbook, sheetName, columns, joins) {
+        const all = columns.slice();
+        const added = [];
+        const errors = [];
+        const steps = [];
+        const sheets = {};
+
+        (joins || []).forEach(join => {
+            if (!appliesTo(join, sheetName)) return;
+            const other = sheets[join.sheet] ??= readSheet(workbook, join.sheet);
+            const label = describe(join);
+            if (!other) return errors.push(`${label}: no sheet "${join.sheet}"`);
+            if (!all.includes(join.key)) return errors.push(`${label}: no column "${join.key}" here`);
+            if (!other.columns.includes(join.otherKey)) return errors.push(`${label}: no column "${join.otherKey}" in ${join.sheet}`);
+
+            const wanted = join.type === 'lookup' ? [join.column] : other.columns.filter(col => col !== join.otherKey);
+            if (join.type === 'lookup' && !other.columns.includes(join.column)) {
+                return errors.push(`${label}: no column "${join.column}" in ${join.sheet}`);
+            }
+            const take = wanted.map(from => {
+                let to = join.type === 'lookup' ? (join.name || from) : from;
+                if (all.includes(to)) to = `${join.sheet}.${from}`;
+                all.push(to);
+                added.push(to);
+                return [from, to];
+            });
+
+            const index = new Map();
+            let repeated = 0;
+            other.rows.forEach(row => {
+                const key = keyOf(row[join.otherKey]);
+                if (key === '') return;
+                if (index.has(key)) repeated++;
+                else index.set(key, row);
+            });
+            steps.push({ join, index, take, repeated });
+        });
+
+        return { steps, columns: all, added, errors };
+    }
+
+    /**
+     * Fill a row's joined columns in place.
+     * @param {Object} row
+     * @param {Object} joinPlan - From plan()
+     * @returns {boolean} false when an inner join found no match
+     */
+    function extend(row, joinPlan) {
+        let keep = true;
+        joinPlan.steps.forEach(({ join, index, take }) => {
+            const match = index.get(keyOf(row[join.key]));
+            take.forEach(([from, to]) => { row[to] = match ? match[from] : ''; });
+            if (!match && join.type === 'join' && join.kind === 'inner') keep = false;
+        });
+        return keep;
+    }
+
+    /**
+     * Extend a sheet's rows with its joins.
+     * Rows are extended in place and keep their __rowNum__; inner joins drop the rows they don't match.
+     * @param {Object} workbook
+     * @param {string} sheetName
+     * @param {Object[]} rows - From SheetLayout.read
+     * @param {string[]} columns
+     * @param {Object[]} joins
+     * @returns {{ rows: Object[], columns: string[], plan: Object, notes: string[], errors: string[] }}
+     */
+    function apply(workbook, sheetName, rows, columns, joins) {
+        const joinPlan = plan(workbook, sheetName, columns, joins);
+        if (joinPlan.steps.length === 0) return { rows, columns, plan: joinPlan, notes: [], errors: joinPlan.errors };
+
+        const misses = joinPlan.steps.map(() => 0);
+        const kept = rows.filter(row => {
+            const keep = extend(row, joinPlan);
+            joinPlan.steps.forEach(({ join, index }, k) => {
+                if (!index.has(keyOf(row[join.key]))) misses[k]++;
+            });
+            return keep;
+        });
+
+        const notes = [];
+        joinPlan.steps.forEach(({ join, repeated }, k) => {
+            if (misses[k] > 0) {
+                const inner = join.type === 'join' && join.kind === 'inner';
+                notes.push(`${join.sheet}: ${misses[k]} row${misses[k] === 1 ? '' : 's'} without a match${inner ? ' left out' : ''}`);
+            }
+            if (repeated > 0) notes.push(`${join.sheet}: ${repeated} repeated ${join.otherKey} value${repeated === 1 ? '' : 's'}, first row used`);
+        });
+        return { rows: kept, columns: joinPlan.columns, plan: joinPlan, notes, errors: joinPlan.errors };
+    }
+
+    /**
+     * What the row list depends on beyond the sheet itself — inner joins drop
+     * rows, so checkpoints taken with different ones don't line up.
+     * @param {Object[]} joins
+     * @param {string} sheetName
+     * @returns {string} '' when no inner join extends the sheet
+     */
+    function signature(joins, sheetName) {
+        return (joins || [])
+            .filter(join => appliesTo(join, sheetName) && join.type === 'join' && join.kind === 'inner')
+            .map(join => `${join.sheet}:${join.key}=${join.otherKey}`)
+            .join('|');
+    }
+
+    return { apply, plan, extend, columnsOf, describe, signature, appliesTo, keyOf };
+})();
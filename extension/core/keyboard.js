@@ -0,0 +1,232 @@
+/**
+ * Keystroke-level typing.
+ * Types a value one character at a time — keydown, keypress, beforeinput,
+ * input, keyup — for fields with input masks, per-keystroke validation or
+ * autocomplete suggestion lists that ignore a value set in one go.
+ */
+const Keyboard = (() => {
+    const DEFAULT_CHAR_DELAY = 30;
+    const SUGGESTION_TIMEOUT = 1500;
+    const COMMIT_SETTLE = 300;   // Time for a suggestion list to catch up with the last keystroke
+    const POLL_INTERVAL = 50;
+
+    /** How a typed value is committed to the field's autocomplete */
+    const COMMIT_MODES = {
+        none: 'None',
+        enter: 'Enter',
+        'arrow-enter': 'Arrow Down + Enter',
+        tab: 'Tab',
+        suggestion: 'Click best suggestion'
+    };
+
+    /** Legacy keyCode for named keys — older mask and autocomplete scripts still read it */
+    const KEY_CODES = { Backspace: 8, Tab: 9, Enter: 13, ArrowDown: 40 };
+
+    /**
+     * Punctuation on a US layout: [keyCode, code], shifted characters on the same key.
+     * Their char codes would read as other keys ('.' is 46, Delete; '-' is 45, Insert).
+     */
+    const PUNCTUATION = {
+        ';': [186, 'Semicolon'], ':': [186, 'Semicolon'],
+        '=': [187, 'Equal'], '+': [187, 'Equal'],
+        ',': [188, 'Comma'], '<': [188, 'Comma'],
+        '-': [189, 'Minus'], '_': [189, 'Minus'],
+        '.': [190, 'Period'], '>': [190, 'Period'],
+        '/': [191, 'Slash'], '?': [191, 'Slash'],
+        '`': [192, 'Backquote'], '~': [192, 'Backquote'],
+        '[': [219, 'BracketLeft'], '{': [219, 'BracketLeft'],
+        '\\': [220, 'Backslash'], '|': [220, 'Backslash'],
+        ']': [221, 'BracketRight'], '}': [221, 'BracketRight'],
+        '\'': [222, 'Quote'], '"': [222, 'Quote']
+    };
+
+    /** Shifted digits: ! is Shift+1 */
+    const SHIFTED_DIGITS = ')!@#$%^&*(';
+
+    /** keyCode for a key, as a US layout would report it */
+    function keyCodeFor(key) {
+        if (KEY_CODES[key]) return KEY_CODES[key];
+        if (PUNCTUATION[key]) return PUNCTUATION[key][0];
+        if (key.length === 1 && SHIFTED_DIGITS.includes(key)) return 48 + SHIFTED_DIGITS.indexOf(key);
+        return key.toUpperCase().charCodeAt(0);
+    }
+
+    function sleep(ms) {
+        return new Promise(r => setTimeout(r, ms));
+    }
+
+    function viewOf(element) {
+        return element.ownerDocument.defaultView || window;
+    }
+
+    /** KeyboardEvent.code for a character, as a US layout would report it */
+    function codeFor(key) {
+        if (key.length > 1) return key;   // Named keys: Enter, Tab, Backspace…
+        if (/[a-z]/i.test(key)) return `Key${key.toUpperCase()}`;
+        if (/[0-9]/.test(key)) return `Digit${key}`;
+        if (key === ' ') return 'Space';
+        if (PUNCTUATION[key]) return PUNCTUATION[key][1];
+        if (SHIFTED_DIGITS.includes(key)) return `Digit${SHIFTED_DIGITS.indexOf(key)}`;
+        return '';
+    }
+
+    /** keydown → (keypress) → keyup around an action; the action is skipped when keydown is cancelled */
+    function keystroke(element, key, action) {
+        const view = viewOf(element);
+        const keyCode = keyCodeFor(key);
+        const init = { key, code: codeFor(key), keyCode, which: keyCode, bubbles: true, cancelable: true, composed: true, view };
+        const proceed = element.dispatchEvent(new view.KeyboardEvent('keydown', init)) &&
+            (key.length > 1 || element.dispatchEvent(new view.KeyboardEvent('keypress', { ...init, charCode: key.charCodeAt(0) })));
+        if (proceed && action) action();
+        element.dispatchEvent(new view.KeyboardEvent('keyup', init));
+    }
+
+    function setNativeValue(element, value) {
+        const view = viewOf(element);
+        const proto = element.tagName === 'TEXTAREA' ? view.HTMLTextAreaElement.prototype : view.HTMLInputElement.prototype;
+        Object.getOwnPropertyDescriptor(proto, 'value').set.call(element, value);
+    }
+
+    /** Caret range, or null for types without one (email, number) */
+    function selectionOf(element) {
+        try {
+            if (typeof element.selectionStart === 'number') {
+                return { start: element.selectionStart, end: element.selectionEnd };
+            }
+        } catch (_) { /* Not supported for this input type */ }
+        return null;
+    }
+
+    /** Apply one edit the way the browser does: beforeinput, the change, input */
+    function edit(element, inputType, data, apply) {
+        const view = viewOf(element);
+        const init = { inputType, data, bubbles: true, cancelable: true, composed: true };
+        if (!element.dispatchEvent(new view.InputEvent('beforeinput', init))) return;
+        apply();
+        element.dispatchEvent(new view.InputEvent('input', { ...init, cancelable: false }));
+    }
+
+    function insertChar(element, ch) {
+        edit(element, 'insertText', ch, () => {
+            // Read the value each time: masks reformat it as the user types
+            const value = element.value;
+            const sel = selectionOf(element);
+            const start = sel ? sel.start : value.length;
+            const end = sel ? sel.end : value.length;
+            setNativeValue(element, value.slice(0, start) + ch + value.slice(end));
+            if (sel) element.setSelectionRange(start + ch.length, start + ch.length);
+        });
+    }
+
+    /**
+     * Select everything and delete it, as Ctrl+A, Backspace would. Masks that
+     * handle Backspace themselves delete one character per press, so keep
+     * pressing until the value empties or stops changing.
+     */
+    function clear(element) {
+        for (let presses = element.value.length; presses > 0 && element.value !== ''; presses--) {
+            const before = element.value;
+            if (selectionOf(element)) element.setSelectionRange(0, element.value.length);
+            keystroke(element, 'Backspace', () => {
+                edit(element, 'deleteContentBackward', null, () => setNativeValue(element, ''));
+            });
+            if (element.value === before) break;
+        }
+    }
+
+    /* ───── autocomplete ───── */
+
+    function isShown(element) {
+        return element.getClientRects().length > 0 && viewOf(element).getComputedStyle(element).visibility !== 'hidden';
+    }
+
+    /** The visible suggestion options for a field: its ARIA popup, else any open listbox */
+    function suggestionsFor(element) {
+        const root = element.getRootNode();
+        const ids = `${element.getAttribute('aria-controls') || ''} ${element.getAttribute('aria-owns') || ''}`
+            .split(/\s+/).filter(Boolean);
+        const popups = ids.map(id => root.getElementById?.(id) || element.ownerDocument.getElementById(id)).filter(Boolean);
+        const scopes = popups.length > 0 ? popups : [root];
+        return scopes
+            .flatMap(scope => Array.from(scope.querySelectorAll('[role="option"], .ui-menu-item, .autocomplete-suggestion, .pac-item')))
+            .filter(isShown);
+    }
+
+    /** Option reading the same as the typed text, else one starting with it, else the first */
+    function bestSuggestion(options, text) {
+        const wanted = text.trim().toLowerCase();
+        const textOf = (el) => el.textContent.trim().toLowerCase();
+        return options.find(el => textOf(el) === wanted)
+            || options.find(el => textOf(el).startsWith(wanted))
+            || options[0];
+    }
+
+    async function clickSuggestion(element, text) {
+        const deadline = Date.now() + SUGGESTION_TIMEOUT;
+        let options = suggestionsFor(element);
+        while (options.length === 0 && Date.now() < deadline) {
+            await sleep(POLL_INTERVAL);
+            options = suggestionsFor(element);
+        }
+        if (options.length === 0) return { success: false, error: 'No suggestions appeared' };
+
+        const option = bestSuggestion(options, text);
+        const view = viewOf(option);
+        const init = { bubbles: true, cancelable: true, composed: true, button: 0, view };
+        ['mousedown', 'mouseup', 'click'].forEach(type => option.dispatchEvent(new view.MouseEvent(type, init)));
+        return { success: true };
+    }
+
+    async function commit(element, mode, text, charDelay) {
+        switch (mode) {
+            case 'enter':
+                await sleep(COMMIT_SETTLE);
+                keystroke(element, 'Enter');
+                break;
+            case 'arrow-enter':
+                await sleep(COMMIT_SETTLE);
+                keystroke(element, 'ArrowDown');
+                await sleep(charDelay);
+                keystroke(element, 'Enter');
+                break;
+            case 'tab':
+                keystroke(element, 'Tab');
+                break;
+            case 'suggestion':
+                return clickSuggestion(element, text);
+        }
+        return { success: true };
+    }
+
+    /* ───── typing ───── */
+
+    /**
+     * Type a value into a text field one keystroke at a time.
+     * @param {HTMLInputElement|HTMLTextAreaElement} element
+     * @param {string} text
+     * @param {Object} [options]
+     * @param {number} [options.charDelay=30] - Milliseconds between keystrokes
+     * @param {boolean} [options.clear=true] - Delete the existing content first
+     * @param {string} [options.commit='none'] - One of COMMIT_MODES
+     * @param {{ aborted: boolean }} [controller] - Stops typing once aborted
+     * @returns {Promise<{ success: boolean, error?: string }>}
+     */
+    async function type(element, text, options = {}, controller) {
+        const charDelay = options.charDelay ?? DEFAULT_CHAR_DELAY;
+        element.focus();
+        if (options.clear !== false) clear(element);
+
+        for (const ch of String(text)) {
+            if (controller?.aborted) return { success: false, error: 'Stopped' };
+            keystroke(element, ch, () => insertChar(element, ch));
+            if (charDelay > 0) await sleep(charDelay);
+        }
+
+        const committed = await commit(element, options.commit || 'none', String(text), charDelay);
+        element.dispatchEvent(new Event('change', { bubbles: true }));
+        if (options.commit !== 'suggestion') element.dispatchEvent(new Event('blur', { bubbles: true }));
+        return committed;
+    }
+
+    return { type, clear, COMMIT_MODES, DEFAULT_CHAR_DELAY };
+})();
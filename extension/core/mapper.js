@@ -2,6 +2,17 @@
  * Mapping orchestrator — merges smart-matched, manual, and saved-profile mappings.
  */
 const Mapper = (() => {
+    /** Per-entry options that belong to the column, not the field it is mapped to */
+    const ENTRY_OPTIONS = ['transforms', 'split', 'typing'];
+
+    function pickOptions(info) {
+        const options = {};
+        for (const key of ENTRY_OPTIONS) {
+            if (info && info[key] !== undefined) options[key] = info[key];
+        }
+        return options;
+    }
+
     /**
      * Build a full mapping by merging auto-suggestions with manual overrides.
      * @param {Object} autoMapping   - From Matcher.autoMap()
@@ -26,6 +37,7 @@ const Mapper = (() => {
             }
             const field = fields.find(f => f.selector === selector);
             result[col] = {
+                ...pickOptions(result[col]),
                 field: field || null,
                 selector,
                 confidence: 1.0,
@@ -52,6 +64,7 @@ const Mapper = (() => {
             if (fieldSelectors.has(selector)) {
                 const field = fields.find(f => f.selector === selector);
                 result[col] = {
+                    ...pickOptions(info),
                     field,
                     selector,
                     confidence: info.confidence || 0.9,
@@ -74,13 +87,40 @@ const Mapper = (() => {
         const result = {};
         for (const [col, info] of Object.entries(mapping)) {
             result[col] = {
+                ...pickOptions(info),
                 selector: info.selector,
                 confidence: info.confidence,
-                level: info.level
+                level: info.level,
+                field: compactField(info.field)
             };
         }
         return result;
     }
 
-    return { mergeMappings, applySavedProfile, toSerializable };
+    /**
+     * Field metadata worth saving — lets a mapping for a page that is not
+     * open (e.g. a later wizard step) still validate and fill by type.
+     */
+    function compactField(field) {
+        if (!field) return null;
+        const { type, name, label, placeholder, required, options, min, max, step, minLength, maxLength, pattern, widget } = field;
+        return { type, name, label, placeholder, required, options, min, max, step, minLength, maxLength, pattern, widget };
+    }
+
+    /**
+     * Keep per-column options (transforms…) when a mapping is rebuilt,
+     * e.g. after re-running auto-map.
+     * @param {Object} previous - Mapping being replaced
+     * @param {Object} next     - New mapping
+     * @returns {Object} next, with options from previous copied onto columns still mapped
+     */
+    function carryOptions(previous, next) {
+        const result = {};
+        for (const [col, info] of Object.entries(next || {})) {
+            result[col] = { ...pickOptions(previous?.[col]), ...info };
+        }
+        return result;
+    }
+
+    return { mergeMappings, applySavedProfile, toSerializable, carryOptions };
 })();
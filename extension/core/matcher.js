@@ -6,6 +6,12 @@ const Matcher = (() => {
     /* ───── confidence thresholds ───── */
     const CONFIDENCE = { HIGH: 0.75, MEDIUM: 0.5, LOW: 0.25 };
 
+    /** Added on top of the other factors when the user mapped the column to a field like this before */
+    const LEARNED_WEIGHT = 0.60;
+
+    /** Field attributes a learned match remembers the field by */
+    const SIGNATURE_PARTS = ['name', 'id', 'label', 'placeholder'];
+
     /* ───── string utilities ───── */
 
     /** Normalize: lowercase, replace separators with space, trim */
@@ -132,9 +138,10 @@ const Matcher = (() => {
             email: ['email'],
             phone: ['tel'],
             number: ['number', 'range'],
-            date: ['date', 'datetime-local'],
+            date: ['date', 'datetime-local', 'month', 'week'],
             url: ['url'],
-            text: ['text', 'textarea', 'password']
+            file: ['file'],
+            text: ['text', 'textarea', 'password', 'contenteditable']
         };
         const fieldType = (field.type || 'text').toLowerCase();
         for (const [dataType, htmlTypes] of Object.entries(typeMap)) {
@@ -143,6 +150,39 @@ const Matcher = (() => {
         return 0;
     }
 
+    /**
+     * What a learned match remembers a field by. Kept small and page-independent
+     * (no selector), so it recognises the same field on other sites.
+     * @param {Object} field - Detected form field
+     * @returns {Object} { name, id, label, placeholder }, blank parts left out
+     */
+    function fieldSignature(field) {
+        const signature = {};
+        SIGNATURE_PARTS.forEach(part => {
+            const value = String(field?.[part] || '').trim();
+            if (value) signature[part] = value;
+        });
+        return signature;
+    }
+
+    /** Share of a remembered signature's parts the field has too */
+    function signatureAgreement(saved, field) {
+        const parts = SIGNATURE_PARTS.filter(part => saved[part]);
+        if (parts.length === 0) return 0;
+        return parts.filter(part => normalize(saved[part]) === normalize(field[part])).length / parts.length;
+    }
+
+    /** Factor 6 (+60%): Learned matches — the column was mapped by hand to a field like this before */
+    function learnedScore(column, field, learned) {
+        if (!learned || learned.length === 0) return 0;
+        const col = normalize(column);
+        let best = 0;
+        for (const entry of learned) {
+            if (normalize(entry.column) === col) best = Math.max(best, signatureAgreement(entry.field, field));
+        }
+        return best;
+    }
+
     /* ───── main scoring ───── */
 
     /**
@@ -150,15 +190,17 @@ const Matcher = (() => {
      * @param {string} columnName
      * @param {Object} formField
      * @param {string} [columnDataType] - Inferred data type of column data
+     * @param {Object[]} [learned] - Learned matches (see Storage.getLearnedMatches)
      * @returns {number} Score 0.0 – 1.0
      */
-    function calculateMatchScore(columnName, formField, columnDataType) {
+    function calculateMatchScore(columnName, formField, columnDataType, learned) {
         let score = 0;
         score += nameScore(columnName, formField) * 0.40;
         score += labelScore(columnName, formField) * 0.25;
         score += attributeScore(columnName, formField) * 0.20;
         score += synonymScore(columnName, formField) * 0.10;
         score += typeScore(columnDataType, formField) * 0.05;
+        score += learnedScore(columnName, formField, learned) * LEARNED_WEIGHT;
         return Math.min(score, 1.0);
     }
 
@@ -167,9 +209,10 @@ const Matcher = (() => {
      * @param {string[]} columns - Excel column names
      * @param {Object[]} fields  - Detected form fields
      * @param {Object} [dataTypes] - Column name → inferred type map
+     * @param {Object[]} [learned] - Learned matches, which lift the fields the user picked before
      * @returns {Object} { columnName: { field, selector, confidence, level } }
      */
-    function autoMap(columns, fields, dataTypes) {
+    function autoMap(columns, fields, dataTypes, learned) {
         const mapping = {};
         const usedFields = new Set();
 
@@ -177,7 +220,7 @@ const Matcher = (() => {
         const pairs = [];
         for (const col of columns) {
             for (const field of fields) {
-                const score = calculateMatchScore(col, field, dataTypes?.[col]);
+                const score = calculateMatchScore(col, field, dataTypes?.[col], learned);
                 pairs.push({ column: col, field, score });
             }
         }
@@ -211,5 +254,5 @@ const Matcher = (() => {
         return 'low';
     }
 
-    return { calculateMatchScore, autoMap, getConfidenceLevel, stringSimilarity, normalize, CONFIDENCE };
+    return { calculateMatchScore, autoMap, getConfidenceLevel, stringSimilarity, normalize, fieldSignature, CONFIDENCE };
 })();
@@ -0,0 +1,93 @@
+/**
+ * Pre-flight validation — runs every row through the mapping, its
+ * transforms, splits and Validator without touching the page, so bad
+ * cells show up before a batch instead of halfway through it.
+ * Runs in the popup against the serialised mapping(s) the batch would use.
+ */
+const Preflight = (() => {
+    /* ───── error types ───── */
+
+    /**
+     * Group an error message by its kind, dropping the cell-specific detail:
+     * 'Below minimum (18)' → 'Below minimum', '"Xl" not in dropdown options' → 'Value not in dropdown options'.
+     */
+    function errorType(error) {
+        return String(error)
+            .replace(/"[^"]*"(?:, "[^"]*")*/g, 'Value')
+            .replace(/\s*\([^)]*\)$/, '')
+            .trim();
+    }
+
+    /* ───── check ───── */
+
+    /**
+     * Problems one row would hit, one per failing field.
+     * @param {Object} row - Row data (computed columns included)
+     * @param {Object[]} mappings - Serialised mappings, one per wizard step
+     * @param {Object} [locale] - Source-locale options
+     * @returns {Array<{ column, selector, value, error }>}
+     */
+    function checkRow(row, mappings, locale) {
+        const problems = [];
+        mappings.forEach(mapping => {
+            for (const [column, mapInfo] of Object.entries(mapping)) {
+                if (!mapInfo || !mapInfo.selector) continue;
+                const value = row[column];
+                const transformed = Transformer.apply(value, mapInfo.transforms, locale);
+                const resolved = transformed.error
+                    ? { targets: [], error: transformed.error }
+                    : Splitter.targetsOf(mapInfo, transformed.value, locale);
+
+                if (resolved.error) {
+                    problems.push({ column, selector: mapInfo.selector, value, error: resolved.error });
+                    continue;
+                }
+
+                for (const target of resolved.targets) {
+                    const validation = Validator.validate(target.value, target.field || { type: 'text' }, locale, { format: target.format });
+                    if (!validation.valid) {
+                        problems.push({ column, selector: target.selector, value, error: validation.error });
+                    }
+                }
+            }
+        });
+        return problems;
+    }
+
+    /**
+     * Validate a set of rows.
+     * @param {function(number): Object} rowAt - Row data by index
+     * @param {number[]} indices - Rows to check
+     * @param {Object[]} mappings - Serialised mappings, one per wizard step
+     * @param {Object} [options]
+     * @param {Object} [options.locale] - Source-locale options
+     * @param {function(Object, number): Array<{ column, value, error }>} [options.extra] - More problems for a row, e.g. missing attachments
+     * @returns {{ checked: number, failures: Array<{ row, column, selector, value, error, type }>,
+     *            badRows: number[], byColumn: Object<string, number>, byType: Object<string, number> }}
+     */
+    function run(rowAt, indices, mappings, options = {}) {
+        const failures = [];
+        const badRows = [];
+        const byColumn = {};
+        const byType = {};
+
+        indices.forEach(i => {
+            const row = rowAt(i);
+            const problems = checkRow(row, mappings, options.locale)
+                .concat(options.extra ? options.extra(row, i) : []);
+            if (problems.length === 0) return;
+
+            badRows.push(i);
+            problems.forEach(p => {
+                const type = errorType(p.error);
+                failures.push({ row: i, ...p, type });
+                byColumn[p.column] = (byColumn[p.column] || 0) + 1;
+                byType[type] = (byType[type] || 0) + 1;
+            });
+        });
+
+        return { checked: indices.length, failures, badRows, byColumn, byType };
+    }
+
+    return { run, checkRow, errorType };
+})();
@@ -0,0 +1,143 @@
+/**
+ * Row selection — which rows a batch fills, and in what order.
+ * A selection is a plain object, all parts optional:
+ *   { ranges: '12-40, 55', filters: [{ column, op, value }],
+ *     unpicked: [rowIndex], sort: { column, desc } }
+ * Ranges are 1-based row numbers as the navigator shows them; filters must
+ * all match; unpicked rows were unticked by hand in the data preview.
+ */
+const RowFilter = (() => {
+    /** Filter operators; `needsValue` drives the editor UI in the popup */
+    const OPERATORS = {
+        equals: { label: 'equals', needsValue: true },
+        notEquals: { label: 'is not', needsValue: true },
+        contains: { label: 'contains', needsValue: true },
+        notContains: { label: 'does not contain', needsValue: true },
+        empty: { label: 'is empty', needsValue: false },
+        notEmpty: { label: 'is not empty', needsValue: false },
+        regex: { label: 'matches regex', needsValue: true }
+    };
+
+    const text = (v) => v instanceof Date ? Locale.isoDate(v) : String(v ?? '').trim();
+
+    /* ───── ranges ───── */
+
+    /**
+     * Parse "12-40, 55, 90-" into row indices (0-based, in the order written).
+     * An open range runs to the last row.
+     * @param {string} spec
+     * @param {number} count - Rows in the sheet
+     * @returns {{ indices: number[]|null, error?: string }} indices null when spec is blank
+     */
+    function parseRanges(spec, count) {
+        const parts = String(spec || '').split(/[,;]/).map(p => p.trim()).filter(Boolean);
+        if (parts.length === 0) return { indices: null };
+
+        const seen = new Set();
+        const indices = [];
+        for (const part of parts) {
+            const m = part.match(/^(\d+)?(?:\s*([-–])\s*(\d+)?)?$/);
+            if (!m || (!m[1] && !m[3])) return { indices: null, error: `Not a row range: "${part}"` };
+            const from = m[1] ? Number(m[1]) : 1;
+            const to = m[2] ? (m[3] ? Number(m[3]) : count) : from;
+            if (from < 1 || to < from) return { indices: null, error: `Not a row range: "${part}"` };
+            for (let n = from; n <= Math.min(to, count); n++) {
+                if (!seen.has(n)) {
+                    seen.add(n);
+                    indices.push(n - 1);
+                }
+            }
+        }
+        return { indices };
+    }
+
+    /* ───── filters ───── */
+
+    /**
+     * Whether a row passes one filter. Text comparisons ignore case.
+     * @throws {Error} on an invalid regex
+     */
+    function matches(row, filter) {
+        const cell = text(row[filter.column]);
+        const value = String(filter.value ?? '').trim();
+        switch (filter.op) {
+            case 'equals': return cell.toLowerCase() === value.toLowerCase();
+            case 'notEquals': return cell.toLowerCase() !== value.toLowerCase();
+            case 'contains': return cell.toLowerCase().includes(value.toLowerCase());
+            case 'notContains': return !cell.toLowerCase().includes(value.toLowerCase());
+            case 'empty': return cell === '';
+            case 'notEmpty': return cell !== '';
+            case 'regex': return new RegExp(value, 'i').test(cell);
+            default: return true;
+        }
+    }
+
+    /* ───── sort ───── */
+
+    /** Numbers and dates compare by value, everything else as natural-order text */
+    function compareCells(a, b) {
+        if (a instanceof Date && b instanceof Date) return a - b;
+        const x = text(a), y = text(b);
+        const nx = Number(x), ny = Number(y);
+        if (!isNaN(nx) && !isNaN(ny)) return nx - ny;
+        return x.localeCompare(y, undefined, { numeric: true, sensitivity: 'base' });
+    }
+
+    /* ───── apply ───── */
+
+    /** Whether a selection narrows or reorders the rows at all */
+    function isActive(selection) {
+        return !!selection && (String(selection.ranges || '').trim() !== '' ||
+            (selection.filters || []).some(f => f.column) ||
+            (selection.unpicked || []).length > 0 || !!selection.sort?.column);
+    }
+
+    /**
+     * Row indices a selection leaves, in fill order.
+     * Unpicked rows are not removed when `keepUnpicked` is set, so the
+     * preview can still show them unticked.
+     * @param {Object[]} rows - Row data
+     * @param {Object} selection
+     * @param {Object} [options]
+     * @param {boolean} [options.keepUnpicked]
+     * @returns {{ indices: number[], error?: string }}
+     */
+    function apply(rows, selection, options = {}) {
+        const ranged = parseRanges(selection?.ranges, rows.length);
+        if (ranged.error) return { indices: [], error: ranged.error };
+        let indices = ranged.indices || rows.map((_, i) => i);
+
+        const filters = (selection?.filters || []).filter(f => f.column && OPERATORS[f.op]);
+        if (filters.length > 0) {
+            try {
+                indices = indices.filter(i => filters.every(f => matches(rows[i], f)));
+            } catch (err) {
+                return { indices: [], error: `Filter: ${err.message}` };
+            }
+        }
+
+        if (!options.keepUnpicked && selection?.unpicked?.length) {
+            const unpicked = new Set(selection.unpicked);
+            indices = indices.filter(i => !unpicked.has(i));
+        }
+
+        const sort = selection?.sort;
+        if (sort?.column) {
+            const dir = sort.desc ? -1 : 1;
+            const compare = (a, b) => {
+                const blankA = text(a) === '', blankB = text(b) === '';
+                if (blankA || blankB) return blankA - blankB;   // Blanks last either way
+                return compareCells(a, b) * dir;
+            };
+            // Stable: equal cells keep their order
+            indices = indices
+                .map((i, k) => ({ i, k }))
+                .sort((a, b) => compare(rows[a.i][sort.column], rows[b.i][sort.column]) || a.k - b.k)
+                .map(({ i }) => i);
+        }
+
+        return { indices };
+    }
+
+    return { apply, isActive, parseRanges, matches, OPERATORS };
+})();
@@ -0,0 +1,335 @@
+/**
+ * Batch runner — drives a tab through many rows from outside the page.
+ * Each row is filled, optionally submitted through the detected submit
+ * control, and the runner waits for the page to navigate or reset before
+ * the next row. Content scripts are re-injected after every navigation.
+ * Multi-page (wizard) forms are described as ordered steps; a row is driven
+ * through every step before the next row starts.
+ */
+const Runner = (() => {
+    const DEFAULT_SUBMIT_TIMEOUT = 10000;
+    const DEFAULT_STEP_DELAY = 1000;
+    const WAIT_RETRY_INTERVAL = 250;
+    let activeRun = null;
+
+    function sleep(ms) {
+        return new Promise(r => setTimeout(r, ms));
+    }
+
+    /* ───── navigation / reset watchers ───── */
+
+    /**
+     * Watch a tab for a full navigation (loading → complete).
+     * Register before triggering the navigation so the 'loading' event isn't missed.
+     * @returns {{ promise: Promise<{ navigated?: boolean, timedOut?: boolean }>, cancel: Function }}
+     */
+    function watchNavigation(tabId, timeout) {
+        let finish;
+        const promise = new Promise(resolve => {
+            let started = false;
+
+            const listener = (id, info) => {
+                if (id !== tabId) return;
+                if (info.status === 'loading') started = true;
+                else if (info.status === 'complete' && started) finish({ navigated: true });
+            };
+            const timer = setTimeout(() => finish({ timedOut: true }), timeout);
+
+            finish = (result) => {
+                clearTimeout(timer);
+                chrome.tabs.onUpdated.removeListener(listener);
+                resolve(result);
+            };
+            chrome.tabs.onUpdated.addListener(listener);
+        });
+        return { promise, cancel: () => finish({ cancelled: true }) };
+    }
+
+    /**
+     * Ask the page to report when the filled fields have been cleared.
+     * Only resolves on a reset — a navigation tears down the content script,
+     * in which case the navigation watcher settles the race instead.
+     */
+    function watchReset(tabId, timeout) {
+        const never = new Promise(() => { });
+        return chrome.tabs.sendMessage(tabId, { action: 'waitForReset', timeout })
+            .then(res => (res && res.reset ? { reset: true } : never))
+            .catch(() => never);
+    }
+
+    /**
+     * Navigate back to the form page if a submit left the tab somewhere else
+     * (e.g. a "thank you" page).
+     */
+    async function returnToForm(tabId, formUrl, timeout) {
+        if (!formUrl) return;
+        const tab = await chrome.tabs.get(tabId);
+        if (!tab.url || tab.url === formUrl) return;
+
+        Logger.log('Returning to form:', formUrl);
+        const nav = watchNavigation(tabId, timeout);
+        await chrome.tabs.update(tabId, { url: formUrl });
+        await nav.promise;
+    }
+
+    /* ───── read back ───── */
+
+    /**
+     * Read a value off the page (e.g. a confirmation number) for the run report.
+     * Never fails the row — an unreadable value is just left empty.
+     */
+    async function readBack(tabId, selector) {
+        if (!selector) return '';
+        try {
+            await Injector.ensure(tabId);
+            const res = await chrome.tabs.sendMessage(tabId, { action: 'readValue', selector });
+            return res && res.success ? res.value : '';
+        } catch (_) {
+            return '';
+        }
+    }
+
+    /* ───── submit ───── */
+
+    /**
+     * Submit the form holding the mapped fields and wait for the page to
+     * navigate or reset. The read-back value is taken before returning to the
+     * form, since confirmations usually live on the page after submit.
+     * @returns {Promise<{ success: boolean, navigated?: boolean, readback?: string, error?: string }>}
+     */
+    async function submitAndWait(tabId, selectors, settings, formUrl) {
+        const timeout = settings.submitTimeout || DEFAULT_SUBMIT_TIMEOUT;
+        const nav = watchNavigation(tabId, timeout);
+
+        let submitted;
+        try {
+            submitted = await chrome.tabs.sendMessage(tabId, { action: 'submitForm', selectors });
+        } catch (_) {
+            // The click navigated away before the content script could reply
+            submitted = { success: true };
+        }
+
+        if (!submitted || !submitted.success) {
+            nav.cancel();
+            return { success: false, error: submitted?.error || 'Submit failed' };
+        }
+
+        const outcome = await Promise.race([nav.promise, watchReset(tabId, timeout)]);
+        nav.cancel();
+
+        if (outcome.timedOut) {
+            return { success: false, error: 'Timed out waiting for the page to navigate or reset' };
+        }
+        const readback = await readBack(tabId, settings.readbackSelector);
+        if (outcome.navigated) {
+            await returnToForm(tabId, formUrl, timeout);
+        }
+        return { success: true, navigated: !!outcome.navigated, readback };
+    }
+
+    /* ───── wizard steps ───── */
+
+    /**
+     * Wait until an element shows up in the tab. Survives the page being
+     * replaced mid-wait by re-injecting and asking the new page.
+     */
+    async function waitForSelector(tabId, selector, timeout) {
+        const deadline = Date.now() + timeout;
+        while (Date.now() < deadline) {
+            try {
+                if (await Injector.ensure(tabId)) {
+                    const res = await chrome.tabs.sendMessage(tabId, {
+                        action: 'waitForElement',
+                        selector,
+                        timeout: deadline - Date.now()
+                    });
+                    if (res && res.found) return { success: true };
+                    if (res) break;   // The page answered and the element never came
+                }
+            } catch (_) {
+                // Navigated while waiting — ask the new page
+            }
+            await sleep(WAIT_RETRY_INTERVAL);
+        }
+        return { success: false, error: `Timed out waiting for ${selector}` };
+    }
+
+    /**
+     * Trigger a step's continue action and wait for the next step to be ready.
+     * @param {Object} step - { continueSelector, waitFor: 'selector'|'navigation'|'delay', waitSelector, waitTimeout }
+     * @returns {Promise<{ success: boolean, error?: string }>}
+     */
+    async function continueStep(tabId, step, settings) {
+        if (!step.continueSelector) return { success: false, error: 'No continue button set for this step' };
+
+        const timeout = step.waitTimeout || settings.submitTimeout || DEFAULT_SUBMIT_TIMEOUT;
+        const nav = step.waitFor === 'navigation' ? watchNavigation(tabId, timeout) : null;
+
+        let clicked;
+        try {
+            clicked = await chrome.tabs.sendMessage(tabId, { action: 'clickElement', selector: step.continueSelector });
+        } catch (_) {
+            // The click navigated away before the content script could reply
+            clicked = { success: true };
+        }
+        if (!clicked || !clicked.success) {
+            if (nav) nav.cancel();
+            return { success: false, error: clicked?.error || 'Continue failed' };
+        }
+
+        if (step.waitFor === 'navigation') {
+            const outcome = await nav.promise;
+            return outcome.timedOut ? { success: false, error: 'Timed out waiting for the next page' } : { success: true };
+        }
+        if (step.waitFor === 'selector' && step.waitSelector) {
+            return waitForSelector(tabId, step.waitSelector, timeout);
+        }
+        await sleep(step.waitTimeout || DEFAULT_STEP_DELAY);
+        return { success: true };
+    }
+
+    /* ───── single row ───── */
+
+    /** Fill one step's mapping on the current page */
+    async function fillStep(tabId, mapping, rowData, settings) {
+        const injected = await Injector.ensure(tabId);
+        if (!injected) {
+            return { success: false, filled: 0, skipped: 0, errors: [{ column: '', error: 'Cannot access this page' }] };
+        }
+        return chrome.tabs.sendMessage(tabId, {
+            action: 'fillRow',
+            mapping,
+            rowData,
+            settings
+        });
+    }
+
+    /**
+     * Fill (and optionally submit) one row in the tab, walking it through
+     * every step. Steps before the last use their continue action; the last
+     * step submits like a single-page form.
+     * @param {number} tabId
+     * @param {Object[]} steps - [{ mapping, continueSelector, waitFor, waitSelector, waitTimeout }]
+     * @param {Function} [beforeSubmit] - Awaited right before the submit
+     * @returns {Promise<{ success: boolean, filled: number, skipped: number, errors: Array, unready: string[], submitted?: boolean, readback?: string }>}
+     */
+    async function runRow(tabId, steps, rowData, settings, formUrl, beforeSubmit) {
+        const total = { success: true, filled: 0, skipped: 0, errors: [], unready: [] };
+        const label = (k, error) => (steps.length > 1 ? `Step ${k + 1}: ${error}` : error);
+
+        // A wizard left on a later page by the previous row starts over
+        if (steps.length > 1) await returnToForm(tabId, formUrl, settings.submitTimeout || DEFAULT_SUBMIT_TIMEOUT);
+
+        for (let k = 0; k < steps.length; k++) {
+            const result = await fillStep(tabId, steps[k].mapping, rowData, settings);
+            total.filled += result.filled || 0;
+            total.skipped += result.skipped || 0;
+            total.unready.push(...(result.unready || []));
+            total.errors.push(...(result.errors || []).map(e => ({ ...e, error: label(k, e.error) })));
+
+            // Never move on from (or submit) a half-filled page
+            if (!result.success) return { ...total, success: false };
+
+            if (k < steps.length - 1) {
+                const next = await continueStep(tabId, steps[k], settings);
+                if (!next.success) {
+                    total.errors.push({ column: '', error: label(k, next.error) });
+                    return { ...total, success: false };
+                }
+            }
+        }
+
+        if (!settings.autoSubmit) {
+            return { ...total, readback: await readBack(tabId, settings.readbackSelector) };
+        }
+
+        const lastMapping = steps[steps.length - 1].mapping;
+        const selectors = Object.values(lastMapping).map(m => m.selector).filter(Boolean);
+        if (beforeSubmit) await beforeSubmit();
+        const submit = await submitAndWait(tabId, selectors, settings, formUrl);
+        if (!submit.success) {
+            return {
+                ...total,
+                success: false,
+                errors: [...total.errors, { column: '', error: submit.error }]
+            };
+        }
+        return { ...total, submitted: true, readback: submit.readback };
+    }
+
+    /* ───── batch ───── */
+
+    /**
+     * Fill rows one after another in a tab.
+     * @param {Object} options
+     * @param {number} options.tabId
+     * @param {Object} [options.mapping] - Serializable mapping { columnName: { selector, field } } for a single-page form
+     * @param {Object[]} [options.steps] - Wizard steps [{ mapping, continueSelector, waitFor, waitSelector, waitTimeout }]; overrides mapping
+     * @param {Object[]} options.rows - Row objects { columnName: value }
+     * @param {Object} options.settings - skipFilled, highlightFields, stopOnError, fieldTimeout, fillStrategy, charDelay,
+     *   commitMode, locale, delay, autoSubmit, submitTimeout, readbackSelector
+     * @param {number[]} [options.indices] - Row indices to fill, in order (defaults to every row)
+     * @param {string} [options.formUrl] - Page to return to after a submit navigates away (defaults to the tab's URL)
+     * @param {Function} [options.onProgress] - Called after each row with { current, total, row, result }
+     * @param {Function} [options.onSubmit] - Called with { row } just before a row is submitted; awaited
+     * @returns {Promise<{ totalFilled: number, totalErrors: number, results: Array, stopped: boolean, processed: number }>}
+     */
+    async function run({ tabId, mapping, steps, rows, settings, indices, formUrl, onProgress, onSubmit }) {
+        const current = { stopped: false };
+        activeRun = current;
+
+        const plan = steps && steps.length > 0 ? steps : [{ mapping }];
+
+        const queue = indices || rows.map((_, i) => i);
+        const results = [];
+        let totalFilled = 0, totalErrors = 0;
+        const returnUrl = formUrl || (await chrome.tabs.get(tabId)).url;
+        // Fields the last row waited out in vain; the next row doesn't wait the full fieldTimeout for them again
+        let absent = [];
+
+        for (let k = 0; k < queue.length; k++) {
+            if (current.stopped) break;
+            const i = queue[k];
+
+            let result;
+            try {
+                result = await runRow(tabId, plan, rows[i], { ...settings, absentSelectors: absent }, returnUrl,
+                    onSubmit && (() => onSubmit({ row: i })));
+            } catch (err) {
+                Logger.error('Row failed:', err);
+                result = { success: false, filled: 0, skipped: 0, errors: [{ column: '', error: err.message }] };
+            }
+
+            absent = result.unready || [];
+            results.push({ row: i, ...result });
+            totalFilled += result.filled;
+            totalErrors += result.errors.length;
+
+            if (onProgress) {
+                onProgress({ current: k + 1, total: queue.length, row: i, result });
+            }
+
+            if (!result.success && settings.stopOnError) break;
+
+            // Delay between rows
+            if (k < queue.length - 1 && settings.delay > 0 && !current.stopped) {
+                await sleep(settings.delay);
+            }
+        }
+
+        if (activeRun === current) activeRun = null;
+        return { totalFilled, totalErrors, results, stopped: current.stopped, processed: results.length };
+    }
+
+    /* ───── stop ───── */
+
+    function stop() {
+        if (activeRun) activeRun.stopped = true;
+    }
+
+    function isRunning() {
+        return activeRun !== null;
+    }
+
+    return { run, runRow, stop, isRunning };
+})();
@@ -0,0 +1,287 @@
+/**
+ * Sheet layout — where a sheet's headers and data sit.
+ * Real exports rarely start with a clean header in row 1: title rows,
+ * two-row merged headers, blank and duplicate columns and trailing totals
+ * rows are all common. `detect` guesses a layout; `read` turns the sheet
+ * into named columns and row objects under it.
+ * A layout is a plain object, all parts optional (rows 1-based as in Excel):
+ *   { headerRow: 3, headerDepth: 2, range: 'B3:H200',
+ *     skipRows: '58-60', skipCols: 'D, F-G' }
+ */
+const SheetLayout = (() => {
+    const SCAN_ROWS = 25;          // Rows searched for the header
+    const MAX_HEADER_DEPTH = 3;
+    const TOTALS = /^(grand\s+|sub-?)?totals?\b|^sum\b/i;
+
+    const enc = (r, c) => XLSX.utils.encode_cell({ r, c });
+    const isBlank = (v) => v === null || v === undefined || String(v).trim() === '';
+
+    /** Cell value as sheet_to_json gives it: raw, with dates as Date objects when read with cellDates */
+    function cellValue(cell) {
+        if (!cell || cell.t === 'z') return '';
+        if (cell.t === 'e') return cell.w || '';
+        return cell.v ?? '';
+    }
+
+    /** Cell text as the sheet shows it */
+    function cellText(cell) {
+        return cell ? String(cell.w ?? cell.v ?? '').trim() : '';
+    }
+
+    /** Whether a value reads as a label rather than a number, date or amount */
+    function isLabel(value) {
+        if (typeof value !== 'string') return false;
+        return !/^[\s\d.,:/+\-()%$€£¥]+$/.test(value);
+    }
+
+    /* ───── ranges ───── */
+
+    /**
+     * Cells a layout reads: its range clipped to the sheet, or the whole sheet.
+     * @returns {Object|null} SheetJS range; null for an empty sheet or a malformed range
+     */
+    function bounds(ws, layout = {}) {
+        if (!ws || !ws['!ref']) return null;
+        const sheet = XLSX.utils.decode_range(ws['!ref']);
+        const spec = String(layout.range || '').trim().toUpperCase();
+        if (!spec) return sheet;
+        if (!/^[A-Z]{1,3}\d+:[A-Z]{1,3}\d+$/.test(spec)) return null;
+
+        const box = XLSX.utils.decode_range(spec);
+        box.s.r = Math.max(box.s.r, sheet.s.r);
+        box.s.c = Math.max(box.s.c, sheet.s.c);
+        box.e.r = Math.min(box.e.r, sheet.e.r);
+        box.e.c = Math.min(box.e.c, sheet.e.c);
+        return box.s.r <= box.e.r && box.s.c <= box.e.c ? box : null;
+    }
+
+    /**
+     * Parse "D, F-G" into 0-based column indices.
+     * @returns {{ cols: Set<number>, error?: string }}
+     */
+    function parseColumns(spec) {
+        const cols = new Set();
+        const parts = String(spec || '').split(/[,;]/).map(p => p.trim().toUpperCase()).filter(Boolean);
+        for (const part of parts) {
+            const m = part.match(/^([A-Z]{1,3})(?:\s*[-–:]\s*([A-Z]{1,3}))?$/);
+            const from = m && XLSX.utils.decode_col(m[1]);
+            const to = m && (m[2] ? XLSX.utils.decode_col(m[2]) : from);
+            if (!m || to < from) return { cols, error: `Not a column: "${part}"` };
+            for (let c = from; c <= to; c++) cols.add(c);
+        }
+        return { cols };
+    }
+
+    /* ───── detect ───── */
+
+    function rowStats(ws, r, box) {
+        let filled = 0, labels = 0;
+        for (let c = box.s.c; c <= box.e.c; c++) {
+            const value = cellValue(ws[enc(r, c)]);
+            if (isBlank(value)) continue;
+            filled++;
+            if (isLabel(value)) labels++;
+        }
+        return { r, filled, labels };
+    }
+
+    /** A header row is mostly labels and spans at least half the columns the widest early row uses */
+    function looksLikeHeader(stats, widest) {
+        return stats.filled >= Math.max(widest > 1 ? 2 : 1, Math.ceil(widest / 2)) &&
+            stats.labels >= stats.filled * 0.75;
+    }
+
+    /**
+     * Unmerged group header (CSV): the row below labels the blanks a group
+     * label leaves on its right ("Contact", "", "" over "Email", "City"),
+     * and leaves blank under a label that stands alone ("Full Name").
+     */
+    function spansGroups(ws, r, box) {
+        const filled = (row, c) => !isBlank(cellValue(ws[enc(row, c)]));
+        let inGroup = false, fillsGap = false, leavesBlank = false;
+        for (let c = box.s.c; c <= box.e.c; c++) {
+            if (filled(r, c)) {
+                inGroup = true;
+                if (!filled(r + 1, c)) leavesBlank = true;
+            } else if (inGroup && filled(r + 1, c)) {
+                fillsGap = true;
+            }
+        }
+        return fillsGap && leavesBlank;
+    }
+
+    /** First labelled cell of a row, for spotting totals rows */
+    function rowLabel(ws, r, box) {
+        for (let c = box.s.c; c <= box.e.c; c++) {
+            const value = cellValue(ws[enc(r, c)]);
+            if (isBlank(value)) continue;
+            if (isLabel(value)) return value.trim();
+        }
+        return null;
+    }
+
+    /**
+     * Guess where the header and the data sit.
+     * - Header row: the first of the top rows that is mostly labels and about
+     *   as wide as the data; title and note rows above it are passed over.
+     * - Header depth: rows below a group header — horizontally merged, or in
+     *   CSV a label followed by blanks — that are labels too ("Address" over
+     *   "Street", "City") join the header.
+     * - Totals rows at the end ("Total", "Grand total", "Sum") are skipped.
+     * @param {Object} ws - SheetJS worksheet
+     * @param {Object} [layout] - A range to keep; the rest is detected
+     * @returns {Object} layout
+     */
+    function detect(ws, layout = {}) {
+        const range = String(layout.range || '').trim();
+        const box = bounds(ws, { range }) || bounds(ws);
+        if (!box) return { headerRow: 1, headerDepth: 1, range, skipRows: '', skipCols: '' };
+
+        const scanned = [];
+        for (let r = box.s.r; r <= Math.min(box.e.r, box.s.r + SCAN_ROWS - 1); r++) scanned.push(rowStats(ws, r, box));
+        const widest = Math.max(0, ...scanned.map(s => s.filled));
+        const header = scanned.find(s => looksLikeHeader(s, widest))?.r ?? box.s.r;
+
+        let depth = 1;
+        const merges = ws['!merges'] || [];
+        while (depth < MAX_HEADER_DEPTH && header + depth <= box.e.r) {
+            const bottom = header + depth - 1;
+            const grouped = merges.some(m => m.e.r === bottom && m.s.r >= header && m.e.c > m.s.c) ||
+                (merges.length === 0 && spansGroups(ws, bottom, box));
+            const below = rowStats(ws, bottom + 1, box);   // Sub-headers only span their groups
+            if (!grouped || below.filled === 0 || below.labels < below.filled * 0.75) break;
+            depth++;
+        }
+
+        const totals = [];
+        for (let r = box.e.r; r >= header + depth; r--) {
+            if (rowStats(ws, r, box).filled === 0) continue;
+            if (!TOTALS.test(rowLabel(ws, r, box) || '')) break;
+            totals.unshift(r + 1);
+        }
+
+        return {
+            headerRow: header + 1,
+            headerDepth: depth,
+            range,
+            skipRows: totals.join(', '),
+            skipCols: layout.skipCols || ''
+        };
+    }
+
+    /* ───── read ───── */
+
+    /**
+     * Header text per column. Rows of a multi-row header are joined with " / ";
+     * a cell inside a merge takes the merge's text. Without merges, a blank
+     * upper cell over a labelled one belongs to the group on its left.
+     */
+    function headerTitles(ws, cols, first, last) {
+        const merges = ws['!merges'] || [];
+        const origin = (r, c) => {
+            const m = merges.find(m => r >= m.s.r && r <= m.e.r && c >= m.s.c && c <= m.e.c);
+            return m ? m.s : { r, c };
+        };
+        const textAt = (r, c) => {
+            const o = origin(r, c);
+            return cellText(ws[enc(o.r, o.c)]);
+        };
+        const carry = merges.length === 0;
+        const group = {};   // Header row → last group label seen
+
+        return cols.map(c => {
+            const bottom = textAt(last, c);
+            const parts = [];
+            for (let r = first; r <= last; r++) {
+                let text = textAt(r, c);
+                if (text) group[r] = text;
+                else if (carry && r < last && bottom) text = group[r] || '';
+                if (text && parts[parts.length - 1] !== text) parts.push(text);
+            }
+            return parts.join(' / ');
+        });
+    }
+
+    /**
+     * Read a sheet's rows under a layout.
+     * Blank rows are left out, as are columns with neither a header nor data.
+     * A column with no header is named after its letter ("Column F"); a repeated
+     * header gets its letter appended ("Phone (G)"). Both are listed in `notes`.
+     * @param {Object} ws - SheetJS worksheet
+     * @param {Object} [layout]
+     * @returns {{ columns: string[], rows: Object[], header: Object|null, notes: string[], error?: string }}
+     *   rows carry __rowNum__ like sheet_to_json's; header is { first, last, columns: { name: sheetColumn } }
+     *   — where the header sits, for writing edits and results back (see Exporter)
+     */
+    function read(ws, layout = {}) {
+        const empty = { columns: [], rows: [], header: null, notes: [] };
+        const box = bounds(ws, layout);
+        if (!box) return String(layout.range || '').trim() ? { ...empty, error: `Not a range in this sheet: "${layout.range}"` } : empty;
+
+        const skipRows = RowFilter.parseRanges(layout.skipRows, box.e.r + 1);
+        if (skipRows.error) return { ...empty, error: `Skip rows: ${skipRows.error}` };
+        const skipCols = parseColumns(layout.skipCols);
+        if (skipCols.error) return { ...empty, error: `Skip columns: ${skipCols.error}` };
+        const skipped = new Set(skipRows.indices || []);
+
+        const depth = Math.min(Math.max(Number(layout.headerDepth) || 1, 1), MAX_HEADER_DEPTH);
+        const first = Math.max(box.s.r, (Number(layout.headerRow) || box.s.r + 1) - 1);
+        const last = first + depth - 1;
+
+        const cols = [];
+        for (let c = box.s.c; c <= box.e.c; c++) if (!skipCols.cols.has(c)) cols.push(c);
+        const titles = headerTitles(ws, cols, first, last);
+
+        const data = [];
+        const used = new Set();   // Positions in cols holding any data
+        for (let r = last + 1; r <= box.e.r; r++) {
+            if (skipped.has(r)) continue;
+            const values = cols.map(c => cellValue(ws[enc(r, c)]));
+            let filled = false;
+            values.forEach((v, k) => {
+                if (isBlank(v)) return;
+                filled = true;
+                used.add(k);
+            });
+            if (filled) data.push({ r, values });
+        }
+
+        const notes = [];
+        const names = [];
+        const kept = [];
+        const seen = new Map();   // Lower-cased name → column letter it first appeared in
+        cols.forEach((c, k) => {
+            let name = titles[k];
+            if (!name && !used.has(k)) return;
+            const letter = XLSX.utils.encode_col(c);
+            if (!name) {
+                name = `Column ${letter}`;
+                notes.push(`Column ${letter} has no header`);
+            }
+            const key = name.toLowerCase();
+            if (seen.has(key)) {
+                notes.push(`"${name}" is in both ${seen.get(key)} and ${letter}; ${letter} is "${name} (${letter})"`);
+                name = `${name} (${letter})`;
+            } else {
+                seen.set(key, letter);
+            }
+            kept.push(k);
+            names.push(name);
+        });
+
+        const rows = data.map(({ r, values }) => {
+            const row = {};
+            kept.forEach((k, j) => { row[names[j]] = values[k]; });
+            return Object.defineProperty(row, '__rowNum__', { value: r, enumerable: false });
+        });
+
+        return {
+            columns: names,
+            rows,
+            header: { first, last, columns: Object.fromEntries(kept.map((k, j) => [names[j], cols[k]])) },
+            notes
+        };
+    }
+
+    return { detect, read, bounds, parseColumns };
+})();
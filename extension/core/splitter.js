@@ -0,0 +1,143 @@
+/**
+ * Column splitter — sends one cell to an ordered set of form fields,
+ * e.g. a phone number into country/area/number inputs or a date into
+ * day/month/year selects.
+ * A split rule is a plain object { rule, ...params, selectors } stored on the
+ * mapping entry; selectors lists the fields after the entry's own selector,
+ * which always receives the first part.
+ */
+const Splitter = (() => {
+    /** Param specs drive the editor UI in the popup, same shape as Transformer.TYPES */
+    const RULES = {
+        delimiter: {
+            label: 'Delimiter',
+            params: [{ name: 'delimiter', label: 'Separator (blank = spaces)', type: 'text', default: '-' }]
+        },
+        regex: {
+            label: 'Regex groups',
+            params: [{ name: 'pattern', label: 'Pattern, one group per field', type: 'text', default: '^(\\d+)-(\\d+)$' }]
+        },
+        widths: {
+            label: 'Fixed widths',
+            params: [{ name: 'widths', label: 'Widths, e.g. 3,3,4', type: 'text', default: '3,3,4' }]
+        },
+        date: {
+            label: 'Date parts',
+            params: [
+                { name: 'from', label: 'From', type: 'text', default: 'auto' },
+                { name: 'parts', label: 'Parts, e.g. DD,MM,YYYY', type: 'text', default: 'DD,MM,YYYY' }
+            ]
+        }
+    };
+
+    /**
+     * Create a split rule with default params and one extra field slot.
+     * @param {string} rule - Key of RULES
+     * @returns {Object}
+     */
+    function create(rule) {
+        const spec = RULES[rule];
+        if (!spec) throw new Error(`Unknown split rule: ${rule}`);
+        const split = { rule, selectors: [''] };
+        spec.params.forEach(p => { split[p.name] = p.default; });
+        return split;
+    }
+
+    function list(text) {
+        return String(text || '').split(',').map(s => s.trim()).filter(Boolean);
+    }
+
+    function splitParts(str, split, count, locale) {
+        switch (split.rule) {
+            case 'delimiter': {
+                const pieces = split.delimiter ? str.split(split.delimiter) : str.trim().split(/\s+/);
+                // Anything past the last field stays together in it
+                const sep = split.delimiter || ' ';
+                return pieces.length <= count
+                    ? pieces
+                    : pieces.slice(0, count - 1).concat(pieces.slice(count - 1).join(sep));
+            }
+            case 'regex': {
+                let regex;
+                try {
+                    regex = new RegExp(split.pattern);
+                } catch (err) {
+                    throw new Error(`Invalid regex: ${err.message}`);
+                }
+                const match = str.match(regex);
+                if (!match) throw new Error(`"${str}" does not match ${split.pattern}`);
+                return match.slice(1);
+            }
+            case 'widths': {
+                const parts = [];
+                let pos = 0;
+                list(split.widths).forEach(w => {
+                    const width = parseInt(w, 10) || 0;
+                    parts.push(str.slice(pos, pos + width));
+                    pos += width;
+                });
+                // A field beyond the listed widths takes the rest
+                if (parts.length < count && pos < str.length) parts.push(str.slice(pos));
+                return parts;
+            }
+            case 'date': {
+                const date = Transformer.parseDate(str, split.from, locale);
+                if (!date) throw new Error(`Cannot read "${str}" as ${split.from && split.from !== 'auto' ? split.from : 'a date'}`);
+                return list(split.parts).map(pattern => Transformer.formatDate(date, pattern));
+            }
+            default:
+                throw new Error(`Unknown split rule: ${split.rule}`);
+        }
+    }
+
+    /**
+     * Split a value into one part per target field.
+     * @param {*} value - Cell value, after transforms
+     * @param {Object} split - { rule, ...params }
+     * @param {number} count - Number of target fields
+     * @param {Object} [locale] - Source-locale options, for the date rule
+     * @returns {{ parts: string[], error?: string }} parts padded with '' to count
+     */
+    function split(value, split, count, locale) {
+        const str = value === null || value === undefined ? '' : String(value);
+        const pad = (parts) => Array.from({ length: count }, (_, i) => (parts[i] ?? '').trim());
+
+        if (str.trim() === '') return { parts: pad([]) };
+
+        try {
+            return { parts: pad(splitParts(split.rule === 'date' ? value : str, split, count, locale)) };
+        } catch (err) {
+            return { parts: pad([]), error: `${RULES[split.rule]?.label || split.rule}: ${err.message}` };
+        }
+    }
+
+    /**
+     * Resolve the fields a mapping entry fills and the value each one gets.
+     * A split entry sends one part per field, the first to its own selector.
+     * A target's `format` is how its value reads as a number when a number or
+     * date transform (or a date split) wrote it; null means the source locale.
+     * @param {Object} mapInfo - { selector, field, transforms?, split? }
+     * @param {*} value - Cell value after transforms
+     * @param {Object} [locale] - Source-locale options
+     * @returns {{ targets: Array<{ selector, field, value, format }>, error?: string }}
+     */
+    function targetsOf(mapInfo, value, locale) {
+        if (!mapInfo.split) {
+            return { targets: [{ selector: mapInfo.selector, field: mapInfo.field, value, format: Transformer.numberFormatOf(mapInfo.transforms) }] };
+        }
+
+        const selectors = [mapInfo.selector, ...(mapInfo.split.selectors || [])];
+        const fields = [mapInfo.field, ...(mapInfo.split.fields || [])];
+        const result = split(value, mapInfo.split, selectors.length, locale);
+        if (result.error) return { targets: [], error: result.error };
+
+        // Date parts are written as digits; other parts are pieces of the cell, still in the source locale
+        const format = mapInfo.split.rule === 'date' ? { thousands: '', decimal: '.' } : null;
+        const targets = selectors
+            .map((selector, i) => ({ selector, field: fields[i], value: result.parts[i], format }))
+            .filter(t => t.selector);
+        return { targets };
+    }
+
+    return { split, targetsOf, create, RULES };
+})();
@@ -0,0 +1,201 @@
+/**
+ * Template engine for computed (virtual) columns.
+ * Builds one value from several columns of a row:
+ *
+ *   {First Name} {Last Name}           — insert column values
+ *   {Middle Name|-}                    — fallback text when the column is empty
+ *   {Suite ? Suite {Suite}, : }        — conditional on the column being non-empty
+ *   {Country = US ? Domestic : Abroad} — conditional on a comparison (= or !=)
+ *
+ * Branches and fallbacks may contain nested {…}; use \ to escape { } | ? :
+ */
+const Template = (() => {
+    const cache = new Map();
+
+    /* ───── parsing ───── */
+
+    // Nodes: { text } | { name, fallback?, test?: { op, value }, then?, otherwise? }
+
+    function parseNodes(src, pos, stops) {
+        const nodes = [];
+        let text = '';
+        const flush = () => {
+            if (text) nodes.push({ text });
+            text = '';
+        };
+
+        while (pos < src.length) {
+            const ch = src[pos];
+            if (ch === '\\' && pos + 1 < src.length) {
+                text += src[pos + 1];
+                pos += 2;
+                continue;
+            }
+            if (stops.includes(ch)) break;
+            if (ch === '{') {
+                flush();
+                const parsed = parseExpression(src, pos + 1);
+                nodes.push(parsed.node);
+                pos = parsed.pos;
+                continue;
+            }
+            if (ch === '}') throw new Error(`Unexpected "}" at position ${pos + 1}`);
+            text += ch;
+            pos++;
+        }
+        flush();
+        return { nodes, pos };
+    }
+
+    function expect(src, pos, ch) {
+        if (src[pos] !== ch) throw new Error(`Expected "${ch}" at position ${pos + 1}`);
+        return pos + 1;
+    }
+
+    function parseExpression(src, pos) {
+        let name = '';
+        while (pos < src.length && !'|?}='.includes(src[pos]) && !(src[pos] === '!' && src[pos + 1] === '=')) {
+            name += src[pos++];
+        }
+        name = name.trim();
+        if (!name) throw new Error(`Missing column name at position ${pos + 1}`);
+        if (pos >= src.length) throw new Error('Unclosed "{"');
+
+        const node = { name };
+
+        if (src[pos] === '|') {
+            const parsed = parseNodes(src, pos + 1, '}');
+            node.fallback = parsed.nodes;
+            return { node, pos: expect(src, parsed.pos, '}') };
+        }
+
+        if (src[pos] === '=' || src[pos] === '!') {
+            const op = src[pos] === '=' ? '=' : '!=';
+            pos += op.length;
+            let value = '';
+            while (pos < src.length && src[pos] !== '?' && src[pos] !== '}') value += src[pos++];
+            node.test = { op, value: value.trim() };
+            if (src[pos] !== '?') throw new Error(`Comparison on "${name}" needs "? then : else"`);
+        }
+
+        if (src[pos] === '?') {
+            const thenPart = parseNodes(src, pos + 1, ':}');
+            node.then = thenPart.nodes;
+            pos = thenPart.pos;
+            if (src[pos] === ':') {
+                const elsePart = parseNodes(src, pos + 1, '}');
+                node.otherwise = elsePart.nodes;
+                pos = elsePart.pos;
+            }
+            return { node, pos: expect(src, pos, '}') };
+        }
+
+        return { node, pos: expect(src, pos, '}') };
+    }
+
+    /**
+     * Parse a template, caching the result.
+     * @param {string} source
+     * @returns {Object[]} nodes
+     * @throws {Error} on syntax errors
+     */
+    function compile(source) {
+        if (cache.has(source)) return cache.get(source);
+        const parsed = parseNodes(String(source || ''), 0, '');
+        cache.set(source, parsed.nodes);
+        return parsed.nodes;
+    }
+
+    /* ───── rendering ───── */
+
+    function cellText(value) {
+        if (value === null || value === undefined) return '';
+        if (value instanceof Date) return Locale.isoDate(value);
+        return String(value);
+    }
+
+    /** Column lookup tolerant of case and surrounding whitespace */
+    function lookup(row, name) {
+        if (name in row) return cellText(row[name]);
+        const wanted = name.toLowerCase();
+        const key = Object.keys(row).find(k => k.trim().toLowerCase() === wanted);
+        return key ? cellText(row[key]) : '';
+    }
+
+    function renderNodes(nodes, row) {
+        let out = '';
+        for (const node of nodes) {
+            if (node.text !== undefined) {
+                out += node.text;
+                continue;
+            }
+            const value = lookup(row, node.name);
+            const empty = value.trim() === '';
+
+            if (node.then) {
+                let pass = !empty;
+                if (node.test) {
+                    const same = value.trim().toLowerCase() === node.test.value.toLowerCase();
+                    pass = node.test.op === '=' ? same : !same;
+                }
+                out += renderNodes(pass ? node.then : (node.otherwise || []), row);
+            } else if (empty && node.fallback) {
+                out += renderNodes(node.fallback, row);
+            } else {
+                out += value;
+            }
+        }
+        return out;
+    }
+
+    /**
+     * Evaluate a template against a row.
+     * Runs of spaces left by empty columns are collapsed and the result trimmed.
+     * @param {string} source
+     * @param {Object} row - { columnName: value }
+     * @returns {{ value: string, error?: string }}
+     */
+    function evaluate(source, row) {
+        try {
+            const value = renderNodes(compile(source), row || {});
+            return { value: value.replace(/ {2,}/g, ' ').trim() };
+        } catch (err) {
+            return { value: '', error: err.message };
+        }
+    }
+
+    /* ───── helpers ───── */
+
+    /**
+     * Column names a template refers to.
+     * @param {string} source
+     * @returns {string[]}
+     */
+    function columnsUsed(source) {
+        const names = new Set();
+        const walk = (nodes) => nodes.forEach(node => {
+            if (node.name) names.add(node.name);
+            ['fallback', 'then', 'otherwise'].forEach(k => node[k] && walk(node[k]));
+        });
+        walk(compile(source));
+        return Array.from(names);
+    }
+
+    /**
+     * Return a copy of a row with computed columns added, in order —
+     * a computed column may use the ones defined before it.
+     * @param {Object} row
+     * @param {Array<{ name: string, template: string }>} computed
+     * @returns {Object}
+     */
+    function extendRow(row, computed) {
+        if (!computed || computed.length === 0) return row;
+        const extended = { ...row };
+        for (const col of computed) {
+            extended[col.name] = evaluate(col.template, extended).value;
+        }
+        return extended;
+    }
+
+    return { compile, evaluate, columnsUsed, extendRow };
+})();
@@ -0,0 +1,204 @@
+/**
+ * Value transformation pipeline.
+ * Each mapping entry can carry an ordered list of transforms that reshape
+ * the raw cell value before it is validated and filled.
+ * Each transform is a plain object { type, ...params } so it saves with profiles.
+ * Dates and numbers are read in the sheet's source locale (see Locale).
+ */
+const Transformer = (() => {
+    /* ───── transform catalogue ───── */
+
+    /** Param specs drive the editor UI in the popup */
+    const TYPES = {
+        trim: { label: 'Trim whitespace', params: [] },
+        upper: { label: 'UPPER CASE', params: [] },
+        lower: { label: 'lower case', params: [] },
+        title: { label: 'Title Case', params: [] },
+        replace: {
+            label: 'Regex replace',
+            params: [
+                { name: 'pattern', label: 'Find', type: 'text', default: '' },
+                { name: 'replacement', label: 'Replace', type: 'text', default: '' },
+                { name: 'flags', label: 'Flags', type: 'text', default: 'g' }
+            ]
+        },
+        pad: {
+            label: 'Pad',
+            params: [
+                { name: 'length', label: 'Length', type: 'number', default: 5 },
+                { name: 'char', label: 'With', type: 'text', default: '0' },
+                { name: 'side', label: 'Side', type: 'select', options: ['left', 'right'], default: 'left' }
+            ]
+        },
+        prefix: { label: 'Prefix', params: [{ name: 'text', label: 'Text', type: 'text', default: '' }] },
+        suffix: { label: 'Suffix', params: [{ name: 'text', label: 'Text', type: 'text', default: '' }] },
+        date: {
+            label: 'Reformat date',
+            params: [
+                { name: 'from', label: 'From', type: 'text', default: 'auto' },
+                { name: 'to', label: 'To', type: 'text', default: 'YYYY-MM-DD' }
+            ]
+        },
+        number: {
+            label: 'Format number',
+            params: [
+                { name: 'decimals', label: 'Decimals', type: 'number', default: 2 },
+                { name: 'thousands', label: 'Thousands', type: 'text', default: '' },
+                { name: 'decimal', label: 'Decimal', type: 'text', default: '.' }
+            ]
+        },
+        lookup: {
+            label: 'Lookup table',
+            params: [
+                { name: 'table', label: 'One "from=to" per line', type: 'textarea', default: '' },
+                { name: 'fallback', label: 'No match', type: 'select', options: ['keep', 'empty'], default: 'keep' }
+            ]
+        }
+    };
+
+    /**
+     * Create a transform of a given type with default params.
+     * @param {string} type - Key of TYPES
+     * @returns {Object}
+     */
+    function create(type) {
+        const spec = TYPES[type];
+        if (!spec) throw new Error(`Unknown transform: ${type}`);
+        const transform = { type };
+        spec.params.forEach(p => { transform[p.name] = p.default; });
+        return transform;
+    }
+
+    /* ───── dates ───── */
+
+    /**
+     * Parse a date string with an explicit pattern, or 'auto' to read it
+     * the source locale's way (ISO strings, Date objects, Excel serial
+     * numbers, the locale's day/month order — see Locale.parseDate).
+     * @param {*} value
+     * @param {string} pattern - e.g. DD/MM/YYYY, or 'auto'
+     * @param {Object} [locale] - Source-locale options
+     * @returns {Date|null}
+     */
+    function parseDate(value, pattern, locale) {
+        if (!pattern || pattern === 'auto') return Locale.parseDate(value, locale);
+        if (value instanceof Date) return isNaN(value.getTime()) ? null : value;
+        return Locale.parseWith(String(value).trim(), pattern, Locale.resolve(locale).code);
+    }
+
+    /* ───── numbers ───── */
+
+    function formatNumber(value, t, locale) {
+        const num = Locale.parseNumber(value, locale);
+        if (isNaN(num)) throw new Error(`"${value}" is not a number`);
+
+        const decimals = Math.max(0, parseInt(t.decimals, 10) || 0);
+        const [whole, fraction] = Math.abs(num).toFixed(decimals).split('.');
+        const grouped = t.thousands ? whole.replace(/\B(?=(\d{3})+(?!\d))/g, t.thousands) : whole;
+        return (num < 0 ? '-' : '') + grouped + (fraction ? (t.decimal || '.') + fraction : '');
+    }
+
+    /* ───── lookup ───── */
+
+    function parseTable(text) {
+        const table = new Map();
+        String(text || '').split(/\r?\n/).forEach(line => {
+            const idx = line.indexOf('=');
+            if (idx <= 0) return;
+            table.set(line.slice(0, idx).trim().toLowerCase(), line.slice(idx + 1).trim());
+        });
+        return table;
+    }
+
+    /* ───── apply ───── */
+
+    function isEmpty(value) {
+        return value === null || value === undefined || String(value).trim() === '';
+    }
+
+    function applyOne(value, t, locale) {
+        const str = value === null || value === undefined ? '' : String(value);
+
+        switch (t.type) {
+            case 'trim':
+                return str.trim();
+            case 'upper':
+                return str.toUpperCase();
+            case 'lower':
+                return str.toLowerCase();
+            case 'title':
+                return str.toLowerCase().replace(/(^|[\s\-'])(\S)/g, (m, sep, ch) => sep + ch.toUpperCase());
+            case 'replace': {
+                if (!t.pattern) return str;
+                let regex;
+                try {
+                    regex = new RegExp(t.pattern, t.flags || '');
+                } catch (err) {
+                    throw new Error(`Invalid regex: ${err.message}`);
+                }
+                return str.replace(regex, t.replacement || '');
+            }
+            case 'pad': {
+                const length = parseInt(t.length, 10) || 0;
+                const ch = t.char || ' ';
+                return t.side === 'right' ? str.padEnd(length, ch) : str.padStart(length, ch);
+            }
+            case 'prefix':
+                return isEmpty(str) ? str : (t.text || '') + str;
+            case 'suffix':
+                return isEmpty(str) ? str : str + (t.text || '');
+            case 'date': {
+                if (isEmpty(value)) return '';
+                const date = parseDate(value, t.from, locale);
+                if (!date) throw new Error(`Cannot read "${str}" as ${t.from && t.from !== 'auto' ? t.from : 'a date'}`);
+                return Locale.formatDate(date, t.to || 'YYYY-MM-DD');
+            }
+            case 'number':
+                return isEmpty(value) ? '' : formatNumber(value, t, locale);
+            case 'lookup': {
+                const table = parseTable(t.table);
+                const key = str.trim().toLowerCase();
+                if (table.has(key)) return table.get(key);
+                return t.fallback === 'empty' ? '' : str;
+            }
+            default:
+                throw new Error(`Unknown transform: ${t.type}`);
+        }
+    }
+
+    /**
+     * Run a value through an ordered list of transforms.
+     * @param {*} value - Raw cell value
+     * @param {Object[]} transforms - [{ type, ...params }]
+     * @param {Object} [locale] - Source-locale options, for reading dates and numbers
+     * @returns {{ value: *, error?: string }}
+     */
+    function apply(value, transforms, locale) {
+        if (!transforms || transforms.length === 0) return { value };
+        let current = value;
+        for (const t of transforms) {
+            try {
+                current = applyOne(current, t, locale);
+            } catch (err) {
+                return { value: current, error: `${TYPES[t.type]?.label || t.type}: ${err.message}` };
+            }
+        }
+        return { value: current };
+    }
+
+    /**
+     * How the output of a transform list reads as a number. Only a number or
+     * date transform at the end writes numbers its own way; after any other
+     * (trim, lookup, prefix…) the value is still in the source locale.
+     * @param {Object[]} [transforms]
+     * @returns {{ thousands: string, decimal: string }|null} null for the source locale
+     */
+    function numberFormatOf(transforms) {
+        const last = transforms?.[transforms.length - 1];
+        if (last?.type === 'number') return { thousands: last.thousands || '', decimal: last.decimal || '.' };
+        if (last?.type === 'date') return { thousands: '', decimal: '.' };
+        return null;
+    }
+
+    return { apply, create, parseDate, numberFormatOf, formatDate: Locale.formatDate, TYPES };
+})();
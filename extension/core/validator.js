@@ -1,17 +1,88 @@
 /**
  * Field validation rules by type.
  * Each validator returns { valid: boolean, error?: string, value?: any }
+ * Constraints follow the field's HTML attributes: min / max / step for
+ * numbers, dates and times, minlength / maxlength / pattern for text.
+ * Dates and numbers are read in the sheet's source locale (see Locale) and
+ * written the way the field takes them.
  */
 const Validator = (() => {
     const EMAIL_REGEX = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+    const DAY_MS = 86400000;
+    const WEEK_MS = 7 * DAY_MS;
+    /** Monday of 1970-W01, where the HTML week scale starts */
+    const WEEK_EPOCH = Date.UTC(1969, 11, 29);
+
+    /** Step a field has without a step attribute, in its scale's unit */
+    const DEFAULT_STEP = { number: 1, range: 1, date: 1, month: 1, week: 1, time: 60, 'datetime-local': 60 };
+
+    /** Cells listing several options for a multiple select: "Red; Blue" */
+    const MULTI_SEPARATOR = /\s*[;\n]\s*/;
+
+    /** Types minlength / maxlength / pattern apply to */
+    const TEXT_TYPES = ['text', 'search', 'email', 'tel', 'url', 'password', 'textarea', 'contenteditable'];
+
+    function isEmpty(value) {
+        return value === null || value === undefined || String(value).trim() === '';
+    }
+
+    function pad(n, width = 2) {
+        return String(n).padStart(width, '0');
+    }
 
     function validateRequired(value, field) {
-        if (field.required && (value === null || value === undefined || String(value).trim() === '')) {
+        if (field.required && (isEmpty(value) || (Array.isArray(value) && value.length === 0))) {
             return { valid: false, error: 'Required field cannot be empty' };
         }
         return { valid: true };
     }
 
+    /* ───── min / max / step ───── */
+
+    /**
+     * Check a value's position on its type's scale — the number itself, or
+     * days, months, weeks or seconds — against min, max and step.
+     * A field saved without a step key (older mappings) is not step-checked.
+     * @param {number} n - Position of the value
+     * @param {Object} field
+     * @param {Object} scale
+     * @param {Function} scale.parse - Attribute value → position, or null when unset or unreadable
+     * @param {Function} scale.format - Position → value, for the nearest valid steps
+     * @param {number} [scale.step] - Default step
+     * @param {boolean} [scale.wraps] - min after max allows a range across the wrap (times past midnight)
+     * @returns {string|null} Error, or null within constraints
+     */
+    function checkRange(n, field, { parse, format, step: defaultStep, wraps }) {
+        const min = parse(field.min);
+        const max = parse(field.max);
+        if (wraps && min !== null && max !== null && min > max) {
+            if (n < min && n > max) return `Outside allowed range (${field.min} – ${field.max})`;
+        } else {
+            if (min !== null && n < min) return `Below minimum (${field.min})`;
+            if (max !== null && n > max) return `Above maximum (${field.max})`;
+        }
+
+        if (field.step === undefined || String(field.step).toLowerCase() === 'any' || !defaultStep) return null;
+        const declared = parseFloat(field.step);
+        const step = declared > 0 ? declared : defaultStep;
+        const base = min ?? 0;
+        const steps = (n - base) / step;
+        if (Math.abs(steps - Math.round(steps)) < 1e-9) return null;
+        const below = base + Math.floor(steps) * step;
+        return `Not a valid step (nearest ${format(below)} or ${format(below + step)})`;
+    }
+
+    function parseNumber(attr) {
+        const n = parseFloat(attr);
+        return isNaN(n) ? null : n;
+    }
+
+    function formatNumber(n) {
+        return String(Number(n.toFixed(10)));
+    }
+
+    /* ───── text ───── */
+
     function validateEmail(value) {
         if (!value || String(value).trim() === '') return { valid: true, value };
         if (!EMAIL_REGEX.test(String(value).trim())) {
@@ -29,52 +100,278 @@ const Validator = (() => {
         return { valid: true, value: String(value).trim() };
     }
 
-    function validateNumber(value, field) {
+    /** A pattern attribute as the browser applies it: the whole value must match */
+    function patternRegex(pattern) {
+        for (const flags of ['v', 'u']) {
+            try {
+                return new RegExp(`^(?:${pattern})$`, flags);
+            } catch { /* Older engine, or a pattern the browser would ignore too */ }
+        }
+        return null;
+    }
+
+    /**
+     * Check minlength, maxlength and pattern. Lengths count UTF-16 code
+     * units, as the browser does. An empty value is left to the required check.
+     */
+    function validateText(value, field) {
+        if (isEmpty(value)) return { valid: true, value };
+        const str = String(value);
+        const minLength = parseNumber(field.minLength);
+        const maxLength = parseNumber(field.maxLength);
+
+        if (maxLength !== null && str.length > maxLength) {
+            return { valid: false, error: `Longer than ${maxLength} characters (${str.length})` };
+        }
+        if (minLength !== null && str.length < minLength) {
+            return { valid: false, error: `Shorter than ${minLength} characters (${str.length})` };
+        }
+        const regex = field.pattern ? patternRegex(field.pattern) : null;
+        if (regex && !regex.test(str)) {
+            return { valid: false, error: `Does not match the required pattern (${field.pattern})` };
+        }
+        return { valid: true, value };
+    }
+
+    /* ───── numbers ───── */
+
+    /** A number written with exactly these separators, as a number transform writes it */
+    function formattedNumber(value, format) {
+        if (typeof value === 'number') return value;
+        let str = String(value).trim();
+        if (format.thousands) str = str.split(format.thousands).join('');
+        if (format.decimal && format.decimal !== '.') {
+            if (str.includes('.')) return NaN;
+            str = str.replace(format.decimal, '.');
+        }
+        return /^[-+]?(\d+\.?\d*|\.\d+)(e[+-]?\d+)?$/i.test(str) ? Number(str) : NaN;
+    }
+
+    /**
+     * @param {Object} [format] - { thousands, decimal } the value was written with (see
+     *   Transformer.numberFormatOf); without one it is read in the source locale
+     */
+    function validateNumber(value, field, locale, format = null) {
         if (value === null || value === undefined || String(value).trim() === '') {
             return { valid: true, value: '' };
         }
-        const num = parseFloat(value);
+        const num = format ? formattedNumber(value, format) : Locale.parseNumber(value, locale);
         if (isNaN(num)) {
             return { valid: false, error: 'Not a valid number' };
         }
-        const min = field.min !== undefined && field.min !== null ? parseFloat(field.min) : null;
-        const max = field.max !== undefined && field.max !== null ? parseFloat(field.max) : null;
+        const type = (field.type || 'number').toLowerCase();
+        const error = checkRange(num, field, { parse: parseNumber, format: formatNumber, step: DEFAULT_STEP[type] ?? 1 });
+        if (error) return { valid: false, error };
+        return { valid: true, value: num };
+    }
+
+    /* ───── dates and times ───── */
+
+    /** HH:MM, with seconds (and milliseconds) only when there are some */
+    function isoTime(h, m, s = 0, ms = 0) {
+        let time = `${pad(h)}:${pad(m)}`;
+        if (s || ms) time += `:${pad(s)}`;
+        if (ms) time += `.${pad(ms, 3)}`;
+        return time;
+    }
+
+    /** Days since 1970-01-01 for YYYY-MM-DD */
+    function dayNumber(str) {
+        const m = String(str ?? '').match(/^(\d{4,})-(\d{2})-(\d{2})$/);
+        return m ? Date.UTC(+m[1], m[2] - 1, +m[3]) / DAY_MS : null;
+    }
+
+    /** Seconds since midnight for HH:MM[:SS[.mmm]] */
+    function secondOfDay(str) {
+        const m = String(str ?? '').match(/^(\d{2}):(\d{2})(?::(\d{2})(?:\.(\d{1,3}))?)?$/);
+        return m ? m[1] * 3600 + m[2] * 60 + (+m[3] || 0) + (+`0.${m[4] || 0}`) : null;
+    }
+
+    /** Seconds since 1970-01-01T00:00 for YYYY-MM-DDTHH:MM[:SS] */
+    function secondNumber(str) {
+        const [date, time] = String(str ?? '').split('T');
+        const day = dayNumber(date);
+        const second = secondOfDay(time);
+        return day !== null && second !== null ? day * 86400 + second : null;
+    }
+
+    /** Months since 1970-01 for YYYY-MM */
+    function monthNumber(str) {
+        const m = String(str ?? '').match(/^(\d{4,})-(\d{2})$/);
+        return m ? (m[1] - 1970) * 12 + (m[2] - 1) : null;
+    }
+
+    /** Weeks since 1970-W01 for YYYY-Www */
+    function weekNumber(str) {
+        const m = String(str ?? '').match(/^(\d{4,})-W(\d{2})$/);
+        return m ? Math.round((weekStart(+m[1], +m[2]) - WEEK_EPOCH) / WEEK_MS) : null;
+    }
+
+    function fromDayNumber(n) {
+        return new Date(n * DAY_MS).toISOString().slice(0, 10);
+    }
+
+    function fromSecondOfDay(n) {
+        const s = ((n % 86400) + 86400) % 86400;
+        return isoTime(Math.floor(s / 3600), Math.floor(s / 60) % 60, Math.floor(s % 60), Math.round((s % 1) * 1000));
+    }
+
+    function fromSecondNumber(n) {
+        return `${fromDayNumber(Math.floor(n / 86400))}T${fromSecondOfDay(n)}`;
+    }
+
+    function fromMonthNumber(n) {
+        return `${1970 + Math.floor(n / 12)}-${pad((n % 12 + 12) % 12 + 1)}`;
+    }
 
-        if (min !== null && !isNaN(min) && num < min) {
-            return { valid: false, error: `Below minimum (${min})` };
+    function fromWeekNumber(n) {
+        const { year, week } = isoWeek(new Date(WEEK_EPOCH + n * WEEK_MS + 3 * DAY_MS));
+        return `${year}-W${pad(week)}`;
+    }
+
+    /** UTC timestamp of the Monday starting ISO week `week` of `year` */
+    function weekStart(year, week) {
+        const jan4 = Date.UTC(year, 0, 4);
+        const jan4Day = new Date(jan4).getUTCDay() || 7;
+        return jan4 - (jan4Day - 1) * DAY_MS + (week - 1) * WEEK_MS;
+    }
+
+    /** ISO 8601 week of a date — the week's Thursday decides its year */
+    function isoWeek(date) {
+        const thursday = new Date(Date.UTC(date.getFullYear(), date.getMonth(), date.getDate()));
+        thursday.setUTCDate(thursday.getUTCDate() + 4 - (thursday.getUTCDay() || 7));
+        const year = thursday.getUTCFullYear();
+        const week = Math.ceil(((thursday - Date.UTC(year, 0, 1)) / DAY_MS + 1) / 7);
+        return { year, week };
+    }
+
+    function weeksInYear(year) {
+        return isoWeek(new Date(year, 11, 28)).week;
+    }
+
+    /** Validated value, or the error checkRange found */
+    function inRange(value, n, field, scale) {
+        const error = checkRange(n, field || {}, scale);
+        return error ? { valid: false, error } : { valid: true, value };
+    }
+
+    function validateDate(value, field, locale) {
+        if (!value || String(value).trim() === '') return { valid: true, value: '' };
+        const date = Locale.parseDate(value, locale);
+        if (!date) {
+            return { valid: false, error: 'Invalid date format' };
         }
-        if (max !== null && !isNaN(max) && num > max) {
-            return { valid: false, error: `Above maximum (${max})` };
+        // Format for input[type="date"] → YYYY-MM-DD
+        const str = Locale.isoDate(date);
+        return inRange(str, dayNumber(str), field, { parse: dayNumber, format: fromDayNumber, step: DEFAULT_STEP.date });
+    }
+
+    /** input[type="datetime-local"] → YYYY-MM-DDTHH:MM[:SS] */
+    function validateDateTime(value, field, locale) {
+        if (!value || String(value).trim() === '') return { valid: true, value: '' };
+        const date = Locale.parseDate(value, locale);
+        if (!date) {
+            return { valid: false, error: 'Invalid date/time format' };
         }
-        return { valid: true, value: num };
+        const str = `${Locale.isoDate(date)}T${isoTime(date.getHours(), date.getMinutes(), date.getSeconds())}`;
+        return inRange(str, secondNumber(str), field,
+            { parse: secondNumber, format: fromSecondNumber, step: DEFAULT_STEP['datetime-local'] });
     }
 
-    function validateDate(value) {
+    /**
+     * input[type="time"] → HH:MM[:SS]. Reads 24-hour and 12-hour times
+     * ("2:30 PM", "9am", "14h30"), Excel time fractions (0.5 = noon) and date-times.
+     */
+    function validateTime(value, field, locale) {
         if (!value || String(value).trim() === '') return { valid: true, value: '' };
         const str = String(value).trim();
+        let parts = value instanceof Date ? null : Locale.parseTime(str);
 
-        // Try parsing as Date
-        let date = new Date(str);
+        if (!parts && /^0?\.\d+$|^0$/.test(str)) {
+            const ms = Math.round(parseFloat(str) * DAY_MS);
+            parts = [Math.floor(ms / 3600000), Math.floor(ms / 60000) % 60, Math.floor(ms / 1000) % 60, ms % 1000];
+        } else if (!parts && (value instanceof Date || /\d{4}|[a-z]{3}/i.test(str))) {
+            const date = Locale.parseDate(value, locale);
+            if (date) parts = [date.getHours(), date.getMinutes(), date.getSeconds(), date.getMilliseconds()];
+        }
 
-        // Handle Excel serial dates (numbers like 45678)
-        if (isNaN(date.getTime()) && !isNaN(parseFloat(str))) {
-            const serial = parseFloat(str);
-            // Excel epoch: 1900-01-01, but Excel has a bug treating 1900 as a leap year
-            const epoch = new Date(1899, 11, 30);
-            date = new Date(epoch.getTime() + serial * 86400000);
+        if (!parts) {
+            return { valid: false, error: 'Invalid time format' };
         }
+        const time = isoTime(...parts);
+        return inRange(time, secondOfDay(time), field,
+            { parse: secondOfDay, format: fromSecondOfDay, step: DEFAULT_STEP.time, wraps: true });
+    }
 
-        if (isNaN(date.getTime())) {
-            return { valid: false, error: 'Invalid date format' };
+    /** input[type="month"] → YYYY-MM. Reads "2024-03", "03/2024", "March 2024" or a full date. */
+    function validateMonth(value, field, locale) {
+        if (!value || String(value).trim() === '') return { valid: true, value: '' };
+        const str = String(value).trim();
+        let year, month;
+
+        const yearFirst = str.match(/^(\d{4})[-/.](\d{1,2})$/);
+        const monthFirst = str.match(/^(\d{1,2})[-/.](\d{4})$/);
+        if (yearFirst) {
+            [year, month] = [+yearFirst[1], +yearFirst[2]];
+        } else if (monthFirst) {
+            [year, month] = [+monthFirst[2], +monthFirst[1]];
+        } else {
+            const date = Locale.parseDate(value, locale);
+            if (date) [year, month] = [date.getFullYear(), date.getMonth() + 1];
         }
 
-        // Format for input[type="date"] → YYYY-MM-DD
-        const yyyy = date.getFullYear();
-        const mm = String(date.getMonth() + 1).padStart(2, '0');
-        const dd = String(date.getDate()).padStart(2, '0');
-        return { valid: true, value: `${yyyy}-${mm}-${dd}` };
+        if (!year || !(month >= 1 && month <= 12)) {
+            return { valid: false, error: 'Invalid month format' };
+        }
+        const iso = `${year}-${pad(month)}`;
+        return inRange(iso, monthNumber(iso), field, { parse: monthNumber, format: fromMonthNumber, step: DEFAULT_STEP.month });
     }
 
+    /** input[type="week"] → YYYY-Www. Reads "2024-W05", "W5 2024" or a date in the week. */
+    function validateWeek(value, field, locale) {
+        if (!value || String(value).trim() === '') return { valid: true, value: '' };
+        const str = String(value).trim();
+        let year, week;
+
+        const iso = str.match(/^(\d{4})[-\s]?W(\d{1,2})$/i);
+        const loose = str.match(/^W(?:eek)?\s*(\d{1,2})[\s,/-]+(\d{4})$/i);
+        if (iso) {
+            [year, week] = [+iso[1], +iso[2]];
+        } else if (loose) {
+            [year, week] = [+loose[2], +loose[1]];
+        } else {
+            const date = Locale.parseDate(value, locale);
+            if (date) ({ year, week } = isoWeek(date));
+        }
+
+        if (!year || !(week >= 1 && week <= weeksInYear(year))) {
+            return { valid: false, error: 'Invalid week format' };
+        }
+        const formatted = `${year}-W${pad(week)}`;
+        return inRange(formatted, weekNumber(formatted), field, { parse: weekNumber, format: fromWeekNumber, step: DEFAULT_STEP.week });
+    }
+
+    /* ───── color ───── */
+
+    /** input[type="color"] takes lowercase #rrggbb only; reads #rgb and rgb() too */
+    function validateColor(value) {
+        if (!value || String(value).trim() === '') return { valid: true, value: '' };
+        const str = String(value).trim().toLowerCase();
+
+        const hex = str.match(/^#?([0-9a-f]{6}|[0-9a-f]{3})$/);
+        if (hex) {
+            const digits = hex[1].length === 3 ? hex[1].replace(/./g, c => c + c) : hex[1];
+            return { valid: true, value: `#${digits}` };
+        }
+        const rgb = str.match(/^rgba?\(\s*(\d{1,3})\s*[, ]\s*(\d{1,3})\s*[, ]\s*(\d{1,3})\s*(?:[,/]\s*[\d.]+%?\s*)?\)$/);
+        if (rgb && rgb.slice(1).every(c => +c <= 255)) {
+            return { valid: true, value: '#' + rgb.slice(1).map(c => pad((+c).toString(16))).join('') };
+        }
+        return { valid: false, error: 'Invalid color (expected #rrggbb)' };
+    }
+
+    /* ───── selects ───── */
+
     function validateSelect(value, options) {
         if (!value || String(value).trim() === '') return { valid: true, value: '' };
         if (!options || options.length === 0) return { valid: true, value };
@@ -99,6 +396,36 @@ const Validator = (() => {
         return { valid: false, error: `"${value}" not in dropdown options` };
     }
 
+    /**
+     * Validate a cell listing options for a <select multiple>: "Red; Blue"
+     * (semicolons or line breaks; commas when no option has one in it).
+     * @returns {{ valid: boolean, error?: string, value?: string[] }} value: option values to select
+     */
+    function validateMultiSelect(value, options) {
+        if (Array.isArray(value)) value = value.join(';');
+        if (!value || String(value).trim() === '') return { valid: true, value: [] };
+
+        const str = String(value).trim();
+        let parts = str.split(MULTI_SEPARATOR).filter(Boolean);
+        const optionHasComma = (options || []).some(o => String(o.text).includes(','));
+        if (parts.length === 1 && str.includes(',') && !optionHasComma) {
+            parts = str.split(/\s*,\s*/).filter(Boolean);
+        }
+        if (!options || options.length === 0) return { valid: true, value: parts };
+
+        const values = [];
+        const unknown = [];
+        parts.forEach(part => {
+            const check = validateSelect(part, options);
+            if (!check.valid) unknown.push(part);
+            else if (!values.includes(check.value)) values.push(check.value);
+        });
+        if (unknown.length > 0) {
+            return { valid: false, error: `${unknown.map(p => `"${p}"`).join(', ')} not in list options` };
+        }
+        return { valid: true, value: values };
+    }
+
     function validateUrl(value) {
         if (!value || String(value).trim() === '') return { valid: true, value: '' };
         const str = String(value).trim();
@@ -116,40 +443,81 @@ const Validator = (() => {
         }
     }
 
+    /**
+     * A date for a text field whose placeholder spells out a format
+     * ("dd/mm/yyyy") is written in that format. Anything else, including
+     * bare numbers that would read as Excel serials, is left as it is.
+     */
+    function formatForPlaceholder(value, field, locale) {
+        const format = Locale.placeholderFormat(field.placeholder);
+        if (!format || isEmpty(value) || /^\d+$/.test(String(value).trim())) return { valid: true, value };
+        const date = Locale.parseDate(value, locale);
+        return { valid: true, value: date ? Locale.formatDate(date, format) : value };
+    }
+
     /**
      * Validate a value for a given field.
      * @param {*} value - The value to validate
      * @param {Object} field - The form field descriptor
+     * @param {Object} [locale] - Source-locale options for reading dates and numbers (see Locale)
+     * @param {Object} [options]
+     * @param {Object} [options.format] - { thousands, decimal } a number or date transform wrote
+     *   the value with; numbers without one are read in the source locale
      * @returns {{ valid: boolean, error?: string, value?: any }}
      */
-    function validate(value, field) {
+    function validate(value, field, locale, options = {}) {
         // Required check first
         const reqCheck = validateRequired(value, field);
         if (!reqCheck.valid) return reqCheck;
 
         const type = (field.type || 'text').toLowerCase();
+        let result;
 
         switch (type) {
             case 'email':
-                return validateEmail(value);
+                result = validateEmail(value);
+                break;
             case 'tel':
-                return validatePhone(value);
+                result = validatePhone(value);
+                break;
             case 'number':
+                return validateNumber(value, field, locale, options.format);
             case 'range':
-                return validateNumber(value, field);
+                // A range always has bounds: 0 – 100 unless set
+                return validateNumber(value, { ...field, min: field.min ?? '0', max: field.max ?? '100' }, locale, options.format);
             case 'date':
+                return validateDate(value, field, locale);
             case 'datetime-local':
-                return validateDate(value);
+                return validateDateTime(value, field, locale);
+            case 'time':
+                return validateTime(value, field, locale);
+            case 'month':
+                return validateMonth(value, field, locale);
+            case 'week':
+                return validateWeek(value, field, locale);
+            case 'color':
+                return validateColor(value);
             case 'select':
             case 'select-one':
-            case 'select-multiple':
                 return validateSelect(value, field.options);
+            case 'select-multiple':
+                return validateMultiSelect(value, field.options);
             case 'url':
-                return validateUrl(value);
+                result = validateUrl(value);
+                break;
+            case 'text':
+                result = formatForPlaceholder(value, field, locale);
+                break;
             default:
-                return { valid: true, value: value };
+                result = { valid: true, value: value };
         }
+
+        return result.valid && TEXT_TYPES.includes(type) ? validateText(result.value, field) : result;
     }
 
-    return { validate, validateRequired, validateEmail, validatePhone, validateNumber, validateDate, validateSelect, validateUrl };
+    return {
+        validate, validateRequired, validateEmail, validatePhone, validateNumber, validateDate, validateDateTime,
+        validateTime, validateMonth, validateWeek, validateColor, validateSelect, validateMultiSelect, validateUrl,
+        validateText
+    };
 })();
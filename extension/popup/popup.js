@@ -11,15 +11,55 @@
     let workbook = null;
     let sheetNames = [];
     let currentSheet = '';
+    let fileFingerprint = '';    // Content hash of the loaded file — keys batch checkpoints
     let parsedData = [];         // Array of row objects
     let columns = [];            // Column header names
+    let sheetLayout = {};        // Where the sheet's header and data sit (see SheetLayout)
+    let sheetHeader = null;      // { first, last, columns } from SheetLayout.read — where edits and results are written
+    let computedColumns = [];    // [{ name, template }] — virtual columns built from real ones
+    let joins = [];              // [{ type, from, sheet, key, otherKey, … }] — other sheets' columns joined into a sheet's rows (see Joiner)
+    let joinPlan = null;         // Joiner.plan for the current sheet — what each join adds
+    let editingJoin = null;      // Join open in the editor, null when adding
+    let editingComputed = null;  // Computed column open in the editor, null when adding
     let detectedFields = [];     // From content script
     let currentMapping = {};     // { columnName: { selector, confidence, level, field, source } }
     let manualOverrides = {};    // { columnName: selectorOrEmpty }
+    let learnedMatches = [];     // Columns mapped by hand and their fields, on any site (see Storage.learnMatch)
+    let steps = [];              // Wizard pages [{ url, mapping, overrides, continueSelector, waitFor, … }]; empty for a one-page form
+    let activeStep = 0;          // Step whose mapping is in the grid
     let currentRowIndex = 0;
     let settings = {};
     let currentTabId = null;     // Active browser tab id
     let isFilling = false;
+    let currentJob = null;       // Background batch job summary (see background/background.js)
+    let attachments = [];        // [{ key, path, name, type, size }] — files for upload fields (see FileStore)
+    let sourceLocale = { preset: 'auto' };  // How the loaded file writes dates and numbers (see Locale)
+    let preflight = null;        // Report from the last Validate All (see Preflight.run)
+    let excludedRows = new Set(); // Rows left out of batch fills
+    let dryRun = null;           // { row, items } — Filler.preview entries with the user's accept/skip choice
+    let rowSelection = emptySelection();  // Which rows a batch fills, in what order (see RowFilter)
+    let selectedRows = null;     // Row indices the selection leaves, in fill order; null for every row in sheet order
+    let previewExpanded = false; // Data grid drawn taller
+    let grid = null;             // SheetGrid listing every row (see popup/sheetgrid.js)
+    let gridSearch = '';         // Text a row must contain to be listed in the grid
+    let unpickedLookup = new Set(); // rowSelection.unpicked as a Set, for the grid's tick boxes
+    let sheetEdited = false;     // Cells or rows changed in the grid since the file was loaded
+    let sessionPassphrase = '';  // Encrypts the remembered session; held only while the popup is open
+    let sessionTimer = null;     // Pending rememberSession save
+    let sessionWorkbookDirty = false; // The remembered workbook is behind the loaded one
+    let profileTyping = {};      // TYPING_SETTINGS the loaded site profile overrides; never saved as the defaults
+
+    /** Settings a site profile overrides when loaded */
+    const TYPING_SETTINGS = ['fillStrategy', 'charDelay', 'commitMode'];
+
+    /** Pause after typing in the grid search before rows are re-listed (ms) */
+    const GRID_SEARCH_DELAY = 200;
+
+    /** Quiet time before the session is remembered, so row-by-row stepping saves once (ms) */
+    const SESSION_SAVE_DELAY = 500;
+
+    /** Failing cells listed in the pre-flight report; the counts cover them all */
+    const PREFLIGHT_LIST_LIMIT = 200;
 
     /* ═══════ DOM refs ═══════ */
 
@@ -31,13 +71,28 @@
     document.addEventListener('DOMContentLoaded', async () => {
         initTabs();
         initUpload();
+        initLayoutControls();
+        initJoinControls();
+        initAttachmentControls();
+        initLocaleControls();
+        initSelectionControls();
+        initGridControls();
         initMappingControls();
         initSettingsControls();
         initProfilesTab();
+        initLearnedControls();
+        initSessionControls();
         settings = await Storage.getSettings();
         applySettingsToUI(settings);
         if (settings.enableLogging) Logger.enable();
+        learnedMatches = await Storage.getLearnedMatches();
         setStatus('Ready', 'success');
+        await restoreSession();
+        initJobControls();
+        initCheckpointControls();
+        initPreflightControls();
+        initDryRunControls();
+        refreshUndo();
     });
 
     /* ═══════ Tab Navigation ═══════ */
@@ -58,6 +113,7 @@
                 // Refresh profiles list
                 if (target === 'profiles') {
                     loadProfilesList();
+                    renderLearnedList();
                 }
             });
         });
@@ -86,13 +142,16 @@
             if (e.target.files.length) handleFile(e.target.files[0]);
         });
 
+        $('#sheet-selector').addEventListener('change', (e) => loadSheet(e.target.value));
+        $('#paste-load-btn').addEventListener('click', loadPasted);
         $('#clear-file').addEventListener('click', clearData);
+        $('#export-results-btn').addEventListener('click', exportResults);
+        $('#download-sheet-btn').addEventListener('click', downloadSheet);
     }
 
     async function handleFile(file) {
-        const validExts = ['.xlsx', '.xls', '.csv'];
         const ext = '.' + file.name.split('.').pop().toLowerCase();
-        if (!validExts.includes(ext)) {
+        if (!DataSource.EXTENSIONS.includes(ext)) {
             setStatus('Unsupported file type', 'error');
             return;
         }
@@ -100,137 +159,634 @@
         setStatus('Parsing file…', 'working');
 
         try {
-            const data = await readFileAsBinary(file);
-            workbook = XLSX.read(data, { type: 'binary', cellDates: true });
-            sheetNames = workbook.SheetNames;
-
-            // Show file info
-            $('#file-name').textContent = file.name;
-            $('#file-size').textContent = formatSize(file.size);
-            $('#file-info').style.display = '';
-            $('#upload-area').style.display = 'none';
-
-            // Sheet selector
-            if (sheetNames.length > 1) {
-                const sel = $('#sheet-selector');
-                sel.innerHTML = '';
-                sheetNames.forEach(name => {
-                    const opt = document.createElement('option');
-                    opt.value = name;
-                    opt.textContent = name;
-                    sel.appendChild(opt);
-                });
-                sel.addEventListener('change', () => loadSheet(sel.value));
-                $('#sheet-selector-container').style.display = '';
-            }
-
-            loadSheet(sheetNames[0]);
+            const buffer = await file.arrayBuffer();
+            // Delimited text stays verbatim: SheetJS would read "03/04/2025" the US way, Locale reads it the file's way
+            const { workbook: book, details } = DataSource.read(buffer, file.name);
+            await openWorkbook(book, {
+                name: file.name,
+                meta: [formatSize(file.size), details].filter(Boolean).join(' · '),
+                print: await fingerprint(buffer)
+            });
             setStatus('File loaded', 'success');
         } catch (err) {
             Logger.error('Parse error:', err);
-            setStatus('Failed to parse file', 'error');
+            setStatus(`Failed to parse file: ${err.message}`, 'error');
         }
     }
 
-    function loadSheet(sheetName) {
-        currentSheet = sheetName;
-        const ws = workbook.Sheets[sheetName];
-        const rawData = XLSX.utils.sheet_to_json(ws, { defval: '' });
-
-        // Clean data
-        parsedData = rawData.filter(row => {
-            return Object.values(row).some(v => v !== null && v !== undefined && String(v).trim() !== '');
+    /** Cells pasted from a spreadsheet arrive tab-separated, header row first */
+    async function loadPasted() {
+        const text = $('#paste-input').value;
+        if (!text.trim()) {
+            setStatus('Paste some cells first', 'warning');
+            return;
+        }
+        const { workbook: book, delimiter } = DataSource.fromText(text, { preferred: '\t', sheetName: 'Pasted' });
+        const lines = text.trim().split(/\r?\n/).length;
+        await openWorkbook(book, {
+            name: 'Pasted data',
+            meta: `${lines} lines · ${delimiter === '\t' ? 'tab' : `"${delimiter}"`}-separated`,
+            print: await fingerprint(new TextEncoder().encode(text))
         });
+        setStatus('Pasted data loaded', 'success');
+    }
+
+    /**
+     * Show a freshly read workbook and load its first sheet.
+     * @param {Object} book - SheetJS workbook
+     * @param {Object} source - { name, meta, print } — title, size/format line and content hash
+     * @param {Object} [at] - { sheet, layout, joins } to open instead, for a remembered session
+     */
+    async function openWorkbook(book, source, at = {}) {
+        workbook = book;
+        joins = at.joins || [];   // Joins name another file's sheets and columns
+        sheetNames = workbook.SheetNames;
+        fileFingerprint = source.print;
+        markEdited(false);
+        useLocale((await Storage.getFileLocale(fileFingerprint)) || { preset: 'auto' });
+
+        // Show file info
+        $('#file-name').textContent = source.name;
+        $('#file-size').textContent = source.meta;
+        $('#file-info').style.display = '';
+        $('#upload-area').style.display = 'none';
+        $('#paste-box').style.display = 'none';
+        $('#session-lock').style.display = 'none';
+
+        // Sheet selector
+        if (sheetNames.length > 1) {
+            const sel = $('#sheet-selector');
+            sel.innerHTML = '';
+            sheetNames.forEach(name => {
+                const opt = document.createElement('option');
+                opt.value = name;
+                opt.textContent = name;
+                sel.appendChild(opt);
+            });
+            $('#sheet-selector-container').style.display = '';
+        }
+
+        const sheet = sheetNames.includes(at.sheet) ? at.sheet : sheetNames[0];
+        $('#sheet-selector').value = sheet;
+        loadSheet(sheet, sheet === at.sheet ? at.layout : undefined);
+        rememberSession(true);
+    }
 
-        columns = parsedData.length > 0 ? Object.keys(parsedData[0]) : [];
+    /**
+     * Read a sheet into rows and columns.
+     * @param {string} sheetName
+     * @param {Object} [layout] - Header rows, range and skipped rows/columns; detected when not given
+     */
+    function loadSheet(sheetName, layout) {
+        closeDryRun();
+        currentSheet = sheetName;
+        const ws = workbook.Sheets[sheetName];
+        sheetLayout = layout || SheetLayout.detect(ws);
+        const sheet = SheetLayout.read(ws, sheetLayout);
+        useSheetRows(sheet);
+        renderLayout(sheet);
 
         // Update info
-        $('#row-count').textContent = `${parsedData.length} rows`;
-        $('#col-count').textContent = `${columns.length} columns`;
+        renderCounts();
         $('#info-bar').style.display = '';
 
         // Render preview
-        renderPreview();
+        rowSelection = emptySelection();
+        previewExpanded = false;
+        gridSearch = '';
+        $('#grid-search').value = '';
+        renderSelectionControls();
         currentRowIndex = 0;
+        applySelection();
 
         // Reset mapping
         currentMapping = {};
         manualOverrides = {};
+        resetStepMappings();
         renderMappingGrid();
+        resetPreflight();
+        refreshCheckpoint();
     }
 
-    function renderPreview() {
-        const thead = $('#preview-thead');
-        const tbody = $('#preview-tbody');
-        thead.innerHTML = '';
-        tbody.innerHTML = '';
+    /* ═══════ Sheet Layout ═══════ */
+
+    function initLayoutControls() {
+        ['#header-row', '#header-depth', '#data-range', '#skip-rows', '#skip-cols'].forEach(sel => {
+            $(sel).addEventListener('change', onLayoutChange);
+        });
+        $('#detect-layout-btn').addEventListener('click', () => {
+            if (!workbook) return;
+            loadSheet(currentSheet, SheetLayout.detect(workbook.Sheets[currentSheet], { range: $('#data-range').value }));
+        });
+    }
+
+    function onLayoutChange() {
+        if (!workbook) return;
+        loadSheet(currentSheet, {
+            headerRow: Math.max(1, parseInt($('#header-row').value, 10) || 1),
+            headerDepth: Number($('#header-depth').value) || 1,
+            range: $('#data-range').value.trim(),
+            skipRows: $('#skip-rows').value.trim(),
+            skipCols: $('#skip-cols').value.trim()
+        });
+    }
+
+    /** Show the layout in use, and what reading the sheet under it ran into */
+    function renderLayout(sheet) {
+        $('#header-row').value = sheetLayout.headerRow || 1;
+        $('#header-depth').value = String(sheetLayout.headerDepth || 1);
+        $('#data-range').value = sheetLayout.range || '';
+        $('#skip-rows').value = sheetLayout.skipRows || '';
+        $('#skip-cols').value = sheetLayout.skipCols || '';
+
+        const note = $('#layout-note');
+        note.classList.toggle('error', !!sheet.error);
+        note.textContent = sheet.error || sheet.notes.join(' · ');
+    }
+
+    /* ═══════ Sheet Joins ═══════ */
+
+    function initJoinControls() {
+        $('#add-join-btn').addEventListener('click', () => openJoinEditor(null));
+        $('#save-join-btn').addEventListener('click', saveJoin);
+        $('#delete-join-btn').addEventListener('click', deleteJoin);
+        $('#cancel-join-btn').addEventListener('click', closeJoinEditor);
+        $('#join-type').addEventListener('change', renderJoinEditor);
+        $('#join-sheet').addEventListener('change', renderJoinEditor);
+        $('#join-list').addEventListener('click', (e) => {
+            const item = e.target.closest('.join-item');
+            if (item) openJoinEditor(joins[Number(item.dataset.index)]);
+        });
+    }
+
+    /** Take a sheet's rows, header and columns, extended with the joins */
+    function useSheetRows(sheet) {
+        const joined = Joiner.apply(workbook, currentSheet, sheet.rows, sheet.columns, joins);
+        parsedData = joined.rows;
+        columns = joined.columns;
+        sheetHeader = sheet.header;
+        joinPlan = joined.plan;
+        renderJoins(joined);
+    }
+
+    /** Read the sheet again after the joins changed; the mapping stays */
+    function rejoin() {
+        if (!workbook) return;
+        const before = parsedData.length;
+        closeDryRun();
+        useSheetRows(SheetLayout.read(workbook.Sheets[currentSheet], sheetLayout));
+        renderCounts();
+        if (parsedData.length !== before) {
+            // Inner joins add or drop rows: index-keyed state no longer lines up
+            rowSelection.unpicked = [];
+            currentRowIndex = 0;
+            refreshCheckpoint();
+        }
+        resetPreflight();
+        renderSelectionControls();
+        applySelection();
+        renderMappingGrid();
+    }
+
+    /** Profiles saved with joins bring them back when this workbook has the sheets they use */
+    function useProfileJoins(profile) {
+        if (!workbook || !profile.joins || profile.joins.length === 0) return;
+        const usable = profile.joins.filter(join => sheetNames.includes(join.from) && sheetNames.includes(join.sheet));
+        if (usable.length === 0 || JSON.stringify(usable) === JSON.stringify(joins)) return;
+        joins = usable;
+        rejoin();
+    }
+
+    function renderJoins(joined) {
+        $('#join-panel').style.display = sheetNames.length > 1 ? '' : 'none';
+
+        const list = $('#join-list');
+        list.innerHTML = '';
+        joins.forEach((join, index) => {
+            if (!Joiner.appliesTo(join, currentSheet)) return;
+            const item = document.createElement('div');
+            item.className = 'join-item';
+            item.dataset.index = index;
+            item.textContent = Joiner.describe(join);
+            item.title = 'Click to edit';
+            list.appendChild(item);
+        });
+
+        const note = $('#join-note');
+        note.classList.toggle('error', joined.errors.length > 0);
+        note.textContent = joined.errors.concat(joined.notes).join(' · ');
+    }
+
+    function openJoinEditor(join) {
+        editingJoin = join;
+        const others = sheetNames.filter(name => name !== currentSheet);
+        const sheetSel = $('#join-sheet');
+        sheetSel.innerHTML = '';
+        others.forEach(name => sheetSel.add(new Option(name, name)));
+
+        $('#join-type').value = join?.type || 'join';
+        sheetSel.value = join?.sheet && others.includes(join.sheet) ? join.sheet : others[0] || '';
+        $('#join-kind').value = join?.kind || 'left';
+        $('#join-name').value = join?.name || '';
+        $('#delete-join-btn').style.display = join ? '' : 'none';
+        $('#join-editor').style.display = '';
+        renderJoinEditor();
+    }
+
+    function closeJoinEditor() {
+        editingJoin = null;
+        $('#join-editor').style.display = 'none';
+    }
+
+    /** Key and column choices for the sheet picked in the editor */
+    function renderJoinEditor() {
+        const lookup = $('#join-type').value === 'lookup';
+        $('#join-kind').style.display = lookup ? 'none' : '';
+        $('#join-lookup-row').style.display = lookup ? '' : 'none';
+
+        // Keys may be real columns or ones an earlier join brought in
+        const at = editingJoin ? joins.indexOf(editingJoin) : joins.length;
+        const earlier = joinPlan ? joinPlan.steps.filter(step => joins.indexOf(step.join) < at).flatMap(step => step.take.map(([, to]) => to)) : [];
+        const own = columns.filter(col => !joinPlan?.added.includes(col)).concat(earlier);
+        const other = workbook ? Joiner.columnsOf(workbook, $('#join-sheet').value) : [];
+
+        const fill = (sel, names, value) => {
+            const select = $(sel);
+            select.innerHTML = '';
+            names.forEach(name => select.add(new Option(name, name)));
+            if (names.includes(value)) select.value = value;
+        };
+        fill('#join-key', own, editingJoin?.key);
+        fill('#join-other-key', other, editingJoin?.otherKey ?? other.find(col => Joiner.keyOf(col) === Joiner.keyOf($('#join-key').value)));
+        fill('#join-column', other, editingJoin?.column);
+    }
+
+    function saveJoin() {
+        const type = $('#join-type').value;
+        const join = {
+            type,
+            from: currentSheet,
+            sheet: $('#join-sheet').value,
+            key: $('#join-key').value,
+            otherKey: $('#join-other-key').value
+        };
+        if (type === 'lookup') {
+            join.column = $('#join-column').value;
+            join.name = $('#join-name').value.trim() || join.column;
+        } else {
+            join.kind = $('#join-kind').value;
+        }
+        if (!join.sheet || !join.key || !join.otherKey || (type === 'lookup' && !join.column)) {
+            setStatus('Pick the sheet and the columns to match', 'warning');
+            return;
+        }
+
+        if (editingJoin) joins[joins.indexOf(editingJoin)] = join;
+        else joins.push(join);
+        closeJoinEditor();
+        rejoin();
+        setStatus(type === 'lookup' ? `Lookup column "${join.name}" added` : `Joined ${join.sheet}`, 'success');
+    }
+
+    function deleteJoin() {
+        if (!editingJoin) return;
+        joins = joins.filter(join => join !== editingJoin);
+        closeJoinEditor();
+        rejoin();
+    }
 
+    function renderPreview() {
         if (columns.length === 0) {
             $('#data-preview').style.display = 'none';
             return;
         }
 
-        // Header
-        const tr = document.createElement('tr');
+        // Rows in fill order, narrowed by the search; unticked rows stay listed so they can be ticked again
+        const listed = RowFilter.apply(parsedData, rowSelection, { keepUnpicked: true }).indices;
+        unpickedLookup = new Set(rowSelection.unpicked);
+        const query = gridSearch.toLowerCase();
+        const shown = query
+            ? listed.filter(i => columns.some(col => SheetGrid.display(parsedData[i][col]).toLowerCase().includes(query)))
+            : listed;
+
+        $('#data-preview').style.display = '';
+        $('#preview-grid').classList.toggle('expanded', previewExpanded);
+        grid.setData(columns, shown);
+        grid.setCurrent(currentRowIndex);
+
+        $('#preview-note').textContent = query
+            ? `(${shown.length} of ${listed.length} rows match)`
+            : `(${listed.length} rows${listed.length === parsedData.length ? ' total' : ''})`;
+        $('#expand-preview-btn').textContent = previewExpanded ? 'Collapse' : 'Expand';
+    }
+
+    /* ═══════ Row Selection ═══════ */
+
+    function emptySelection() {
+        return { ranges: '', filters: [], unpicked: [], sort: null };
+    }
+
+    function initSelectionControls() {
+        $('#row-ranges').addEventListener('change', (e) => {
+            rowSelection.ranges = e.target.value.trim();
+            applySelection();
+        });
+        $('#sort-column').addEventListener('change', (e) => {
+            rowSelection.sort = e.target.value ? { column: e.target.value, desc: !!rowSelection.sort?.desc } : null;
+            applySelection();
+        });
+        $('#sort-dir').addEventListener('click', () => {
+            if (!rowSelection.sort) return;
+            rowSelection.sort.desc = !rowSelection.sort.desc;
+            renderSelectionControls();
+            applySelection();
+        });
+        $('#add-filter-btn').addEventListener('click', () => {
+            rowSelection.filters.push({ column: columns[0] || '', op: 'contains', value: '' });
+            renderSelectionControls();
+        });
+        $('#clear-selection-btn').addEventListener('click', () => {
+            rowSelection = emptySelection();
+            renderSelectionControls();
+            applySelection();
+        });
+
+        // Filter rows: column, operator, value, remove
+        $('#filter-list').addEventListener('change', (e) => {
+            const row = e.target.closest('.filter-row');
+            const filter = row && rowSelection.filters[Number(row.dataset.index)];
+            if (!filter) return;
+            filter[e.target.dataset.key] = e.target.value;
+            if (e.target.dataset.key === 'op') renderSelectionControls();
+            applySelection();
+        });
+        $('#filter-list').addEventListener('click', (e) => {
+            const remove = e.target.closest('.filter-remove');
+            if (!remove) return;
+            rowSelection.filters.splice(Number(remove.closest('.filter-row').dataset.index), 1);
+            renderSelectionControls();
+            applySelection();
+        });
+    }
+
+    /** Sort and filter editors for the current selection and columns */
+    function renderSelectionControls() {
+        $('#row-ranges').value = rowSelection.ranges;
+
+        const sortSel = $('#sort-column');
+        sortSel.innerHTML = '<option value="">Sheet order</option>';
         columns.forEach(col => {
-            const th = document.createElement('th');
-            th.textContent = col;
-            tr.appendChild(th);
+            const opt = document.createElement('option');
+            opt.value = col;
+            opt.textContent = `Sort by ${col}`;
+            sortSel.appendChild(opt);
         });
-        thead.appendChild(tr);
+        sortSel.value = rowSelection.sort?.column || '';
+        $('#sort-dir').textContent = rowSelection.sort?.desc ? '↓' : '↑';
+        $('#sort-dir').title = rowSelection.sort?.desc ? 'Descending' : 'Ascending';
+        $('#sort-dir').disabled = !rowSelection.sort;
+
+        const list = $('#filter-list');
+        list.innerHTML = '';
+        rowSelection.filters.forEach((filter, index) => {
+            const row = document.createElement('div');
+            row.className = 'filter-row';
+            row.dataset.index = index;
+
+            const colSel = document.createElement('select');
+            colSel.className = 'select-field';
+            colSel.dataset.key = 'column';
+            columns.forEach(col => colSel.add(new Option(col, col)));
+            colSel.value = filter.column;
+
+            const opSel = document.createElement('select');
+            opSel.className = 'select-field';
+            opSel.dataset.key = 'op';
+            Object.entries(RowFilter.OPERATORS).forEach(([op, spec]) => opSel.add(new Option(spec.label, op)));
+            opSel.value = filter.op;
+
+            const value = document.createElement('input');
+            value.type = 'text';
+            value.className = 'input-field';
+            value.dataset.key = 'value';
+            value.value = filter.value || '';
+            value.placeholder = filter.op === 'regex' ? '^A\\d+' : 'Value';
+            value.style.display = RowFilter.OPERATORS[filter.op]?.needsValue ? '' : 'none';
+
+            const remove = document.createElement('button');
+            remove.className = 'btn-icon filter-remove';
+            remove.title = 'Remove filter';
+            remove.textContent = '×';
+
+            row.append(colSel, opSel, value, remove);
+            list.appendChild(row);
+        });
+    }
 
-        // Rows (max 5)
-        const previewRows = parsedData.slice(0, 5);
-        previewRows.forEach(row => {
-            const rtr = document.createElement('tr');
-            columns.forEach(col => {
-                const td = document.createElement('td');
-                const val = row[col];
-                td.textContent = val !== null && val !== undefined ? String(val) : '';
-                td.title = td.textContent;
-                rtr.appendChild(td);
-            });
-            tbody.appendChild(rtr);
+    /**
+     * Work out the rows the selection leaves and show them.
+     * A selection that does not parse selects nothing rather than everything.
+     */
+    function applySelection({ keepPreview = false } = {}) {
+        const active = RowFilter.isActive(rowSelection);
+        const result = active ? RowFilter.apply(parsedData, rowSelection) : { indices: null };
+        selectedRows = result.indices;
+
+        const note = $('#selection-note');
+        note.classList.toggle('error', !!result.error);
+        note.textContent = result.error
+            || (active ? `${selectedRows.length} of ${parsedData.length} rows selected` : `All ${parsedData.length} rows`);
+        $('#clear-selection-btn').style.display = active ? '' : 'none';
+        $('#fill-batch-btn').textContent = active ? 'Batch Fill Selected' : 'Batch Fill All';
+
+        if (!keepPreview) renderPreview();
+
+        // Keep the navigator on a selected row
+        const order = rowOrder();
+        if (order.length > 0 && !order.includes(currentRowIndex)) goToRow(order[0]);
+        else updateRowDisplay();
+        rememberSession();
+    }
+
+    /** Rows to fill, in order */
+    function rowOrder() {
+        return selectedRows || parsedData.map((_, i) => i);
+    }
+
+    /* ═══════ Data Grid ═══════ */
+
+    function initGridControls() {
+        grid = SheetGrid.create($('#preview-grid'), {
+            cell: (i, col) => parsedData[i]?.[col],
+            isPicked: (i) => !unpickedLookup.has(i),
+            onPick: (rows, picked) => {
+                rows.forEach(i => picked ? unpickedLookup.delete(i) : unpickedLookup.add(i));
+                rowSelection.unpicked = [...unpickedLookup];
+                applySelection({ keepPreview: true });
+            },
+            onSelect: goToRow,
+            onEdit: editCell
+        });
+
+        let searchTimer = null;
+        $('#grid-search').addEventListener('input', (e) => {
+            clearTimeout(searchTimer);
+            searchTimer = setTimeout(() => {
+                gridSearch = e.target.value.trim();
+                renderPreview();
+            }, GRID_SEARCH_DELAY);
+        });
+        $('#add-row-btn').addEventListener('click', addRow);
+        $('#delete-row-btn').addEventListener('click', deleteCurrentRow);
+        $('#expand-preview-btn').addEventListener('click', () => {
+            previewExpanded = !previewExpanded;
+            renderPreview();
         });
+    }
 
-        $('#preview-note').textContent = parsedData.length <= 5
-            ? `(${parsedData.length} rows total)`
-            : `(first 5 of ${parsedData.length} rows)`;
+    /** A cell edited in the grid — later fills use it and the workbook exports with it */
+    function editCell(index, column, value) {
+        if (sheetLocked()) return;
+        if (joinPlan?.added.includes(column)) {
+            setStatus(`${column} comes from another sheet; edit it there`, 'warning');
+            return;
+        }
+        parsedData[index][column] = value;
+        Exporter.writeCell(workbook, currentSheet, sheetHeader, parsedData[index], column, value);
+        markEdited(true);
+        // A new key brings in another sheet's row
+        if (joinPlan?.steps.some(step => step.join.key === column)) {
+            Joiner.extend(parsedData[index], joinPlan);
+            renderPreview();
+        }
+        if (index === currentRowIndex) {
+            refreshTransformPreviews();
+            renderComputedPreview();
+        }
+        // A filter or sort on the column may now place the row differently
+        if (RowFilter.isActive(rowSelection)) applySelection({ keepPreview: true });
+    }
 
-        $('#data-preview').style.display = '';
+    function addRow() {
+        if (!workbook || columns.length === 0 || sheetLocked()) return;
+        const blank = Object.fromEntries(columns.filter(col => !joinPlan?.added.includes(col)).map(col => [col, '']));
+        const row = Exporter.appendRow(workbook, currentSheet, sheetHeader, blank);
+        if (joinPlan) Joiner.extend(row, joinPlan);
+        parsedData.push(row);
+        markEdited(true);
+        renderCounts();
+        applySelection();
+        goToRow(parsedData.length - 1);
+        setStatus(`Added row ${parsedData.length}`, 'success');
     }
 
-    /* ═══════ Form Field Detection ═══════ */
+    /** Delete the navigator's row; every index-keyed list is shifted to match */
+    async function deleteCurrentRow() {
+        if (parsedData.length === 0 || sheetLocked()) return;
+        const index = currentRowIndex;
+        if (!confirm(`Delete row ${index + 1} from the sheet?`)) return;
+
+        const shift = (list) => list.filter(i => i !== index).map(i => i > index ? i - 1 : i);
+        parsedData = Exporter.deleteRow(workbook, currentSheet, parsedData, index);
+        rowSelection.unpicked = shift(rowSelection.unpicked);
+        excludedRows = new Set(shift([...excludedRows]));
+        preflight = null;
+        $('#preflight-panel').style.display = 'none';
+        closeDryRun();
+        await shiftCheckpoint(index);
+
+        markEdited(true);
+        renderCounts();
+        renderExcluded();
+        currentRowIndex = Math.max(0, Math.min(index, parsedData.length - 1));
+        applySelection();
+        refreshTransformPreviews();
+        renderComputedPreview();
+        setStatus(`Deleted row ${index + 1}`, 'success');
+    }
 
-    async function injectContentScripts(tabId) {
-        try {
-            // Ping to see if already injected
-            const pong = await chrome.tabs.sendMessage(tabId, { action: 'ping' }).catch(() => null);
-            if (pong && pong.ready) return true;
-        } catch (_) { /* not injected yet */ }
+    /** Drop a deleted row's run progress and move the rows after it up one */
+    async function shiftCheckpoint(index) {
+        const key = getCheckpointKey();
+        const checkpoint = key ? await Storage.getCheckpoint(key) : null;
+        if (!checkpoint) return;
+        const shiftKeys = (map = {}) => Object.fromEntries(Object.entries(map)
+            .filter(([i]) => Number(i) !== index)
+            .map(([i, value]) => [Number(i) > index ? Number(i) - 1 : i, value]));
+        checkpoint.rows.splice(index, 1);
+        checkpoint.errors = shiftKeys(checkpoint.errors);
+        checkpoint.times = shiftKeys(checkpoint.times);
+        checkpoint.readback = shiftKeys(checkpoint.readback);
+        await Storage.saveCheckpoint(key, checkpoint);
+    }
+
+    function renderCounts() {
+        $('#row-count').textContent = `${parsedData.length} rows`;
+        $('#col-count').textContent = `${columns.length} columns`;
+    }
+
+    function markEdited(edited) {
+        sheetEdited = edited;
+        $('#download-sheet-btn').style.display = edited ? '' : 'none';
+        if (edited) rememberSession(true);
+    }
+
+    /* ═══════ Export Results ═══════ */
+
+    async function exportResults() {
+        if (!workbook || !currentSheet) {
+            setStatus('Load a file first', 'warning');
+            return;
+        }
+
+        const checkpoint = await loadCheckpoint();
+        if (!checkpoint) {
+            setStatus('No run results for this sheet yet', 'warning');
+            return;
+        }
 
         try {
-            await chrome.scripting.executeScript({
-                target: { tabId },
-                files: [
-                    'utils/logger.js',
-                    'utils/synonyms.js',
-                    'core/validator.js',
-                    'core/filler.js',
-                    'content/detector.js',
-                    'content/content.js'
-                ]
+            const { written } = Exporter.annotateSheet(workbook, currentSheet, parsedData, checkpoint, {
+                includeReadback: !!settings.readbackSelector || Object.keys(checkpoint.readback || {}).length > 0,
+                header: sheetHeader
             });
-            // Small delay to let scripts initialize
-            await new Promise(r => setTimeout(r, 200));
-            return true;
+            const baseName = ($('#file-name').textContent || 'export').replace(/\.[^.]+$/, '') + '-results';
+            if (selectedRows) {
+                // Only the selected rows, in fill order
+                const selected = Exporter.extractRows(workbook, currentSheet, parsedData, selectedRows, { header: sheetHeader });
+                Exporter.download(selected.workbook, currentSheet, baseName, $('#export-format').value);
+                setStatus(`Exported results for ${selected.written} selected rows`, 'success');
+                return;
+            }
+            Exporter.download(workbook, currentSheet, baseName, $('#export-format').value);
+            setStatus(`Exported results for ${written} rows`, 'success');
         } catch (err) {
-            Logger.error('Script injection failed:', err);
-            setStatus('Cannot access this page', 'error');
-            return false;
+            Logger.error('Export error:', err);
+            setStatus('Export failed', 'error');
+        }
+    }
+
+    /** Download the workbook as edited in the grid, without run results */
+    function downloadSheet() {
+        if (!workbook || !sheetEdited) return;
+        try {
+            const baseName = ($('#file-name').textContent || 'export').replace(/\.[^.]+$/, '') + '-edited';
+            Exporter.download(workbook, currentSheet, baseName, $('#export-format').value);
+            setStatus('Downloaded the edited sheet', 'success');
+        } catch (err) {
+            Logger.error('Export error:', err);
+            setStatus('Export failed', 'error');
         }
     }
 
+    /* ═══════ Form Field Detection ═══════ */
+
+    async function injectContentScripts(tabId) {
+        const injected = await Injector.ensure(tabId);
+        if (!injected) setStatus('Cannot access this page', 'error');
+        return injected;
+    }
+
     async function getActiveTab() {
         const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
         if (!tab) {
@@ -260,6 +816,7 @@
             const response = await chrome.tabs.sendMessage(tab.id, { action: 'detectFields' });
             if (response && response.success) {
                 detectedFields = response.fields;
+                if (steps.length > 0) steps[activeStep].url = tab.url;
                 setStatus(`Found ${detectedFields.length} form fields`, 'success');
                 Logger.log('Detected fields:', detectedFields);
                 renderMappingGrid();
@@ -276,9 +833,35 @@
         }
     }
 
+    /** Fields re-detected by the page after new inputs appeared or others went away */
+    function onFieldsChanged(request, sender, sendResponse) {
+        if (request.action !== 'fieldsChanged' || sender.tab?.id !== currentTabId) return false;
+
+        const known = new Set(detectedFields.map(f => f.selector));
+        const added = request.fields.filter(f => !known.has(f.selector)).length;
+        detectedFields = request.fields;
+        Logger.log('Fields changed:', detectedFields);
+
+        // Don't pull an open transform editor out from under the user
+        if (!$('.transform-editor')) renderMappingGrid();
+        if (added > 0) setStatus(`${added} new field${added === 1 ? '' : 's'} appeared (${detectedFields.length} total)`, 'success');
+        sendResponse({ success: true });
+        return false;
+    }
+
     async function tryLoadProfile(url) {
         const profileData = await Storage.getProfileForSite(url);
+        profileTyping = {};
         if (profileData) {
+            useProfileJoins(profileData.profile);
+            useProfileComputed(profileData.profile);
+            useProfileTyping(profileData.profile);
+            await useProfileLocale(profileData.profile);
+            if (steps.length === 0 && useProfileSteps(profileData.profile, url)) {
+                setStatus(`Profile loaded for ${profileData.domain} (${steps.length} steps)`, 'success');
+                await Storage.updateProfileLastUsed(profileData.domain);
+                return;
+            }
             const validMapping = Mapper.applySavedProfile(profileData.profile.mapping, detectedFields);
             if (Object.keys(validMapping).length > 0) {
                 currentMapping = validMapping;
@@ -295,14 +878,19 @@
         $('#auto-map-btn').addEventListener('click', runAutoMap);
         $('#clear-map-btn').addEventListener('click', clearMappings);
         $('#detect-fields-btn').addEventListener('click', detectFieldsAndRender);
+        chrome.runtime.onMessage.addListener(onFieldsChanged);
         $('#prev-row').addEventListener('click', () => navigateRow(-1));
         $('#next-row').addEventListener('click', () => navigateRow(1));
-        $('#fill-btn').addEventListener('click', fillCurrentRow);
+        $('#fill-btn').addEventListener('click', () => fillCurrentRow());
         $('#fill-batch-btn').addEventListener('click', fillAllRows);
         $('#stop-fill-btn').addEventListener('click', stopFill);
+        $('#undo-fill-btn').addEventListener('click', undoFill);
+        initComputedControls();
+        initStepControls();
     }
 
     function renderMappingGrid() {
+        rememberSession();   // Every mapping change ends here
         const grid = $('#mapping-grid');
         grid.innerHTML = '';
 
@@ -317,7 +905,7 @@
             return;
         }
 
-        columns.forEach(col => {
+        allColumns().forEach(col => {
             const row = document.createElement('div');
             row.className = 'mapping-row';
 
@@ -327,6 +915,19 @@
             colDiv.textContent = col;
             colDiv.title = col;
 
+            const joinedFrom = joinPlan?.steps.find(step => step.take.some(([, to]) => to === col));
+            if (joinedFrom) {
+                colDiv.classList.add('joined');
+                colDiv.title = `${col} — from ${joinedFrom.join.sheet}`;
+            }
+
+            const computed = computedColumns.find(c => c.name === col);
+            if (computed) {
+                colDiv.classList.add('computed');
+                colDiv.title = `${computed.template} — click to edit`;
+                colDiv.addEventListener('click', () => openComputedEditor(computed));
+            }
+
             // Confidence dot
             const dotDiv = document.createElement('div');
             const dot = document.createElement('div');
@@ -349,7 +950,7 @@
                 const opt = document.createElement('option');
                 opt.value = field.selector;
                 const label = field.label || field.name || field.id || field.selector;
-                opt.textContent = `${label} (${field.type})`;
+                opt.textContent = `${label} (${field.widget || field.type})`;
                 opt.title = field.selector;
                 select.appendChild(opt);
             });
@@ -359,18 +960,29 @@
                 select.value = mapInfo.selector;
             }
 
+            // Transforms
+            const fxBtn = document.createElement('button');
+            fxBtn.className = 'btn-icon transform-btn';
+            updateTransformButton(fxBtn, mapInfo);
+            fxBtn.addEventListener('click', () => toggleTransformEditor(col, row, fxBtn));
+
             select.addEventListener('change', () => {
                 manualOverrides[col] = select.value;
+                const picked = detectedFields.find(f => f.selector === select.value);
+                if (picked) learnMatch(col, picked);
                 // Re-merge
                 currentMapping = Mapper.mergeMappings(currentMapping, { [col]: select.value }, detectedFields);
                 // Update dot
                 const info = currentMapping[col];
                 dot.className = 'confidence-dot ' + (info ? info.level : 'none');
+                updateTransformButton(fxBtn, info);
+                if (!info) closeTransformEditor(row);
             });
 
             row.appendChild(colDiv);
             row.appendChild(dotDiv);
             row.appendChild(select);
+            row.appendChild(fxBtn);
             grid.appendChild(row);
         });
 
@@ -388,9 +1000,11 @@
         setStatus('Running smart matcher…', 'working');
 
         // Infer column data types from first few rows
-        const dataTypes = inferColumnTypes(columns, parsedData.slice(0, 10));
+        const cols = allColumns();
+        const sample = parsedData.slice(0, 10).map(row => Template.extendRow(row, computedColumns));
+        const dataTypes = inferColumnTypes(cols, sample);
 
-        currentMapping = Matcher.autoMap(columns, detectedFields, dataTypes);
+        currentMapping = Mapper.carryOptions(currentMapping, Matcher.autoMap(cols, detectedFields, dataTypes, learnedMatches));
 
         // Apply manual overrides on top
         if (Object.keys(manualOverrides).length > 0) {
@@ -400,201 +1014,820 @@
         renderMappingGrid();
 
         const mapped = Object.keys(currentMapping).length;
-        setStatus(`Mapped ${mapped}/${columns.length} columns`, mapped > 0 ? 'success' : 'warning');
+        setStatus(`Mapped ${mapped}/${cols.length} columns`, mapped > 0 ? 'success' : 'warning');
     }
 
-    function clearMappings() {
-        currentMapping = {};
-        manualOverrides = {};
+    /* ═══════ Wizard Steps ═══════ */
+
+    function initStepControls() {
+        $('#prev-step-btn').addEventListener('click', () => switchStep(activeStep - 1));
+        $('#next-step-btn').addEventListener('click', () => switchStep(activeStep + 1));
+        $('#add-step-btn').addEventListener('click', addStep);
+        $('#remove-step-btn').addEventListener('click', removeStep);
+        ['#step-continue', '#step-wait-for', '#step-wait-selector', '#step-wait-timeout'].forEach(sel => {
+            $(sel).addEventListener('input', readStepSettings);
+        });
+        renderStepBar();
+    }
+
+    function newStep(url) {
+        return {
+            url: url || '',
+            mapping: {},
+            overrides: {},
+            continueSelector: '',
+            waitFor: 'selector',
+            waitSelector: '',
+            waitTimeout: 10000
+        };
+    }
+
+    /** Park the grid's mapping on the step it belongs to */
+    function stashStep() {
+        if (steps.length === 0) return;
+        steps[activeStep].mapping = currentMapping;
+        steps[activeStep].overrides = manualOverrides;
+    }
+
+    function showStep(index) {
+        activeStep = index;
+        currentMapping = steps[index].mapping;
+        manualOverrides = steps[index].overrides || {};
+        renderStepBar();
         renderMappingGrid();
-        setStatus('Mappings cleared', 'success');
     }
 
-    function inferColumnTypes(cols, sampleRows) {
-        const types = {};
-        const EMAIL_RE = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+    function switchStep(index) {
+        if (index < 0 || index >= steps.length) return;
+        stashStep();
+        showStep(index);
+        setStatus(`Step ${index + 1} — open that page and Re-Detect to edit its fields`, 'success');
+    }
 
-        cols.forEach(col => {
-            const values = sampleRows.map(r => r[col]).filter(v => v !== null && v !== undefined && String(v).trim() !== '');
-            if (values.length === 0) { types[col] = 'text'; return; }
+    async function addStep() {
+        if (steps.length === 0) {
+            // The page mapped so far becomes step 1
+            const tab = await getActiveTab();
+            steps = [{ ...newStep(tab?.url), mapping: currentMapping, overrides: manualOverrides }];
+            activeStep = 0;
+        }
+        stashStep();
+        steps.splice(activeStep + 1, 0, newStep());
+        showStep(activeStep + 1);
+        setStatus(`Step ${activeStep + 1} added — set how step ${activeStep} continues, then open the next page and Re-Detect`, 'success');
+    }
 
-            // Check patterns
-            if (values.every(v => EMAIL_RE.test(String(v)))) { types[col] = 'email'; return; }
-            if (values.every(v => !isNaN(parseFloat(v)))) { types[col] = 'number'; return; }
-            if (values.every(v => { const d = new Date(v); return !isNaN(d.getTime()); })) { types[col] = 'date'; return; }
-            if (values.every(v => /^\+?\d[\d\s\-\(\)]{6,}$/.test(String(v)))) { types[col] = 'phone'; return; }
-            if (values.every(v => { try { new URL(String(v)); return true; } catch { return false; } })) { types[col] = 'url'; return; }
+    function removeStep() {
+        if (steps.length === 0) return;
+        steps.splice(activeStep, 1);
+        if (steps.length > 1) {
+            showStep(Math.min(activeStep, steps.length - 1));
+            return;
+        }
+        // Back to a one-page form
+        currentMapping = steps[0].mapping;
+        manualOverrides = steps[0].overrides || {};
+        steps = [];
+        activeStep = 0;
+        renderStepBar();
+        renderMappingGrid();
+    }
 
-            types[col] = 'text';
+    function resetStepMappings() {
+        steps.forEach(step => {
+            step.mapping = {};
+            step.overrides = {};
         });
+    }
 
-        return types;
+    function renderStepBar() {
+        const wizard = steps.length > 0;
+        const last = !wizard || activeStep === steps.length - 1;
+
+        $('#step-label').textContent = wizard ? `Step ${activeStep + 1} of ${steps.length}` : 'Single page';
+        $('#prev-step-btn').disabled = !wizard || activeStep === 0;
+        $('#next-step-btn').disabled = !wizard || last;
+        $('#remove-step-btn').style.display = wizard ? '' : 'none';
+        $('#step-settings').style.display = last ? 'none' : '';
+        $('#step-last-note').style.display = wizard && last ? '' : 'none';
+        if (last) return;
+
+        const step = steps[activeStep];
+        $('#step-continue').value = step.continueSelector || '';
+        $('#step-wait-for').value = step.waitFor || 'selector';
+        $('#step-wait-selector').value = step.waitSelector || '';
+        $('#step-wait-timeout').value = step.waitTimeout || '';
+        updateStepWaitInputs(step);
     }
 
-    /* ═══════ Row Navigation ═══════ */
+    function updateStepWaitInputs(step) {
+        $('#step-wait-selector-row').style.display = step.waitFor === 'selector' ? '' : 'none';
+        $('#step-wait-timeout-label').textContent = step.waitFor === 'delay' ? 'Delay' : 'Timeout';
+    }
 
-    function navigateRow(delta) {
-        currentRowIndex = Math.max(0, Math.min(currentRowIndex + delta, parsedData.length - 1));
-        updateRowDisplay();
+    function readStepSettings() {
+        const step = steps[activeStep];
+        if (!step) return;
+        step.continueSelector = $('#step-continue').value.trim();
+        step.waitFor = $('#step-wait-for').value;
+        step.waitSelector = $('#step-wait-selector').value.trim();
+        step.waitTimeout = parseInt($('#step-wait-timeout').value, 10) || 0;
+        updateStepWaitInputs(step);
     }
 
-    function updateRowDisplay() {
-        if (parsedData.length === 0) return;
-        $('#current-row-display').textContent = `${currentRowIndex + 1} / ${parsedData.length}`;
+    /** Steps as saved with a profile */
+    function serializableSteps() {
+        stashStep();
+        return steps.map(({ mapping, overrides, ...step }) => ({ ...step, mapping: Mapper.toSerializable(mapping) }));
     }
 
-    /* ═══════ Fill Operations ═══════ */
+    /** Steps as sent to the batch runner */
+    function runnerSteps() {
+        stashStep();
+        return steps.map(({ mapping, overrides, ...step }) => ({ ...step, mapping: prepareSerialMapping(mapping) }));
+    }
 
-    async function fillCurrentRow() {
-        if (isFilling) return;
-        const tab = await getActiveTab();
-        if (!tab) return;
-        if (Object.keys(currentMapping).length === 0) {
-            setStatus('No mappings configured', 'warning');
-            return;
+    function samePage(a, b) {
+        try {
+            const x = new URL(a), y = new URL(b);
+            return x.origin === y.origin && x.pathname === y.pathname;
+        } catch {
+            return false;
         }
+    }
 
-        const injected = await injectContentScripts(tab.id);
-        if (!injected) return;
+    /**
+     * Load a wizard profile's steps, showing the step whose page is open.
+     * @returns {boolean} false when the profile is a one-page mapping
+     */
+    function useProfileSteps(profile, url) {
+        if (!profile.steps || profile.steps.length < 2) return false;
+
+        steps = profile.steps.map(step => ({ ...newStep(), ...step, overrides: {} }));
+        const here = Math.max(0, steps.findIndex(step => step.url && url && samePage(step.url, url)));
+
+        // Re-check the open page's selectors; other steps keep their saved fields
+        const checked = Mapper.applySavedProfile(steps[here].mapping, detectedFields);
+        if (Object.keys(checked).length > 0) steps[here].mapping = checked;
+        showStep(here);
+        return true;
+    }
 
-        isFilling = true;
-        setStatus('Filling row…', 'working');
+    /** Save the mapping (and wizard steps, computed columns) for a site */
+    function saveSiteProfile(domain) {
+        const wizard = steps.length > 0;
+        const stepList = wizard ? serializableSteps() : undefined;
+        return Storage.saveProfile(domain, wizard ? stepList[0].mapping : Mapper.toSerializable(currentMapping), typingSettings(), {
+            computed: computedColumns,
+            joins,
+            steps: stepList,
+            locale: sourceLocale
+        });
+    }
 
-        // Prepare mapping for content script (strip non-serializable data)
-        const serialMapping = prepareSerialMapping();
-        const mode = settings.fillMode || 'single';
+    /* ═══════ Computed Columns ═══════ */
 
-        if (mode === 'preview') {
-            // Preview only
-            try {
-                const response = await chrome.tabs.sendMessage(tab.id, {
-                    action: 'preview',
-                    mapping: serialMapping,
-                    rowData: parsedData[currentRowIndex]
-                });
-                if (response.success) {
-                    showPreviewResults(response.preview, response.warnings);
-                }
-            } catch (err) {
-                setStatus('Preview failed', 'error');
-            }
-            isFilling = false;
-            return;
-        }
+    /** Real columns followed by computed ones, in the order they are mapped */
+    function allColumns() {
+        return columns.concat(computedColumns.map(c => c.name).filter(name => !columns.includes(name)));
+    }
 
-        try {
-            const response = await chrome.tabs.sendMessage(tab.id, {
-                action: 'fillRow',
-                mapping: serialMapping,
-                rowData: parsedData[currentRowIndex],
-                settings: {
-                    skipFilled: settings.skipFilled,
-                    highlightFields: settings.highlightFields,
-                    stopOnError: settings.stopOnError
-                }
-            });
+    /** A data row with its computed columns filled in */
+    function rowAt(index) {
+        return Template.extendRow(parsedData[index] || {}, computedColumns);
+    }
 
-            if (response.success) {
-                setStatus(`Filled ${response.filled} fields (row ${currentRowIndex + 1})`, 'success');
-            } else {
-                const errMsg = response.errors?.map(e => `${e.column}: ${e.error}`).join(', ') || 'Unknown error';
-                setStatus(`Errors: ${errMsg}`, 'error');
-            }
+    /** Profiles saved with computed columns bring them back, overriding same-named ones */
+    function useProfileComputed(profile) {
+        if (!profile.computed || profile.computed.length === 0) return;
+        const names = profile.computed.map(c => c.name);
+        computedColumns = computedColumns.filter(c => !names.includes(c.name)).concat(profile.computed);
+    }
 
-            // Auto-submit if enabled
-            if (settings.autoSubmit && response.success) {
-                // Find and click submit button on the page
-                await chrome.scripting.executeScript({
-                    target: { tabId: tab.id },
-                    func: () => {
-                        const submit = document.querySelector('button[type="submit"], input[type="submit"]');
-                        if (submit) submit.click();
-                    }
-                });
-            }
+    function initComputedControls() {
+        $('#add-computed-btn').addEventListener('click', () => openComputedEditor(null));
+        $('#save-computed-btn').addEventListener('click', saveComputed);
+        $('#delete-computed-btn').addEventListener('click', deleteComputed);
+        $('#cancel-computed-btn').addEventListener('click', closeComputedEditor);
+        $('#computed-template').addEventListener('input', renderComputedPreview);
+    }
 
-            // Auto-save profile if enabled
-            if ($('#auto-save-profile').checked) {
-                const domain = new URL(tab.url).hostname;
-                await Storage.saveProfile(domain, Mapper.toSerializable(currentMapping), settings);
-            }
-        } catch (err) {
-            Logger.error('Fill error:', err);
-            setStatus('Fill failed', 'error');
-        }
+    function openComputedEditor(entry) {
+        editingComputed = entry;
+        $('#computed-name').value = entry ? entry.name : '';
+        $('#computed-template').value = entry ? entry.template : '';
+        $('#delete-computed-btn').style.display = entry ? '' : 'none';
+        $('#computed-editor').style.display = '';
+        renderComputedPreview();
+        $(entry ? '#computed-template' : '#computed-name').focus();
+    }
 
-        isFilling = false;
+    function closeComputedEditor() {
+        editingComputed = null;
+        $('#computed-editor').style.display = 'none';
     }
 
-    async function fillAllRows() {
-        if (isFilling) return;
-        const tab = await getActiveTab();
-        if (!tab) return;
-        if (Object.keys(currentMapping).length === 0) {
-            setStatus('No mappings configured', 'warning');
+    function renderComputedPreview() {
+        const preview = $('#computed-preview');
+        const template = $('#computed-template').value;
+        if (!template) {
+            preview.textContent = '';
             return;
         }
 
-        const injected = await injectContentScripts(tab.id);
-        if (!injected) return;
-
-        isFilling = true;
-        $('#stop-fill-btn').style.display = '';
-        $('#fill-btn').disabled = true;
-        $('#fill-batch-btn').disabled = true;
-
-        const progressBar = $('#progress-bar');
-        progressBar.style.display = '';
-        progressBar.value = 0;
-        progressBar.max = parsedData.length;
-
-        const serialMapping = prepareSerialMapping();
+        // Earlier computed columns are available to this one
+        const others = computedColumns.filter(c => c !== editingComputed);
+        const result = Template.evaluate(template, Template.extendRow(parsedData[currentRowIndex] || {}, others));
+        let unknown = [];
+        if (!result.error) {
+            const known = new Set(columns.concat(others.map(c => c.name)).map(c => c.trim().toLowerCase()));
+            unknown = Template.columnsUsed(template).filter(name => !known.has(name.toLowerCase()));
+        }
 
-        setStatus(`Batch filling ${parsedData.length} rows…`, 'working');
+        preview.textContent = result.error
+            ? result.error
+            : `Row ${currentRowIndex + 1}: "${result.value}"` + (unknown.length ? ` — unknown column: ${unknown.join(', ')}` : '');
+        preview.classList.toggle('error', !!result.error || unknown.length > 0);
+    }
 
-        // Listen for progress updates
-        const progressListener = (msg) => {
-            if (msg.action === 'fillProgress') {
-                progressBar.value = msg.current;
-                currentRowIndex = msg.current - 1;
-                updateRowDisplay();
-                setStatus(`Filling row ${msg.current}/${msg.total}…`, 'working');
-            }
+    function saveComputed() {
+        const name = $('#computed-name').value.trim();
+        const template = $('#computed-template').value;
+        if (!name || !template.trim()) {
+            setStatus('Computed column needs a name and a template', 'warning');
+            return;
+        }
+        if (columns.includes(name)) {
+            setStatus(`"${name}" is already a column in the sheet`, 'warning');
+            return;
+        }
+        if (computedColumns.some(c => c.name === name && c !== editingComputed)) {
+            setStatus(`Computed column "${name}" already exists`, 'warning');
+            return;
+        }
+        const check = Template.evaluate(template, {});
+        if (check.error) {
+            setStatus(`Template error: ${check.error}`, 'error');
+            return;
+        }
+
+        if (editingComputed) {
+            // Renaming keeps the mapping that pointed at the old name
+            if (editingComputed.name !== name && currentMapping[editingComputed.name]) {
+                currentMapping[name] = currentMapping[editingComputed.name];
+                delete currentMapping[editingComputed.name];
+            }
+            Object.assign(editingComputed, { name, template });
+        } else {
+            computedColumns.push({ name, template });
+        }
+
+        closeComputedEditor();
+        renderMappingGrid();
+        setStatus(`Computed column saved: ${name}`, 'success');
+    }
+
+    function deleteComputed() {
+        if (!editingComputed) return;
+        const name = editingComputed.name;
+        computedColumns = computedColumns.filter(c => c !== editingComputed);
+        delete currentMapping[name];
+        delete manualOverrides[name];
+        closeComputedEditor();
+        renderMappingGrid();
+        setStatus(`Computed column removed: ${name}`, 'success');
+    }
+
+    /* ═══════ Transform Editor ═══════ */
+
+    function updateTransformButton(btn, mapInfo) {
+        const count = mapInfo?.transforms?.length || 0;
+        const split = mapInfo?.split;
+        const typed = mapInfo?.typing?.strategy === 'type';
+        btn.disabled = !mapInfo;
+        btn.textContent = (count ? `ƒ${count}` : 'ƒx') + (split ? '⇉' : '') + (typed ? '⌨' : '');
+        btn.title = mapInfo
+            ? `Transforms (${count})` + (split ? ` · split into ${split.selectors.length + 1} fields` : '') +
+              (typed ? ' · typed keystroke by keystroke' : '')
+            : 'Map this column to add transforms';
+        btn.classList.toggle('active', count > 0 || !!split || !!mapInfo?.typing);
+    }
+
+    function closeTransformEditor(rowEl) {
+        const next = rowEl.nextElementSibling;
+        if (next && next.classList.contains('transform-editor')) next.remove();
+    }
+
+    function toggleTransformEditor(col, rowEl, btn) {
+        const next = rowEl.nextElementSibling;
+        if (next && next.classList.contains('transform-editor')) {
+            next.remove();
+            return;
+        }
+        const editor = document.createElement('div');
+        editor.className = 'transform-editor';
+        editor.dataset.column = col;
+        rowEl.after(editor);
+        renderTransformEditor(editor, col, btn);
+    }
+
+    function renderTransformEditor(editor, col, btn) {
+        editor.innerHTML = '';
+        const mapInfo = currentMapping[col];
+        if (!mapInfo) {
+            editor.remove();
+            return;
+        }
+        if (!mapInfo.transforms) mapInfo.transforms = [];
+        const transforms = mapInfo.transforms;
+
+        const changed = () => {
+            updateTransformButton(btn, mapInfo);
+            renderTransformPreview(editor);
         };
-        chrome.runtime.onMessage.addListener(progressListener);
+        const rerender = () => {
+            renderTransformEditor(editor, col, btn);
+            updateTransformButton(btn, mapInfo);
+        };
+
+        transforms.forEach((t, idx) => {
+            const spec = Transformer.TYPES[t.type] || { label: t.type, params: [] };
+            const item = document.createElement('div');
+            item.className = 'transform-item';
+
+            const head = document.createElement('div');
+            head.className = 'transform-head';
+            const name = document.createElement('span');
+            name.textContent = `${idx + 1}. ${spec.label}`;
+            head.appendChild(name);
+
+            const actions = document.createElement('span');
+            actions.className = 'transform-actions';
+            [['↑', -1, 'Move up'], ['↓', 1, 'Move down']].forEach(([symbol, delta, title]) => {
+                const moveBtn = document.createElement('button');
+                moveBtn.className = 'btn btn-sm btn-ghost';
+                moveBtn.textContent = symbol;
+                moveBtn.title = title;
+                moveBtn.disabled = idx + delta < 0 || idx + delta >= transforms.length;
+                moveBtn.addEventListener('click', () => {
+                    transforms.splice(idx + delta, 0, transforms.splice(idx, 1)[0]);
+                    rerender();
+                });
+                actions.appendChild(moveBtn);
+            });
+            const removeBtn = document.createElement('button');
+            removeBtn.className = 'btn btn-sm btn-ghost';
+            removeBtn.textContent = '×';
+            removeBtn.title = 'Remove';
+            removeBtn.addEventListener('click', () => {
+                transforms.splice(idx, 1);
+                rerender();
+            });
+            actions.appendChild(removeBtn);
+            head.appendChild(actions);
+            item.appendChild(head);
+
+            spec.params.forEach(param => item.appendChild(createParamInput(param, t, changed)));
+
+            editor.appendChild(item);
+        });
+
+        const add = document.createElement('select');
+        add.className = 'mapping-select';
+        add.innerHTML = '<option value="">+ Add transform…</option>';
+        Object.entries(Transformer.TYPES).forEach(([type, spec]) => {
+            const opt = document.createElement('option');
+            opt.value = type;
+            opt.textContent = spec.label;
+            add.appendChild(opt);
+        });
+        add.addEventListener('change', () => {
+            if (!add.value) return;
+            transforms.push(Transformer.create(add.value));
+            rerender();
+        });
+        editor.appendChild(add);
+
+        editor.appendChild(renderSplitEditor(mapInfo, changed, rerender));
+        editor.appendChild(renderTypingEditor(mapInfo, changed, rerender));
+
+        const preview = document.createElement('div');
+        preview.className = 'transform-preview';
+        editor.appendChild(preview);
+        renderTransformPreview(editor);
+    }
+
+    /** Labelled input for one param spec ({ name, label, type, options }), bound to target[name] */
+    function createParamInput(param, target, onChange) {
+        const label = document.createElement('label');
+        label.className = 'transform-param';
+        label.append(param.label);
+
+        let input;
+        if (param.type === 'select') {
+            input = document.createElement('select');
+            param.options.forEach(optValue => {
+                const opt = document.createElement('option');
+                opt.value = optValue;
+                opt.textContent = param.labels?.[optValue] || optValue;
+                input.appendChild(opt);
+            });
+        } else if (param.type === 'textarea') {
+            input = document.createElement('textarea');
+            input.rows = 3;
+        } else {
+            input = document.createElement('input');
+            input.type = param.type;
+        }
+        input.value = target[param.name] ?? '';
+        input.addEventListener('input', () => {
+            target[param.name] = param.type === 'number' ? Number(input.value) : input.value;
+            onChange();
+        });
+        label.appendChild(input);
+        return label;
+    }
+
+    /** Split section: send the column to the row's field plus further fields, one part each */
+    function renderSplitEditor(mapInfo, changed, rerender) {
+        const item = document.createElement('div');
+        item.className = 'transform-item';
+
+        const head = document.createElement('div');
+        head.className = 'transform-head';
+        head.append('Split into fields');
+
+        const ruleSelect = document.createElement('select');
+        ruleSelect.innerHTML = '<option value="">Off</option>';
+        Object.entries(Splitter.RULES).forEach(([rule, spec]) => {
+            const opt = document.createElement('option');
+            opt.value = rule;
+            opt.textContent = spec.label;
+            ruleSelect.appendChild(opt);
+        });
+        ruleSelect.value = mapInfo.split?.rule || '';
+        ruleSelect.addEventListener('change', () => {
+            if (!ruleSelect.value) {
+                delete mapInfo.split;
+            } else {
+                // Keep the chosen fields when switching rules
+                const selectors = mapInfo.split?.selectors;
+                mapInfo.split = Splitter.create(ruleSelect.value);
+                if (selectors) mapInfo.split.selectors = selectors;
+            }
+            rerender();
+        });
+        head.appendChild(ruleSelect);
+        item.appendChild(head);
+
+        const split = mapInfo.split;
+        if (!split) return item;
+
+        Splitter.RULES[split.rule].params.forEach(param => item.appendChild(createParamInput(param, split, changed)));
+
+        const first = document.createElement('div');
+        first.className = 'split-target';
+        first.textContent = `1. ${mapInfo.field?.label || mapInfo.field?.name || mapInfo.selector}`;
+        item.appendChild(first);
+
+        split.selectors.forEach((selector, idx) => {
+            const target = document.createElement('div');
+            target.className = 'split-target';
+            target.append(`${idx + 2}.`);
+
+            const select = document.createElement('select');
+            select.className = 'mapping-select';
+            select.innerHTML = '<option value="">— Choose field —</option>';
+            detectedFields.forEach(field => {
+                const opt = document.createElement('option');
+                opt.value = field.selector;
+                opt.textContent = `${field.label || field.name || field.id || field.selector} (${field.widget || field.type})`;
+                select.appendChild(opt);
+            });
+            select.value = selector;
+            select.addEventListener('change', () => {
+                split.selectors[idx] = select.value;
+                changed();
+            });
+            target.appendChild(select);
+
+            const removeBtn = document.createElement('button');
+            removeBtn.className = 'btn btn-sm btn-ghost';
+            removeBtn.textContent = '×';
+            removeBtn.title = 'Remove field';
+            removeBtn.disabled = split.selectors.length === 1;
+            removeBtn.addEventListener('click', () => {
+                split.selectors.splice(idx, 1);
+                rerender();
+            });
+            target.appendChild(removeBtn);
+            item.appendChild(target);
+        });
+
+        const addBtn = document.createElement('button');
+        addBtn.className = 'btn btn-sm btn-ghost';
+        addBtn.textContent = '+ Field';
+        addBtn.addEventListener('click', () => {
+            split.selectors.push('');
+            rerender();
+        });
+        item.appendChild(addBtn);
+        return item;
+    }
+
+    /** Fill method section: override the settings' set-value / type-keystrokes choice for this column */
+    function renderTypingEditor(mapInfo, changed, rerender) {
+        const item = document.createElement('div');
+        item.className = 'transform-item';
+
+        const head = document.createElement('div');
+        head.className = 'transform-head';
+        head.append('Fill method');
+
+        const defaults = typingSettings();
+        const strategySelect = document.createElement('select');
+        strategySelect.innerHTML = `
+            <option value="">Default (${defaults.fillStrategy === 'type' ? 'type' : 'set value'})</option>
+            <option value="set">Set value</option>
+            <option value="type">Type keystrokes</option>`;
+        strategySelect.value = mapInfo.typing?.strategy || '';
+        strategySelect.addEventListener('change', () => {
+            if (!strategySelect.value) {
+                delete mapInfo.typing;
+            } else if (strategySelect.value === 'type') {
+                mapInfo.typing = {
+                    strategy: 'type',
+                    charDelay: defaults.charDelay ?? Keyboard.DEFAULT_CHAR_DELAY,
+                    commit: defaults.commitMode || 'none'
+                };
+            } else {
+                mapInfo.typing = { strategy: 'set' };
+            }
+            rerender();
+        });
+        head.appendChild(strategySelect);
+        item.appendChild(head);
+
+        if (mapInfo.typing?.strategy !== 'type') return item;
+
+        item.appendChild(createParamInput({ name: 'charDelay', label: 'Keystroke delay (ms)', type: 'number' }, mapInfo.typing, changed));
+        item.appendChild(createParamInput({
+            name: 'commit',
+            label: 'Commit suggestion',
+            type: 'select',
+            options: Object.keys(Keyboard.COMMIT_MODES),
+            labels: Keyboard.COMMIT_MODES
+        }, mapInfo.typing, changed));
+        return item;
+    }
+
+    /** Live before → after for the row currently selected in the navigator */
+    function renderTransformPreview(editor) {
+        const col = editor.dataset.column;
+        const preview = editor.querySelector('.transform-preview');
+        if (!preview) return;
+
+        const mapInfo = currentMapping[col];
+        const before = rowAt(currentRowIndex)[col];
+        const result = Transformer.apply(before, mapInfo?.transforms, sourceLocale);
+        const show = (v) => v instanceof Date ? v.toLocaleDateString() : String(v ?? '');
+
+        let after = `"${show(result.value)}"`;
+        if (!result.error && mapInfo?.split) {
+            const parts = Splitter.split(result.value, mapInfo.split, mapInfo.split.selectors.length + 1, sourceLocale);
+            if (parts.error) result.error = parts.error;
+            else after = parts.parts.map(p => `"${p}"`).join(' | ');
+        }
+
+        preview.textContent = result.error
+            ? `Row ${currentRowIndex + 1}: ${result.error}`
+            : `Row ${currentRowIndex + 1}: "${show(before)}" → ${after}`;
+        preview.classList.toggle('error', !!result.error);
+    }
+
+    function refreshTransformPreviews() {
+        $$('.transform-editor').forEach(renderTransformPreview);
+    }
+
+    function clearMappings() {
+        currentMapping = {};
+        manualOverrides = {};
+        renderMappingGrid();
+        setStatus('Mappings cleared', 'success');
+    }
+
+    function inferColumnTypes(cols, sampleRows) {
+        const types = {};
+        const EMAIL_RE = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+        const FILE_NAME_RE = /\.(pdf|docx?|odt|rtf|txt|csv|xlsx?|png|jpe?g|gif|webp|heic|tiff?|zip)$/i;
+
+        cols.forEach(col => {
+            const values = sampleRows.map(r => r[col]).filter(v => v !== null && v !== undefined && String(v).trim() !== '');
+            if (values.length === 0) { types[col] = 'text'; return; }
+
+            // Check patterns
+            if (values.every(v => EMAIL_RE.test(String(v)))) { types[col] = 'email'; return; }
+            if (values.every(v => !isNaN(Locale.parseNumber(v, sourceLocale)))) { types[col] = 'number'; return; }
+            if (values.every(v => Locale.parseDate(v, sourceLocale))) { types[col] = 'date'; return; }
+            if (values.every(v => /^\+?\d[\d\s\-\(\)]{6,}$/.test(String(v)))) { types[col] = 'phone'; return; }
+            if (values.every(v => FileStore.namesIn(v).every(name => FILE_NAME_RE.test(name)))) { types[col] = 'file'; return; }
+            if (values.every(v => { try { new URL(String(v)); return true; } catch { return false; } })) { types[col] = 'url'; return; }
+
+            types[col] = 'text';
+        });
+
+        return types;
+    }
+
+    /* ═══════ Row Navigation ═══════ */
+
+    /** Step through the selected rows, in fill order */
+    function navigateRow(delta) {
+        const order = rowOrder();
+        if (order.length === 0) return;
+        const pos = order.indexOf(currentRowIndex);
+        goToRow(order[pos < 0 ? 0 : Math.max(0, Math.min(pos + delta, order.length - 1))]);
+    }
+
+    function goToRow(index) {
+        currentRowIndex = index;
+        grid.setCurrent(index);
+        updateRowDisplay();
+        refreshTransformPreviews();
+        renderComputedPreview();
+        rememberSession();
+        // Keep an open dry run on the row being looked at — only while rows are still previewed, never as a real fill
+        if (dryRun && dryRun.row !== currentRowIndex) {
+            if (settings.fillMode === 'preview') fillCurrentRow();
+            else closeDryRun();
+        }
+    }
+
+    function updateRowDisplay() {
+        if (parsedData.length === 0) return;
+        if (!selectedRows) {
+            $('#current-row-display').textContent = `${currentRowIndex + 1} / ${parsedData.length}`;
+            return;
+        }
+        const pos = selectedRows.indexOf(currentRowIndex);
+        $('#current-row-display').textContent = `${pos < 0 ? '–' : pos + 1} / ${selectedRows.length} · row ${currentRowIndex + 1}`;
+    }
+
+    /* ═══════ Fill Operations ═══════ */
+
+    /**
+     * Fill the row in the navigator, or dry-run it in preview mode.
+     * @param {string[]} [skipSelectors] - Fields to leave alone; given when committing a dry run
+     */
+    async function fillCurrentRow(skipSelectors) {
+        if (isFilling || isJobRunning()) return;
+        const tab = await getActiveTab();
+        if (!tab) return;
+        if (Object.keys(currentMapping).length === 0) {
+            setStatus('No mappings configured', 'warning');
+            return;
+        }
+
+        const injected = await injectContentScripts(tab.id);
+        if (!injected) return;
+
+        // Prepare mapping for content script (strip non-serializable data)
+        const serialMapping = prepareSerialMapping();
+        const preview = !skipSelectors && settings.fillMode === 'preview';
+        if (preview) {
+            await runDryRun(tab, serialMapping);
+            return;
+        }
+        if (reportMissingAttachments([serialMapping], [currentRowIndex])) return;
+
+        isFilling = true;
+        setStatus('Filling row…', 'working');
+        closeDryRun();
 
         try {
             const response = await chrome.tabs.sendMessage(tab.id, {
-                action: 'fillBatch',
+                action: 'fillRow',
                 mapping: serialMapping,
-                rows: parsedData,
-                settings: {
-                    skipFilled: settings.skipFilled,
-                    highlightFields: settings.highlightFields,
-                    stopOnError: settings.stopOnError,
-                    delay: settings.delay || 500
-                }
+                rowData: rowAt(currentRowIndex),
+                settings: { ...fillSettings(), skipSelectors: skipSelectors || [] }
             });
 
             if (response.success) {
-                setStatus(`Batch done: ${response.totalFilled} filled, ${response.totalErrors} errors`, 'success');
+                setStatus(`Filled ${response.filled} fields (row ${currentRowIndex + 1})`, 'success');
             } else {
-                setStatus('Batch fill failed', 'error');
+                const errMsg = response.errors?.map(e => `${e.column}: ${e.error}`).join(', ') || 'Unknown error';
+                setStatus(`Errors: ${errMsg}`, 'error');
+            }
+
+            // Auto-submit if enabled, through the form's detected submit control
+            if (settings.autoSubmit && response.success) {
+                const submit = await chrome.tabs.sendMessage(tab.id, {
+                    action: 'submitForm',
+                    selectors: Object.values(serialMapping).map(m => m.selector)
+                }).catch(() => ({ success: true }));   // navigated before replying
+                if (!submit.success) setStatus(`Submit failed: ${submit.error}`, 'error');
+            }
+
+            // Auto-save profile if enabled
+            if ($('#auto-save-profile').checked) {
+                const domain = new URL(tab.url).hostname;
+                await saveSiteProfile(domain);
             }
         } catch (err) {
-            Logger.error('Batch error:', err);
-            setStatus('Batch fill error', 'error');
+            Logger.error('Fill error:', err);
+            setStatus('Fill failed', 'error');
         }
 
-        chrome.runtime.onMessage.removeListener(progressListener);
         isFilling = false;
-        $('#stop-fill-btn').style.display = 'none';
-        $('#fill-btn').disabled = false;
-        $('#fill-batch-btn').disabled = false;
-        progressBar.style.display = 'none';
+        await refreshUndo(tab.id);
+    }
+
+    async function fillAllRows() {
+        const checkpoint = await loadCheckpoint();
+        const done = checkpoint ? checkpoint.rows.filter(st => st === 'submitted' || st === 'unconfirmed').length : 0;
+        if (done > 0 && !confirm(`${done} row(s) were already (or may have been) submitted in an earlier run. Fill every row again?`)) {
+            return;
+        }
+        await startBatch();
+    }
+
+    /**
+     * Hand a batch to the background worker.
+     * @param {number[]} [indices] - Rows to fill on top of the saved checkpoint; omit to start a new run
+     *   (and checkpoint) over the selected rows.
+     *   Rows outside the selection and excluded rows are left out either way; a selection sets the order.
+     */
+    async function startBatch(indices) {
+        if (isFilling || isJobRunning()) return;
+        const tab = await getActiveTab();
+        if (!tab) return;
+
+        const wizardSteps = steps.length > 0 ? runnerSteps() : null;
+        const mapped = wizardSteps
+            ? wizardSteps.some(st => Object.keys(st.mapping).length > 0)
+            : Object.keys(currentMapping).length > 0;
+        if (!mapped) {
+            setStatus('No mappings configured', 'warning');
+            return;
+        }
+        const unlinked = wizardSteps ? wizardSteps.findIndex((st, k) => k < wizardSteps.length - 1 && !st.continueSelector) : -1;
+        if (unlinked >= 0) {
+            setStatus(`Step ${unlinked + 1} needs a continue button`, 'warning');
+            return;
+        }
+        const wanted = indices ? new Set(indices) : null;
+        const queue = (selectedRows || indices || rowOrder())
+            .filter(i => !excludedRows.has(i) && (!wanted || wanted.has(i)));
+        if (queue.length === 0) {
+            setStatus(selectedRows ? 'No selected rows to fill' : 'Every row is excluded', 'warning');
+            return;
+        }
+        const plan = wizardSteps ? wizardSteps.map(st => st.mapping) : [prepareSerialMapping()];
+        if (reportMissingAttachments(plan, queue)) return;
+
+        const injected = await injectContentScripts(tab.id);
+        if (!injected) return;
+
+        setStatus(`Batch filling ${queue.length} rows…`, 'working');
+
+        // The background worker owns the job so it survives this popup closing
+        try {
+            const response = await chrome.runtime.sendMessage({
+                action: 'startJob',
+                tabId: tab.id,
+                label: $('#file-name').textContent,
+                sheet: currentSheet,
+                checkpointKey: getCheckpointKey(),
+                mapping: prepareSerialMapping(),
+                steps: wizardSteps,
+                rows: computedColumns.length > 0 ? parsedData.map(row => Template.extendRow(row, computedColumns)) : parsedData,
+                // A resume keeps the checkpoint; a selection is a new run over part of the sheet
+                indices: indices ? queue : undefined,
+                selection: !indices && selectedRows ? queue : undefined,
+                excluded: [...excludedRows],
+                settings: {
+                    ...fillSettings(),
+                    delay: settings.delay || 500,
+                    autoSubmit: settings.autoSubmit,
+                    submitTimeout: settings.submitTimeout || 10000,
+                    readbackSelector: settings.readbackSelector || ''
+                }
+            });
+
+            if (response.success) renderJob(response.job);
+            else setStatus(response.error, 'error');
+        } catch (err) {
+            Logger.error('Batch error:', err);
+            setStatus('Batch fill error', 'error');
+        }
     }
 
     async function stopFill() {
+        if (currentJob && (currentJob.status === 'running' || currentJob.status === 'paused')) {
+            await sendJobCommand('stopJob');
+            return;
+        }
+
         const tab = await getActiveTab();
         if (tab) {
             try {
@@ -603,51 +1836,718 @@
         }
         isFilling = false;
         setStatus('Fill stopped', 'warning');
-        $('#stop-fill-btn').style.display = 'none';
-        $('#fill-btn').disabled = false;
-        $('#fill-batch-btn').disabled = false;
-        $('#progress-bar').style.display = 'none';
     }
 
-    function prepareSerialMapping() {
+    /** Take back the most recent fill on the page, one fill per click */
+    async function undoFill() {
+        if (isFilling || isJobRunning()) return;
+        const tab = await getActiveTab();
+        if (!tab) return;
+
+        isFilling = true;
+        try {
+            const response = await chrome.tabs.sendMessage(tab.id, { action: 'undoFill' });
+            const more = response.remaining > 0 ? ` · ${response.remaining} more fill(s) to undo` : '';
+            if (response.success) {
+                setStatus(`Restored ${response.restored} field(s)${more}`, 'success');
+            } else if (response.errors?.length > 0) {
+                const failed = response.errors.map(e => `${e.selector}: ${e.error}`).join(', ');
+                setStatus(`Restored ${response.restored} field(s); could not restore ${failed}`, 'warning');
+            } else {
+                setStatus(response.error || 'Undo failed', 'warning');
+            }
+        } catch (err) {
+            Logger.error('Undo error:', err);
+            setStatus('Undo failed — the page may have reloaded', 'error');
+        }
+        isFilling = false;
+        await refreshUndo(tab.id);
+    }
+
+    /** Show the undo button while the page has fills to take back */
+    async function refreshUndo(tabId) {
+        if (!tabId) {
+            const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+            tabId = tab?.id;
+        }
+        // No content script yet means nothing was filled
+        const status = tabId ? await chrome.tabs.sendMessage(tabId, { action: 'undoStatus' }).catch(() => null) : null;
+        const depth = status?.depth || 0;
+        const btn = $('#undo-fill-btn');
+        btn.style.display = depth > 0 ? '' : 'none';
+        btn.textContent = depth > 1 ? `Undo (${depth})` : 'Undo';
+    }
+
+    /* ═══════ Dry Run ═══════ */
+
+    function initDryRunControls() {
+        $('#dry-run-tbody').addEventListener('change', (e) => {
+            const item = dryRun?.items[Number(e.target.dataset.index)];
+            if (!item) return;
+            item.accepted = e.target.checked;
+            renderDryRun();
+        });
+        $('#dry-run-all').addEventListener('change', (e) => {
+            if (!dryRun) return;
+            dryRun.items.forEach(item => { item.accepted = e.target.checked; });
+            renderDryRun();
+        });
+        $('#dry-run-overlay').addEventListener('change', syncOverlay);
+        $('#dry-run-fill-btn').addEventListener('click', () => {
+            if (!dryRun) return;
+            fillCurrentRow(dryRun.items.filter(item => !item.accepted).map(item => item.selector));
+        });
+        $('#close-dry-run-btn').addEventListener('click', closeDryRun);
+    }
+
+    /** Preview the current row on the page and show what would change */
+    async function runDryRun(tab, serialMapping) {
+        isFilling = true;
+        setStatus('Previewing row…', 'working');
+        try {
+            const response = await chrome.tabs.sendMessage(tab.id, {
+                action: 'preview',
+                mapping: serialMapping,
+                rowData: rowAt(currentRowIndex),
+                settings: fillSettings()
+            });
+            if (response.success) {
+                // Fields that would fail are skipped unless the user says otherwise
+                dryRun = {
+                    row: currentRowIndex,
+                    items: response.preview.map(entry => ({ ...entry, accepted: entry.valid }))
+                };
+                renderDryRun();
+                const count = response.warnings.length;
+                setStatus(count > 0
+                    ? `Preview: ${count} warning(s) — ` + response.warnings.map(w => `${w.column}: ${w.error}`).join(', ')
+                    : `Preview: ${response.preview.length} fields would be filled`, count > 0 ? 'warning' : 'success');
+            } else {
+                setStatus('Preview failed', 'error');
+            }
+        } catch (err) {
+            Logger.error('Preview error:', err);
+            setStatus('Preview failed', 'error');
+        }
+        isFilling = false;
+    }
+
+    function renderDryRun() {
+        if (!dryRun) return;
+        const show = (v) => Array.isArray(v) ? v.join('; ') : String(v ?? '');
+        const items = dryRun.items;
+        const accepted = items.filter(item => item.accepted).length;
+
+        $('#dry-run-state').textContent = `Dry run · row ${dryRun.row + 1}`;
+        $('#dry-run-counts').textContent = `${accepted} of ${items.length} fields accepted · ` +
+            `${items.filter(item => !item.valid).length} invalid`;
+
+        const tbody = $('#dry-run-tbody');
+        tbody.innerHTML = '';
+        items.forEach((item, i) => {
+            const tr = document.createElement('tr');
+            const unchanged = item.valid && show(item.currentValue) === show(item.newValue);
+            tr.className = !item.accepted ? 'skipped' : unchanged ? 'unchanged' : '';
+
+            const check = document.createElement('input');
+            check.type = 'checkbox';
+            check.checked = item.accepted;
+            check.dataset.index = i;
+            const cells = [
+                [check, ''],
+                [item.fieldLabel, 'field'],
+                [show(item.currentValue), 'current'],
+                [item.valid ? show(item.newValue) : `${show(item.newValue)} — ${item.error}`, item.valid ? 'new' : 'new invalid']
+            ];
+            cells.forEach(([content, cls]) => {
+                const td = document.createElement('td');
+                td.className = cls;
+                if (content instanceof Element) td.appendChild(content);
+                else {
+                    td.textContent = content;
+                    td.title = content;
+                }
+                tr.appendChild(td);
+            });
+            tbody.appendChild(tr);
+        });
+
+        const all = $('#dry-run-all');
+        all.checked = accepted === items.length && items.length > 0;
+        all.indeterminate = accepted > 0 && accepted < items.length;
+        $('#dry-run-fill-btn').textContent = `Fill Accepted (${accepted})`;
+        $('#dry-run-fill-btn').disabled = accepted === 0;
+        $('#dry-run-panel').style.display = '';
+        syncOverlay();
+    }
+
+    /** Show or refresh the on-page badges, or take them down */
+    async function syncOverlay() {
+        const tab = await getActiveTab();
+        if (!tab) return;
+        const on = !!dryRun && $('#dry-run-overlay').checked;
+        await chrome.tabs.sendMessage(tab.id, on
+            ? { action: 'showOverlay', items: dryRun.items }
+            : { action: 'clearOverlay' }).catch(() => { });
+    }
+
+    function closeDryRun() {
+        if (!dryRun) return;
+        dryRun = null;
+        $('#dry-run-panel').style.display = 'none';
+        syncOverlay();
+    }
+
+    /* ═══════ Pre-flight Validation ═══════ */
+
+    function initPreflightControls() {
+        $('#validate-all-btn').addEventListener('click', validateAll);
+        $('#exclude-bad-btn').addEventListener('click', excludeBadRows);
+        $('#include-all-btn').addEventListener('click', includeAllRows);
+        $('#export-bad-btn').addEventListener('click', exportBadRows);
+        $('#close-preflight-btn').addEventListener('click', () => { $('#preflight-panel').style.display = 'none'; });
+        $('#preflight-tbody').addEventListener('click', (e) => {
+            const tr = e.target.closest('tr[data-row]');
+            if (tr) goToRow(Number(tr.dataset.row));
+        });
+    }
+
+    /** Run every row through the mapping, transforms and validators without touching the page */
+    function validateAll() {
+        if (parsedData.length === 0) {
+            setStatus('Load a file first', 'warning');
+            return;
+        }
+        const mappings = steps.length > 0 ? runnerSteps().map(st => st.mapping) : [prepareSerialMapping()];
+        if (!mappings.some(mapping => Object.keys(mapping).length > 0)) {
+            setStatus('No mappings configured', 'warning');
+            return;
+        }
+
+        const byRow = {};
+        const order = rowOrder();
+        missingAttachments(mappings, order).forEach(m => {
+            (byRow[m.row] = byRow[m.row] || []).push({ column: m.column, value: m.name, error: `"${m.name}" is not among the attachments` });
+        });
+        preflight = Preflight.run(rowAt, order, mappings, {
+            locale: sourceLocale,
+            extra: (row, i) => byRow[i] || []
+        });
+        renderPreflight();
+
+        const bad = preflight.badRows.length;
+        setStatus(bad > 0 ? `${bad} of ${preflight.checked} rows have problems` : `All ${preflight.checked} rows pass`,
+            bad > 0 ? 'warning' : 'success');
+    }
+
+    function renderPreflight() {
+        const panel = $('#preflight-panel');
+        if (!preflight) {
+            panel.style.display = 'none';
+            return;
+        }
+
+        const { checked, failures, badRows, byColumn, byType } = preflight;
+        $('#preflight-state').textContent = badRows.length > 0
+            ? `${badRows.length} of ${checked} rows have problems`
+            : `All ${checked} rows pass`;
+        $('#preflight-counts').textContent = `${failures.length} failing cell${failures.length === 1 ? '' : 's'}` +
+            (excludedRows.size > 0 ? ` · ${excludedRows.size} rows excluded` : '');
+
+        // Counts per column, then per kind of error
+        const breakdown = $('#preflight-breakdown');
+        breakdown.innerHTML = '';
+        const chip = (text, count, cls) => {
+            const span = document.createElement('span');
+            span.className = `preflight-count ${cls}`;
+            span.textContent = `${text} · ${count}`;
+            breakdown.appendChild(span);
+        };
+        Object.entries(byColumn).sort((a, b) => b[1] - a[1]).forEach(([col, n]) => chip(col, n, 'column'));
+        Object.entries(byType).sort((a, b) => b[1] - a[1]).forEach(([type, n]) => chip(type, n, 'type'));
+
+        const tbody = $('#preflight-tbody');
+        tbody.innerHTML = '';
+        failures.slice(0, PREFLIGHT_LIST_LIMIT).forEach(f => {
+            const tr = document.createElement('tr');
+            tr.dataset.row = f.row;
+            tr.title = 'Show this row in the navigator';
+            const value = f.value instanceof Date ? f.value.toLocaleDateString() : String(f.value ?? '');
+            [f.row + 1, f.column, value, f.error].forEach((text, k) => {
+                const td = document.createElement('td');
+                td.textContent = text;
+                td.title = String(text);
+                if (k === 3) td.className = 'problem';
+                tr.appendChild(td);
+            });
+            tbody.appendChild(tr);
+        });
+        if (failures.length > PREFLIGHT_LIST_LIMIT) {
+            const tr = document.createElement('tr');
+            tr.className = 'more';
+            tr.innerHTML = `<td colspan="4">${failures.length - PREFLIGHT_LIST_LIMIT} more — export the bad rows to see them all</td>`;
+            tbody.appendChild(tr);
+        }
+
+        $('#preflight-table-wrapper').style.display = failures.length > 0 ? '' : 'none';
+        $('#exclude-bad-btn').disabled = badRows.every(i => excludedRows.has(i));
+        $('#include-all-btn').style.display = excludedRows.size > 0 ? '' : 'none';
+        $('#export-bad-btn').disabled = badRows.length === 0;
+        panel.style.display = '';
+    }
+
+    function excludeBadRows() {
+        if (!preflight) return;
+        preflight.badRows.forEach(i => excludedRows.add(i));
+        renderExcluded();
+        setStatus(`${excludedRows.size} rows will be left out of batch fills`, 'success');
+    }
+
+    function includeAllRows() {
+        excludedRows.clear();
+        renderExcluded();
+        setStatus('Every row will be filled', 'success');
+    }
+
+    function renderExcluded() {
+        const count = $('#excluded-count');
+        count.textContent = `${excludedRows.size} excluded`;
+        count.style.display = excludedRows.size > 0 ? '' : 'none';
+        renderPreflight();
+    }
+
+    function resetPreflight() {
+        preflight = null;
+        excludedRows.clear();
+        renderExcluded();
+    }
+
+    /** Download the rows that failed pre-flight, with their problems in an extra column */
+    function exportBadRows() {
+        if (!preflight || preflight.badRows.length === 0 || !workbook) return;
+
+        const notes = {};
+        preflight.failures.forEach(f => {
+            notes[f.row] = (notes[f.row] ? notes[f.row] + '; ' : '') + `${f.column}: ${f.error}`;
+        });
+
+        try {
+            const { workbook: book, written } = Exporter.extractRows(workbook, currentSheet, parsedData, preflight.badRows, {
+                note: { header: 'Validation Errors', values: notes },
+                header: sheetHeader
+            });
+            const baseName = ($('#file-name').textContent || 'export').replace(/\.[^.]+$/, '') + '-invalid';
+            Exporter.download(book, currentSheet, baseName, $('#export-format').value);
+            setStatus(`Exported ${written} bad rows`, 'success');
+        } catch (err) {
+            Logger.error('Export error:', err);
+            setStatus('Export failed', 'error');
+        }
+    }
+
+    /* ═══════ Attachments ═══════ */
+
+    function initAttachmentControls() {
+        $('#attach-folder-btn').addEventListener('click', () => $('#attach-folder-input').click());
+        $('#attach-zip-btn').addEventListener('click', () => $('#attach-zip-input').click());
+        $('#attach-folder-input').addEventListener('change', (e) => {
+            loadAttachments(e.target, async () => FileStore.fromFiles(e.target.files));
+        });
+        $('#attach-zip-input').addEventListener('change', (e) => {
+            const file = e.target.files[0];
+            if (file) loadAttachments(e.target, async () => FileStore.fromZip(await file.arrayBuffer()));
+        });
+        $('#clear-attachments-btn').addEventListener('click', clearAttachments);
+
+        // Attachments stay loaded between popup sessions so a background batch can use them
+        FileStore.list().then(list => {
+            attachments = list;
+            renderAttachments();
+        }).catch(err => Logger.error('Attachment store error:', err));
+    }
+
+    async function loadAttachments(input, read) {
+        setStatus('Loading attachments…', 'working');
+        try {
+            const records = await read();
+            await FileStore.replace(records);
+            attachments = records.map(({ blob, ...meta }) => meta);
+            renderAttachments();
+            setStatus(`Loaded ${attachments.length} attachment${attachments.length === 1 ? '' : 's'}`, 'success');
+        } catch (err) {
+            Logger.error('Attachment error:', err);
+            setStatus('Could not read attachments', 'error');
+        }
+        input.value = '';
+    }
+
+    async function clearAttachments() {
+        await FileStore.clear();
+        attachments = [];
+        renderAttachments();
+        setStatus('Attachments removed', 'success');
+    }
+
+    function renderAttachments() {
+        const total = attachments.reduce((sum, f) => sum + f.size, 0);
+        $('#attachments-summary').textContent = attachments.length > 0
+            ? `${attachments.length} attachment${attachments.length === 1 ? '' : 's'} (${formatSize(total)})`
+            : 'No attachments';
+        $('#clear-attachments-btn').style.display = attachments.length > 0 ? '' : 'none';
+    }
+
+    /**
+     * Files the rows name for file upload fields that are not loaded.
+     * @param {Object[]} mappings - Serialised mappings, one per wizard step
+     * @param {number[]} indices - Rows to check
+     * @returns {Array<{ row: number, column: string, name: string }>}
+     */
+    function missingAttachments(mappings, indices) {
+        const missing = [];
+        indices.forEach(i => {
+            const row = rowAt(i);
+            mappings.forEach(mapping => {
+                Object.entries(mapping).forEach(([column, info]) => {
+                    if (info.field?.type !== 'file') return;
+                    const value = Transformer.apply(row[column], info.transforms, sourceLocale).value;
+                    FileStore.namesIn(value).forEach(name => {
+                        if (!FileStore.find(attachments, name)) missing.push({ row: i, column, name });
+                    });
+                });
+            });
+        });
+        return missing;
+    }
+
+    /** Report missing attachments as errors before a fill starts; true when there are any */
+    function reportMissingAttachments(mappings, indices) {
+        const missing = missingAttachments(mappings, indices);
+        if (missing.length === 0) return false;
+        const shown = missing.slice(0, 3).map(m => `row ${m.row + 1} ${m.column}: ${m.name}`).join(', ');
+        const more = missing.length > 3 ? ` and ${missing.length - 3} more` : '';
+        setStatus(`Missing attachments — ${shown}${more}`, 'error');
+        Logger.log('Missing attachments:', missing);
+        return true;
+    }
+
+    /* ═══════ Source Locale ═══════ */
+
+    function initLocaleControls() {
+        const sel = $('#locale-preset');
+        Object.entries(Locale.PRESETS).forEach(([code, preset]) => {
+            const opt = document.createElement('option');
+            opt.value = code;
+            opt.textContent = preset.label;
+            sel.appendChild(opt);
+        });
+
+        ['#locale-preset', '#locale-date-format', '#locale-thousands', '#locale-decimal', '#locale-currency']
+            .forEach(id => $(id).addEventListener('change', onLocaleChange));
+        renderLocale();
+    }
+
+    /** Replace the source locale and show it in the formats bar */
+    function useLocale(locale) {
+        const { updatedAt, ...options } = locale || {};
+        sourceLocale = { preset: 'auto', ...options };
+        renderLocale();
+        refreshTransformPreviews();
+    }
+
+    /** A site profile's locale applies unless this file has one of its own */
+    async function useProfileLocale(profile) {
+        if (!profile.locale) return;
+        if (fileFingerprint && await Storage.getFileLocale(fileFingerprint)) return;
+        useLocale(profile.locale);
+    }
+
+    function renderLocale() {
+        const preset = Locale.PRESETS[sourceLocale.preset] || Locale.PRESETS.auto;
+        $('#locale-preset').value = sourceLocale.preset;
+        $('#locale-date-format').value = sourceLocale.dateFormat || '';
+        $('#locale-date-format').placeholder = preset.dates[0] || 'Date format';
+        $('#locale-thousands').value = sourceLocale.thousands || '';
+        $('#locale-thousands').placeholder = preset.thousands === ' ' ? '␣' : preset.thousands || ',';
+        $('#locale-decimal').value = sourceLocale.decimal || '';
+        $('#locale-decimal').placeholder = preset.decimal || '.';
+        $('#locale-currency').checked = sourceLocale.currency !== false;
+    }
+
+    async function onLocaleChange(e) {
+        // A new preset brings its own separators and date pattern
+        const presetChanged = e.target.id === 'locale-preset';
+        sourceLocale = {
+            preset: $('#locale-preset').value,
+            dateFormat: presetChanged ? '' : $('#locale-date-format').value.trim(),
+            thousands: presetChanged ? '' : $('#locale-thousands').value,
+            decimal: presetChanged ? '' : $('#locale-decimal').value,
+            currency: $('#locale-currency').checked
+        };
+        renderLocale();
+        refreshTransformPreviews();
+        if (fileFingerprint) await Storage.saveFileLocale(fileFingerprint, sourceLocale);
+    }
+
+    /* ═══════ Background Job ═══════ */
+
+    const JOB_STATUS_LABELS = {
+        running: 'Running',
+        paused: 'Paused',
+        stopped: 'Stopped',
+        done: 'Finished'
+    };
+
+    function initJobControls() {
+        $('#pause-job-btn').addEventListener('click', () => sendJobCommand('pauseJob'));
+        $('#resume-job-btn').addEventListener('click', resumeJob);
+        $('#dismiss-job-btn').addEventListener('click', () => sendJobCommand('clearJob'));
+
+        // Reconnect to a job that kept running while the popup was closed
+        const port = chrome.runtime.connect({ name: 'popup' });
+        port.onMessage.addListener((msg) => {
+            if (msg.action === 'jobUpdate') renderJob(msg.job);
+        });
+    }
+
+    async function sendJobCommand(action, options = {}) {
+        try {
+            const response = await chrome.runtime.sendMessage({ action, ...options });
+            if (!response.success && response.unconfirmed === undefined) setStatus(response.error, 'warning');
+            return response;
+        } catch (err) {
+            Logger.error('Job command failed:', err);
+            setStatus('Background worker unavailable', 'error');
+            return null;
+        }
+    }
+
+    /** Resume the paused job, asking first about a row whose submit was cut off */
+    async function resumeJob() {
+        const response = await sendJobCommand('resumeJob');
+        if (response?.unconfirmed === undefined) return;
+        const retry = confirm(`Row ${response.unconfirmed + 1} was being submitted when the run was interrupted and may already have gone through. Submit it again?\n\nCancel skips it and leaves it marked unconfirmed.`);
+        await sendJobCommand('resumeJob', { unconfirmed: retry ? 'retry' : 'skip' });
+    }
+
+    function isJobRunning() {
+        return !!currentJob && currentJob.status === 'running';
+    }
+
+    /**
+     * Whether the sheet's rows must stay as they are. A job keeps its own copy
+     * of them and records progress by row index, so an edited, added or deleted
+     * row would put a resumed job's results on the wrong rows — until the job is dismissed.
+     */
+    function sheetLocked() {
+        if (!currentJob) return false;
+        setStatus(isJobRunning() ? 'Edit the sheet once the batch run is over' : 'Dismiss the batch run to edit the sheet', 'warning');
+        return true;
+    }
+
+    function renderJob(job) {
+        currentJob = job;
+        const panel = $('#job-panel');
+        const progressBar = $('#progress-bar');
+
+        if (!job) {
+            panel.style.display = 'none';
+            progressBar.style.display = 'none';
+            $('#stop-fill-btn').style.display = 'none';
+            $('#fill-btn').disabled = false;
+            $('#fill-batch-btn').disabled = false;
+            return;
+        }
+
+        const running = job.status === 'running';
+        const active = running || job.status === 'paused';
+
+        panel.style.display = '';
+        $('#job-state').textContent = `${JOB_STATUS_LABELS[job.status] || job.status}${job.label ? ' · ' + job.label : ''}`;
+        $('#job-counts').textContent =
+            `${job.position}/${job.total} rows · ${job.totalFilled} filled · ${job.totalErrors} errors`;
+        $('#pause-job-btn').style.display = running ? '' : 'none';
+        $('#resume-job-btn').style.display = job.status === 'paused' ? '' : 'none';
+        $('#dismiss-job-btn').style.display = running ? 'none' : '';
+
+        $('#stop-fill-btn').style.display = active ? '' : 'none';
+        $('#fill-btn').disabled = running;
+        $('#fill-batch-btn').disabled = running;
+
+        progressBar.style.display = active ? '' : 'none';
+        progressBar.max = job.total;
+        progressBar.value = job.position;
+
+        // Follow along in the row navigator when this popup holds the same data
+        if (running && parsedData.length === job.rowCount) {
+            currentRowIndex = job.currentRow;
+            updateRowDisplay();
+        }
+
+        const counts = `${job.totalFilled} filled, ${job.totalErrors} errors`;
+        if (running) {
+            setStatus(`Filling row ${job.currentRow + 1} (${Math.min(job.position + 1, job.total)}/${job.total})…`, 'working');
+        } else if (job.status === 'paused') {
+            setStatus(`Batch paused at row ${job.currentRow + 1}${job.message ? ' — ' + job.message : ''}`, 'warning');
+        } else if (job.status === 'stopped') {
+            setStatus(`Batch stopped: ${counts}${job.message ? ' — ' + job.message : ''}`, 'warning');
+        } else {
+            setStatus(`Batch done: ${counts}`, job.totalErrors > 0 ? 'warning' : 'success');
+        }
+        if (!running) refreshUndo();
+    }
+
+    /* ═══════ Checkpoints ═══════ */
+
+    const UNFINISHED = ['pending', 'failed'];
+
+    function initCheckpointControls() {
+        $('#resume-run-btn').addEventListener('click', resumeRun);
+        $('#retry-failed-btn').addEventListener('click', retryFailedRows);
+        $('#reset-checkpoint-btn').addEventListener('click', resetCheckpoint);
+
+        // The background worker writes a checkpoint after every row
+        chrome.storage.onChanged.addListener((changes, area) => {
+            const key = getCheckpointKey();
+            if (area === 'local' && key && changes[Storage.checkpointStorageKey(key)]) refreshCheckpoint();
+        });
+    }
+
+    function getCheckpointKey() {
+        if (!fileFingerprint || !currentSheet) return null;
+        const joined = Joiner.signature(joins, currentSheet);
+        return `${fileFingerprint}::${currentSheet}${joined ? `::${joined}` : ''}`;
+    }
+
+    async function loadCheckpoint() {
+        const key = getCheckpointKey();
+        return key ? Storage.getCheckpoint(key) : null;
+    }
+
+    async function refreshCheckpoint() {
+        const checkpoint = await loadCheckpoint();
+        const panel = $('#checkpoint-panel');
+        if (!checkpoint || !checkpoint.rows.some(st => st !== 'pending')) {
+            panel.style.display = 'none';
+            return;
+        }
+
+        const counts = {};
+        checkpoint.rows.slice(0, parsedData.length).forEach(st => { counts[st] = (counts[st] || 0) + 1; });
+        const parts = ['submitted', 'unconfirmed', 'filled', 'skipped', 'failed', 'pending']
+            .filter(st => counts[st])
+            .map(st => `${counts[st]} ${st}`);
+
+        $('#checkpoint-counts').textContent = parts.join(' · ');
+        $('#resume-run-btn').disabled = !unfinishedRows(checkpoint, [...UNFINISHED, 'unconfirmed']).length;
+        $('#retry-failed-btn').disabled = !counts.failed;
+        panel.style.display = '';
+    }
+
+    /** Rows in the given states (unfinished ones by default), in sheet order */
+    function unfinishedRows(checkpoint, states = UNFINISHED) {
+        const indices = [];
+        for (let i = 0; i < parsedData.length; i++) {
+            if (states.includes(checkpoint.rows[i] || 'pending')) indices.push(i);
+        }
+        return indices;
+    }
+
+    async function resumeRun() {
+        const checkpoint = await loadCheckpoint();
+        if (!checkpoint) return;
+        let indices = unfinishedRows(checkpoint);
+        // A submit cut off by a crash or browser restart may still have gone through
+        const unconfirmed = unfinishedRows(checkpoint, ['unconfirmed']);
+        if (unconfirmed.length > 0 && confirm(`${unconfirmed.length} row(s) were being submitted when the run was interrupted and may already have gone through (row ${unconfirmed.map(i => i + 1).join(', ')}). Submit them again?\n\nCancel leaves them out.`)) {
+            indices = unfinishedRows(checkpoint, [...UNFINISHED, 'unconfirmed']);
+        }
+        if (indices.length === 0) {
+            setStatus('Every row is already done', 'success');
+            return;
+        }
+        await startBatch(indices);
+    }
+
+    async function retryFailedRows() {
+        const checkpoint = await loadCheckpoint();
+        if (!checkpoint) return;
+        const indices = [];
+        checkpoint.rows.forEach((st, i) => { if (st === 'failed' && i < parsedData.length) indices.push(i); });
+        if (indices.length === 0) {
+            setStatus('No failed rows to retry', 'success');
+            return;
+        }
+        await startBatch(indices);
+    }
+
+    async function resetCheckpoint() {
+        const key = getCheckpointKey();
+        if (!key) return;
+        await Storage.deleteCheckpoint(key);
+        refreshCheckpoint();
+        setStatus('Run progress cleared', 'success');
+    }
+
+    function prepareSerialMapping(mapping = currentMapping) {
         const serial = {};
-        for (const [col, info] of Object.entries(currentMapping)) {
+        for (const [col, info] of Object.entries(mapping)) {
             if (!info || !info.selector) continue;
             serial[col] = {
                 selector: info.selector,
-                field: info.field ? {
-                    type: info.field.type,
-                    name: info.field.name,
-                    required: info.field.required,
-                    options: info.field.options,
-                    min: info.field.min,
-                    max: info.field.max
-                } : { type: 'text' }
+                transforms: info.transforms || [],
+                field: serialField(info.field)
             };
+            if (info.typing) serial[col].typing = info.typing;
+            if (info.split) {
+                serial[col].split = {
+                    ...info.split,
+                    fields: info.split.selectors.map(sel => serialField(detectedFields.find(f => f.selector === sel)))
+                };
+            }
         }
         return serial;
     }
 
-    function showPreviewResults(preview, warnings) {
-        let msg = 'Preview: ';
-        if (warnings.length > 0) {
-            msg += `${warnings.length} warning(s) — ` + warnings.map(w => `${w.column}: ${w.error}`).join(', ');
-            setStatus(msg, 'warning');
-        } else {
-            msg += `${preview.length} fields would be filled`;
-            setStatus(msg, 'success');
-        }
-        Logger.log('Preview:', preview);
+    function serialField(field) {
+        return field ? {
+            type: field.type,
+            name: field.name,
+            required: field.required,
+            options: field.options,
+            min: field.min,
+            max: field.max,
+            step: field.step,
+            minLength: field.minLength,
+            maxLength: field.maxLength,
+            pattern: field.pattern,
+            placeholder: field.placeholder,
+            widget: field.widget
+        } : { type: 'text' };
     }
 
     /* ═══════ Settings ═══════ */
 
     function initSettingsControls() {
+        Object.entries(Keyboard.COMMIT_MODES).forEach(([mode, label]) => {
+            const opt = document.createElement('option');
+            opt.value = mode;
+            opt.textContent = label;
+            $('#commit-mode').appendChild(opt);
+        });
+        $('#fill-strategy').addEventListener('change', updateTypingControls);
+        $('#persist-data').addEventListener('change', updatePersistControls);
+        $('#persist-encrypt').addEventListener('change', updatePersistControls);
+        $('#forget-session-btn').addEventListener('click', async () => {
+            await forgetSession();
+            setStatus('Remembered data deleted', 'success');
+        });
         $('#save-settings').addEventListener('click', saveSettingsFromUI);
         $('#reset-settings').addEventListener('click', async () => {
             await Storage.resetSettings();
             settings = await Storage.getSettings();
             applySettingsToUI(settings);
+            if (settings.fillMode !== 'preview') closeDryRun();
+            await forgetSession();
             setStatus('Settings reset', 'success');
         });
     }
@@ -655,32 +2555,97 @@
     function applySettingsToUI(s) {
         $('#fill-mode').value = s.fillMode || 'single';
         $('#delay').value = s.delay || 500;
+        $('#submit-timeout').value = s.submitTimeout || 10000;
+        $('#field-timeout').value = s.fieldTimeout ?? 5000;
+        $('#fill-strategy').value = s.fillStrategy || 'set';
+        $('#char-delay').value = s.charDelay ?? Keyboard.DEFAULT_CHAR_DELAY;
+        $('#commit-mode').value = s.commitMode || 'none';
+        updateTypingControls();
+        $('#readback-selector').value = s.readbackSelector || '';
         $('#auto-submit').checked = s.autoSubmit || false;
         $('#skip-filled').checked = s.skipFilled || false;
         $('#highlight-fields').checked = s.highlightFields !== false;
         $('#stop-on-error').checked = s.stopOnError !== false;
         $('#persist-data').checked = s.persistData || false;
+        $('#persist-encrypt').checked = s.persistEncrypt || false;
+        $('#persist-passphrase').value = sessionPassphrase;
+        $('#persist-hours').value = s.persistHours ?? 24;
+        updatePersistControls();
         $('#enable-logging').checked = s.enableLogging || false;
     }
 
+    function updatePersistControls() {
+        const persist = $('#persist-data').checked;
+        $('#persist-settings').style.display = persist ? '' : 'none';
+        $('#persist-passphrase-row').style.display = persist && $('#persist-encrypt').checked ? '' : 'none';
+    }
+
+    function updateTypingControls() {
+        const typing = $('#fill-strategy').value === 'type';
+        $('#typing-settings').style.display = typing ? '' : 'none';
+        $('#commit-settings').style.display = typing ? '' : 'none';
+    }
+
+    /** A site profile carries the fill method it was saved with; it applies over the defaults while loaded */
+    function useProfileTyping(profile) {
+        const saved = profile.settings || {};
+        profileTyping = {};
+        TYPING_SETTINGS.forEach(key => {
+            if (saved[key] !== undefined) profileTyping[key] = saved[key];
+        });
+    }
+
+    /** Settings with the loaded profile's fill method over the defaults */
+    function typingSettings() {
+        return { ...settings, ...profileTyping };
+    }
+
+    /** Fill settings the content script needs for a row */
+    function fillSettings() {
+        const typing = typingSettings();
+        return {
+            skipFilled: settings.skipFilled,
+            highlightFields: settings.highlightFields,
+            stopOnError: settings.stopOnError,
+            fieldTimeout: settings.fieldTimeout ?? 5000,
+            fillStrategy: typing.fillStrategy || 'set',
+            charDelay: typing.charDelay ?? Keyboard.DEFAULT_CHAR_DELAY,
+            commitMode: typing.commitMode || 'none',
+            locale: sourceLocale
+        };
+    }
+
     async function saveSettingsFromUI() {
         settings = {
             fillMode: $('#fill-mode').value,
             delay: parseInt($('#delay').value, 10) || 500,
+            submitTimeout: parseInt($('#submit-timeout').value, 10) || 10000,
+            fieldTimeout: Math.max(0, parseInt($('#field-timeout').value, 10) || 0),
+            fillStrategy: $('#fill-strategy').value,
+            charDelay: Math.max(0, parseInt($('#char-delay').value, 10) || 0),
+            commitMode: $('#commit-mode').value,
+            readbackSelector: $('#readback-selector').value.trim(),
             autoSubmit: $('#auto-submit').checked,
             skipFilled: $('#skip-filled').checked,
             highlightFields: $('#highlight-fields').checked,
             stopOnError: $('#stop-on-error').checked,
             persistData: $('#persist-data').checked,
+            persistEncrypt: $('#persist-encrypt').checked,
+            persistHours: Math.max(0, parseInt($('#persist-hours').value, 10) || 0),
             enableLogging: $('#enable-logging').checked
         };
+        sessionPassphrase = $('#persist-passphrase').value;
 
         await Storage.saveSettings(settings);
+        if (settings.fillMode !== 'preview') closeDryRun();
 
         if (settings.enableLogging) Logger.enable();
         else Logger.disable();
 
         setStatus('Settings saved', 'success');
+
+        if (!settings.persistData) await forgetSession();
+        else rememberSession(true);
     }
 
     /* ═══════ Profiles ═══════ */
@@ -712,7 +2677,7 @@
             info.className = 'profile-info';
             info.innerHTML = `
         <strong>${domain}</strong>
-        <span class="profile-meta">${Object.keys(profile.mapping || {}).length} mappings · ${timeAgo(profile.lastUsed)}</span>
+        <span class="profile-meta">${profile.steps ? `${profile.steps.length} steps · ` : ''}${Object.keys(profile.mapping || {}).length} mappings · ${timeAgo(profile.lastUsed)}</span>
       `;
 
             const actions = document.createElement('div');
@@ -745,32 +2710,282 @@
             setStatus('Detect form fields first', 'warning');
             return;
         }
-        currentMapping = Mapper.applySavedProfile(profile.mapping, detectedFields);
-        renderMappingGrid();
+        useProfileJoins(profile);
+        useProfileComputed(profile);
+        useProfileTyping(profile);
+        await useProfileLocale(profile);
+        const tab = await getActiveTab();
+        if (!useProfileSteps(profile, tab?.url)) {
+            steps = [];
+            activeStep = 0;
+            renderStepBar();
+            currentMapping = Mapper.applySavedProfile(profile.mapping, detectedFields);
+            renderMappingGrid();
+        }
         setStatus(`Profile loaded: ${domain}`, 'success');
         // Switch to mapping tab
         $$('.tab')[1].click();
     }
 
+    /* ═══════ Remembered Session ═══════ */
+
+    function initSessionControls() {
+        $('#session-unlock-btn').addEventListener('click', unlockSession);
+        $('#session-passphrase').addEventListener('keydown', (e) => {
+            if (e.key === 'Enter') unlockSession();
+        });
+        $('#session-forget-btn').addEventListener('click', async () => {
+            await forgetSession();
+            setStatus('Remembered data deleted', 'success');
+        });
+    }
+
+    /**
+     * Save the loaded data and where the user is in it, once things settle.
+     * Most changes only touch the state; the workbook is written again only
+     * after it changed (a new file, a grid edit).
+     * @param {boolean} [withWorkbook]
+     */
+    function rememberSession(withWorkbook = false) {
+        if (withWorkbook) sessionWorkbookDirty = true;
+        if (!settings.persistData || !workbook) return;
+        clearTimeout(sessionTimer);
+        sessionTimer = setTimeout(saveSession, SESSION_SAVE_DELAY);
+    }
+
+    async function saveSession() {
+        sessionTimer = null;
+        if (!settings.persistData || !workbook) return;
+        if (settings.persistEncrypt && !sessionPassphrase) {
+            setStatus('Data not remembered: set a passphrase in Settings', 'warning');
+            return;
+        }
+
+        stashStep();
+        const state = {
+            name: $('#file-name').textContent,
+            meta: $('#file-size').textContent,
+            fingerprint: fileFingerprint,
+            sheet: currentSheet,
+            layout: sheetLayout,
+            row: currentRowIndex,
+            mapping: Mapper.toSerializable(currentMapping),
+            overrides: manualOverrides,
+            steps: serializableSteps(),
+            activeStep,
+            computed: computedColumns,
+            joins,
+            selection: rowSelection,
+            edited: sheetEdited
+        };
+        const bytes = sessionWorkbookDirty ? XLSX.write(workbook, { bookType: 'xlsx', type: 'array', compression: true }) : null;
+        const options = { passphrase: settings.persistEncrypt ? sessionPassphrase : '', hours: settings.persistHours ?? 24 };
+
+        try {
+            await SessionStore.save(state, bytes && new Uint8Array(bytes), options);
+            if (bytes) sessionWorkbookDirty = false;
+        } catch (err) {
+            if (!bytes) {
+                // The stored workbook can't be kept (gone, or encrypted differently): write it again
+                rememberSession(true);
+                return;
+            }
+            Logger.error('Session save failed:', err);
+            setStatus(`Could not remember data: ${err.message}`, 'error');
+        }
+    }
+
+    /** On opening: bring back the remembered session, or ask for its passphrase */
+    async function restoreSession() {
+        if (!settings.persistData) return;
+        try {
+            const saved = await SessionStore.peek();
+            if (!saved) return;
+            if (saved.encrypted && !sessionPassphrase) {
+                $('#session-lock-note').textContent = `Data remembered ${timeAgo(new Date(saved.savedAt).toISOString())} is locked.`;
+                $('#session-lock').style.display = '';
+                $('#session-passphrase').focus();
+                return;
+            }
+            await openSession(sessionPassphrase);
+        } catch (err) {
+            Logger.error('Session restore failed:', err);
+            setStatus(`Could not restore data: ${err.message}`, 'error');
+        }
+    }
+
+    async function unlockSession() {
+        const passphrase = $('#session-passphrase').value;
+        try {
+            await openSession(passphrase);
+        } catch (err) {
+            setStatus(err.message, 'error');
+            return;
+        }
+        sessionPassphrase = passphrase;
+        $('#persist-passphrase').value = passphrase;
+        $('#session-passphrase').value = '';
+        $('#session-lock').style.display = 'none';
+    }
+
+    async function openSession(passphrase) {
+        const session = await SessionStore.load(passphrase);
+        if (!session) {
+            $('#session-lock').style.display = 'none';
+            return;
+        }
+        const { state } = session;
+        const book = XLSX.read(session.workbook, { type: 'array', cellDates: true });
+        await openWorkbook(book, { name: state.name, meta: state.meta, print: state.fingerprint },
+            { sheet: state.sheet, layout: state.layout, joins: state.joins });
+
+        computedColumns = state.computed || [];
+        steps = (state.steps || []).map(step => ({ ...newStep(), ...step, overrides: {} }));
+        activeStep = Math.min(state.activeStep || 0, Math.max(steps.length - 1, 0));
+        currentMapping = state.mapping || {};
+        manualOverrides = state.overrides || {};
+        stashStep();
+        renderStepBar();
+        renderMappingGrid();
+
+        rowSelection = { ...emptySelection(), ...state.selection };
+        renderSelectionControls();
+        applySelection();
+        if (parsedData[state.row]) goToRow(state.row);
+        markEdited(!!state.edited);
+
+        // Nothing changed by restoring it
+        clearTimeout(sessionTimer);
+        sessionTimer = null;
+        sessionWorkbookDirty = false;
+        setStatus(`Restored ${state.name}`, 'success');
+    }
+
+    async function forgetSession() {
+        clearTimeout(sessionTimer);
+        sessionTimer = null;
+        await SessionStore.clear();
+        $('#session-lock').style.display = 'none';
+    }
+
+    /* ═══════ Learned Matches ═══════ */
+
+    function initLearnedControls() {
+        $('#reset-learned-btn').addEventListener('click', async () => {
+            if (learnedMatches.length === 0 || !confirm('Forget every learned match?')) return;
+            await Storage.clearLearnedMatches();
+            learnedMatches = [];
+            renderLearnedList();
+            setStatus('Learned matches cleared', 'success');
+        });
+
+        // Rename a learned column, or drop the entry
+        $('#learned-list').addEventListener('change', async (e) => {
+            const item = e.target.closest('.learned-item');
+            const entry = item && learnedMatches[Number(item.dataset.index)];
+            if (!entry) return;
+            const column = e.target.value.trim();
+            if (column) entry.column = column;
+            else learnedMatches.splice(learnedMatches.indexOf(entry), 1);
+            learnedMatches = await Storage.saveLearnedMatches(learnedMatches);
+            renderLearnedList();
+        });
+        $('#learned-list').addEventListener('click', async (e) => {
+            const remove = e.target.closest('.learned-remove');
+            if (!remove) return;
+            learnedMatches.splice(Number(remove.closest('.learned-item').dataset.index), 1);
+            learnedMatches = await Storage.saveLearnedMatches(learnedMatches);
+            renderLearnedList();
+        });
+    }
+
+    /** Remember a column picked by hand, so auto-map prefers a field like it next time, on any site */
+    async function learnMatch(column, field) {
+        const signature = Matcher.fieldSignature(field);
+        if (Object.keys(signature).length === 0) return;   // Nothing to recognise it by elsewhere
+        learnedMatches = await Storage.learnMatch(column, signature, detectedFields.map(Matcher.fieldSignature));
+    }
+
+    function renderLearnedList() {
+        const list = $('#learned-list');
+        list.innerHTML = '';
+        $('#learned-count').textContent = learnedMatches.length > 0 ? `(${learnedMatches.length})` : '';
+
+        if (learnedMatches.length === 0) {
+            list.innerHTML = '<div class="empty-state"><p>Nothing learned yet. Columns you map by hand are remembered here.</p></div>';
+            return;
+        }
+
+        learnedMatches.forEach((entry, index) => {
+            const item = document.createElement('div');
+            item.className = 'learned-item';
+            item.dataset.index = index;
+
+            const column = document.createElement('input');
+            column.type = 'text';
+            column.className = 'input-field';
+            column.value = entry.column;
+            column.title = 'Column header; clear it to forget the match';
+
+            const field = document.createElement('span');
+            field.className = 'learned-field';
+            const { name, id, label, placeholder } = entry.field;
+            field.textContent = `→ ${label || name || id || placeholder}`;
+            field.title = Object.entries({ name, id, label, placeholder })
+                .filter(([, value]) => value)
+                .map(([part, value]) => `${part}: ${value}`)
+                .join(' · ');
+
+            const meta = document.createElement('span');
+            meta.className = 'profile-meta';
+            meta.textContent = `×${entry.count}`;
+            meta.title = `Mapped ${entry.count} time${entry.count === 1 ? '' : 's'}, last ${timeAgo(entry.updatedAt)}`;
+
+            const remove = document.createElement('button');
+            remove.className = 'btn-icon learned-remove';
+            remove.title = 'Forget this match';
+            remove.textContent = '×';
+
+            item.append(column, field, meta, remove);
+            list.appendChild(item);
+        });
+    }
+
     /* ═══════ Clear ═══════ */
 
     function clearData() {
         workbook = null;
         sheetNames = [];
         currentSheet = '';
+        fileFingerprint = '';
+        markEdited(false);
+        useLocale({ preset: 'auto' });
         parsedData = [];
         columns = [];
+        sheetLayout = {};
+        sheetHeader = null;
+        joins = [];
+        joinPlan = null;
         currentMapping = {};
         manualOverrides = {};
+        resetStepMappings();
         currentRowIndex = 0;
+        rowSelection = emptySelection();
+        selectedRows = null;
+        resetPreflight();
+        closeDryRun();
 
         $('#file-info').style.display = 'none';
         $('#data-preview').style.display = 'none';
         $('#upload-area').style.display = '';
+        $('#paste-box').style.display = '';
+        $('#paste-input').value = '';
         $('#sheet-selector-container').style.display = 'none';
         $('#file-input').value = '';
+        $('#checkpoint-panel').style.display = 'none';
 
         renderMappingGrid();
+        forgetSession();
         setStatus('Data cleared', 'success');
     }
 
@@ -790,13 +3005,12 @@
 
     /* ═══════ Utilities ═══════ */
 
-    function readFileAsBinary(file) {
-        return new Promise((resolve, reject) => {
-            const reader = new FileReader();
-            reader.onload = (e) => resolve(e.target.result);
-            reader.onerror = reject;
-            reader.readAsBinaryString(file);
-        });
+    /** Short content hash of a file — stable across renames and browser restarts */
+    async function fingerprint(buffer) {
+        const digest = await crypto.subtle.digest('SHA-256', buffer);
+        return Array.from(new Uint8Array(digest).slice(0, 8))
+            .map(b => b.toString(16).padStart(2, '0'))
+            .join('');
     }
 
     function formatSize(bytes) {
@@ -0,0 +1,257 @@
+/**
+ * Sheet grid — the popup's scrollable view of every row.
+ * Only the rows in view are in the DOM, so a 50k-row sheet scrolls like a
+ * 5-row one. Cells edit in place (double-click; Enter or Tab commits,
+ * Escape cancels), a tick box per row feeds the row selection and the
+ * navigator's row is highlighted. The grid owns no data: it reads cells and
+ * reports picks, clicks and edits through the hooks it is created with.
+ */
+const SheetGrid = (() => {
+    const ROW_HEIGHT = 26;     // px; must match .grid-row in styles.css
+    const OVERSCAN = 6;        // Rows rendered beyond each edge of the view
+    const PICK_WIDTH = 28;
+    const NUMBER_WIDTH = 52;
+    const CELL_WIDTH = 130;
+
+    /** Cell text as shown and edited — local dates as ISO, with the time only when there is one */
+    function display(value) {
+        if (value instanceof Date) {
+            return Locale.formatDate(value, value.getHours() || value.getMinutes() ? 'YYYY-MM-DD HH:mm' : 'YYYY-MM-DD');
+        }
+        return value === null || value === undefined ? '' : String(value);
+    }
+
+    function el(tag, className, text) {
+        const node = document.createElement(tag);
+        if (className) node.className = className;
+        if (text !== undefined) node.textContent = text;
+        return node;
+    }
+
+    /**
+     * Build a grid inside a container, replacing its content.
+     * @param {HTMLElement} viewport - Scrolling container; its CSS height sets the rows in view
+     * @param {Object} hooks
+     * @param {function(number, string): *} hooks.cell - Value of a row's column
+     * @param {function(number): boolean} hooks.isPicked - Whether a row is ticked
+     * @param {function(number[], boolean)} hooks.onPick - Rows ticked (true) or unticked
+     * @param {function(number)} hooks.onSelect - Row clicked
+     * @param {function(number, string, string)} hooks.onEdit - Cell changed to a new text
+     * @returns {{ setData: function(string[], number[]), setCurrent: function(number) }}
+     */
+    function create(viewport, hooks) {
+        let columns = [];
+        let indices = [];     // Row indices, in display order
+        let current = -1;     // Highlighted row
+        let editing = null;   // { index, col, input, original }
+        let shown = { first: 0, last: 0 };   // Slice of indices in the DOM
+        let frame = null;
+
+        viewport.textContent = '';
+        viewport.classList.add('sheet-grid');
+        const header = el('div', 'grid-row grid-header');
+        const body = el('div', 'grid-body');
+        const rowsBox = el('div', 'grid-rows');
+        body.appendChild(rowsBox);
+        viewport.append(header, body);
+
+        /* ───── rendering ───── */
+
+        function renderHeader() {
+            header.textContent = '';
+            const pickAll = el('input');
+            pickAll.type = 'checkbox';
+            pickAll.title = 'Tick or untick every row listed';
+            pickAll.checked = indices.length > 0 && indices.every(i => hooks.isPicked(i));
+            const pickCell = el('div', 'grid-cell grid-pick');
+            pickCell.appendChild(pickAll);
+            header.append(pickCell, el('div', 'grid-cell grid-number', '#'));
+            columns.forEach(col => {
+                const cell = el('div', 'grid-cell', col);
+                cell.title = col;
+                header.appendChild(cell);
+            });
+        }
+
+        function renderRow(index) {
+            const row = el('div', 'grid-row');
+            row.dataset.row = index;
+            const picked = hooks.isPicked(index);
+            row.classList.toggle('unpicked', !picked);
+            row.classList.toggle('current', index === current);
+
+            const box = el('input');
+            box.type = 'checkbox';
+            box.checked = picked;
+            const pickCell = el('div', 'grid-cell grid-pick');
+            pickCell.appendChild(box);
+            row.append(pickCell, el('div', 'grid-cell grid-number', String(index + 1)));
+
+            columns.forEach((col, c) => {
+                const text = display(hooks.cell(index, col));
+                const cell = el('div', 'grid-cell', text);
+                cell.dataset.col = c;
+                cell.title = text;
+                row.appendChild(cell);
+            });
+            return row;
+        }
+
+        /**
+         * Lay out the rows in view; the body keeps the full height so the scrollbar is true.
+         * An open editor survives scrolling until its row would be re-rendered.
+         */
+        function render() {
+            frame = null;
+            const first = Math.max(0, Math.floor(viewport.scrollTop / ROW_HEIGHT) - OVERSCAN);
+            const count = Math.ceil(viewport.clientHeight / ROW_HEIGHT) + OVERSCAN * 2;
+            const last = Math.min(indices.length, first + count);
+            if (editing) {
+                if (first === shown.first && last === shown.last) return;
+                commitEdit();
+            }
+            shown = { first, last };
+
+            rowsBox.style.transform = `translateY(${first * ROW_HEIGHT}px)`;
+            const fragment = document.createDocumentFragment();
+            for (let k = first; k < last; k++) fragment.appendChild(renderRow(indices[k]));
+            rowsBox.textContent = '';
+            rowsBox.appendChild(fragment);
+        }
+
+        function schedule() {
+            if (frame === null) frame = requestAnimationFrame(render);
+        }
+
+        function layout() {
+            const width = PICK_WIDTH + NUMBER_WIDTH + columns.length * CELL_WIDTH;
+            viewport.style.setProperty('--grid-columns',
+                `${PICK_WIDTH}px ${NUMBER_WIDTH}px repeat(${columns.length}, ${CELL_WIDTH}px)`);
+            header.style.width = `${width}px`;
+            body.style.width = `${width}px`;
+            body.style.height = `${indices.length * ROW_HEIGHT}px`;
+        }
+
+        /* ───── editing ───── */
+
+        function cellElement(index, col) {
+            return rowsBox.querySelector(`.grid-row[data-row="${index}"] .grid-cell[data-col="${col}"]`);
+        }
+
+        function startEdit(index, col) {
+            if (editing) commitEdit();
+            if (col < 0 || col >= columns.length) return;
+            scrollTo(index);
+            render();
+            const cell = cellElement(index, col);
+            if (!cell) return;
+
+            const original = display(hooks.cell(index, columns[col]));
+            const input = el('input', 'grid-editor');
+            input.value = original;
+            cell.textContent = '';
+            cell.appendChild(input);
+            editing = { index, col, input, original };
+            input.focus();
+            input.select();
+
+            input.addEventListener('keydown', (e) => {
+                if (e.key === 'Enter') {
+                    e.preventDefault();
+                    commitEdit();
+                    render();
+                } else if (e.key === 'Escape') {
+                    e.preventDefault();
+                    editing = null;
+                    render();
+                } else if (e.key === 'Tab') {
+                    e.preventDefault();
+                    commitEdit();
+                    startEdit(index, col + (e.shiftKey ? -1 : 1));
+                }
+            });
+            input.addEventListener('blur', () => {
+                if (editing?.input !== input) return;
+                commitEdit();
+                render();
+            });
+        }
+
+        /** Hand the edit to the owner; a refused edit simply re-renders the old value */
+        function commitEdit() {
+            const edit = editing;
+            editing = null;
+            if (edit && edit.input.value !== edit.original) {
+                hooks.onEdit(edit.index, columns[edit.col], edit.input.value);
+            }
+        }
+
+        /* ───── events ───── */
+
+        viewport.addEventListener('scroll', schedule, { passive: true });
+
+        header.addEventListener('change', (e) => {
+            if (e.target.type !== 'checkbox') return;
+            hooks.onPick(indices.slice(), e.target.checked);
+            render();
+        });
+
+        rowsBox.addEventListener('change', (e) => {
+            const row = e.target.closest('.grid-row');
+            if (e.target.type !== 'checkbox' || !row) return;
+            hooks.onPick([Number(row.dataset.row)], e.target.checked);
+            row.classList.toggle('unpicked', !e.target.checked);
+            renderHeader();
+        });
+
+        rowsBox.addEventListener('click', (e) => {
+            const row = e.target.closest('.grid-row');
+            if (!row || e.target.type === 'checkbox' || e.target.classList.contains('grid-editor')) return;
+            hooks.onSelect(Number(row.dataset.row));
+        });
+
+        rowsBox.addEventListener('dblclick', (e) => {
+            const cell = e.target.closest('.grid-cell[data-col]');
+            if (!cell) return;
+            startEdit(Number(cell.closest('.grid-row').dataset.row), Number(cell.dataset.col));
+        });
+
+        /* ───── public ───── */
+
+        /** Bring a row into view, scrolling as little as possible */
+        function scrollTo(index) {
+            const pos = indices.indexOf(index);
+            if (pos < 0) return;
+            const top = pos * ROW_HEIGHT;
+            const view = viewport.clientHeight - header.offsetHeight;
+            if (top < viewport.scrollTop) viewport.scrollTop = top;
+            else if (top + ROW_HEIGHT > viewport.scrollTop + view) viewport.scrollTop = top + ROW_HEIGHT - view;
+        }
+
+        /**
+         * Show a new set of rows.
+         * @param {string[]} cols - Columns, in order
+         * @param {number[]} rows - Row indices, in display order
+         */
+        function setData(cols, rows) {
+            editing = null;
+            columns = cols;
+            indices = rows;
+            layout();
+            renderHeader();
+            render();
+        }
+
+        /** Highlight the navigator's row and scroll it into view */
+        function setCurrent(index) {
+            current = index;
+            rowsBox.querySelectorAll('.grid-row.current').forEach(row => row.classList.remove('current'));
+            rowsBox.querySelector(`.grid-row[data-row="${index}"]`)?.classList.add('current');
+            scrollTo(index);
+        }
+
+        return { setData, setCurrent };
+    }
+
+    return { create, display };
+})();
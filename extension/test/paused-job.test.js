@@ -0,0 +1,113 @@
+/**
+ * Background worker: a paused job must not resume over rows deleted in the meantime.
+ * Run with `node --test extension/test/` — loads the worker and Storage with an
+ * in-memory chrome.storage and a runner that fills one row per tick.
+ */
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('node:fs');
+const path = require('node:path');
+const vm = require('node:vm');
+
+const ROOT = path.join(__dirname, '..');
+
+function memoryArea() {
+    const data = {};
+    const copy = (value) => JSON.parse(JSON.stringify(value));
+    const pick = (keys) => Object.fromEntries([].concat(keys).filter(k => k in data).map(k => [k, copy(data[k])]));
+    return {
+        data,
+        get: (keys, callback) => (callback ? callback(pick(keys)) : Promise.resolve(pick(keys))),
+        set: (items, callback) => {
+            Object.assign(data, copy(items));
+            return callback ? callback() : Promise.resolve();
+        },
+        remove: (keys, callback) => {
+            [].concat(keys).forEach(k => delete data[k]);
+            return callback ? callback() : Promise.resolve();
+        }
+    };
+}
+
+/** The worker in a fresh context; `filled` lists the rows its runner was asked to fill */
+function loadWorker() {
+    const filled = [];
+    let stopped = false;
+    const context = {
+        console, setTimeout, clearTimeout, setInterval, clearInterval,
+        importScripts() {},
+        Logger: { log() {}, error() {} },
+        SessionStore: {},
+        FileStore: {},
+        chrome: {
+            storage: { local: memoryArea(), session: memoryArea() },
+            runtime: {
+                onConnect: { addListener() {} },
+                onMessage: { addListener(listener) { context.listener = listener; } },
+                onStartup: { addListener() {} },
+                getPlatformInfo() {}
+            },
+            action: { setBadgeText() {}, setBadgeBackgroundColor() {} },
+            alarms: { onAlarm: { addListener() {} } },
+            tabs: { get: async () => ({ url: 'https://example.test/form' }), sendMessage: async () => ({}) }
+        },
+        Runner: {
+            isRunning: () => false,
+            stop() { stopped = true; },
+            async run({ indices, onProgress }) {
+                stopped = false;
+                for (const row of indices) {
+                    await new Promise(resolve => setTimeout(resolve, 5));
+                    if (stopped) return { stopped: true };
+                    filled.push(row);
+                    onProgress({ row, result: { success: true, filled: 1, skipped: 0, errors: [] } });
+                }
+                return { stopped: false };
+            }
+        }
+    };
+    vm.createContext(context);
+    vm.runInContext(`${fs.readFileSync(path.join(ROOT, 'utils/storage.js'), 'utf8')}\nthis.Storage = Storage;`, context);
+    vm.runInContext(fs.readFileSync(path.join(ROOT, 'background/background.js'), 'utf8'), context);
+    const send = (request) => new Promise(resolve => context.listener(request, {}, resolve));
+    return { context, send, filled };
+}
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+const KEY = 'file::Sheet1';
+
+async function startAndPause(worker) {
+    const rows = [{ Name: 'A' }, { Name: 'B' }, { Name: 'C' }, { Name: 'D' }];
+    await worker.send({ action: 'startJob', tabId: 1, rows, mapping: {}, checkpointKey: KEY });
+    await sleep(8);
+    await worker.send({ action: 'pauseJob' });
+    await sleep(10);
+}
+
+test('a paused job resumes where it stopped when the sheet is unchanged', async () => {
+    const worker = loadWorker();
+    await startAndPause(worker);
+    assert.deepStrictEqual(worker.filled, [0]);
+
+    const response = await worker.send({ action: 'resumeJob' });
+    assert.strictEqual(response.success, true);
+    await sleep(40);
+    assert.deepStrictEqual(worker.filled, [0, 1, 2, 3]);
+});
+
+test('a paused job does not resume after a row was deleted', async () => {
+    const worker = loadWorker();
+    await startAndPause(worker);
+
+    // What the popup's row delete does to the checkpoint: row 1 is dropped, the rest move up
+    const Storage = worker.context.Storage;
+    const checkpoint = await Storage.getCheckpoint(KEY);
+    checkpoint.rows.splice(1, 1);
+    await Storage.saveCheckpoint(KEY, checkpoint);
+
+    const response = await worker.send({ action: 'resumeJob' });
+    assert.strictEqual(response.success, false);
+    await sleep(40);
+    assert.deepStrictEqual(worker.filled, [0]);
+    assert.deepStrictEqual((await Storage.getCheckpoint(KEY)).rows, ['filled', 'pending', 'pending']);
+});
@@ -0,0 +1,244 @@
+/**
+ * Data sources — turns whatever the data arrives as into a SheetJS workbook,
+ * so the rest of the popup (SheetLayout, the grid, Exporter) sees one shape.
+ * Spreadsheets (.xlsx, .xls, .ods) go straight to SheetJS. Delimited text
+ * (.csv, .tsv, .txt, clipboard paste) is decoded and split here, with the
+ * encoding and delimiter detected, and every cell kept as the text it was —
+ * Locale reads dates and numbers the file's way later. JSON arrays and
+ * NDJSON become one row per record, nested objects flattened ("address.city").
+ */
+const DataSource = (() => {
+    const EXTENSIONS = ['.xlsx', '.xls', '.ods', '.csv', '.tsv', '.txt', '.json', '.ndjson', '.jsonl'];
+    const SPREADSHEETS = ['.xlsx', '.xls', '.ods'];
+
+    /** Delimiters tried on text, with the names shown for them */
+    const DELIMITERS = { ',': 'comma', ';': 'semicolon', '\t': 'tab', '|': 'pipe' };
+
+    /** Text sampled to pick a delimiter */
+    const SAMPLE_CHARS = 64 * 1024;
+
+    const isRecord = (v) => v !== null && typeof v === 'object' && !Array.isArray(v) && !(v instanceof Date);
+
+    function extensionOf(name) {
+        const dot = String(name || '').lastIndexOf('.');
+        return dot < 0 ? '' : name.slice(dot).toLowerCase();
+    }
+
+    function book(aoa, sheetName = 'Sheet1') {
+        const workbook = XLSX.utils.book_new();
+        XLSX.utils.book_append_sheet(workbook, XLSX.utils.aoa_to_sheet(aoa), sheetName);
+        return workbook;
+    }
+
+    /* ───── text ───── */
+
+    /**
+     * Decode file bytes: a byte-order mark wins, then UTF-16 by its zero bytes,
+     * then UTF-8 if the bytes are valid UTF-8, else Windows-1252 (Excel's
+     * "CSV" on Western Windows).
+     * @param {Uint8Array} bytes
+     * @returns {{ text: string, encoding: string }}
+     */
+    function decodeText(bytes) {
+        const decode = (label, from = 0) => new TextDecoder(label).decode(bytes.subarray(from));
+        if (bytes[0] === 0xEF && bytes[1] === 0xBB && bytes[2] === 0xBF) return { text: decode('utf-8', 3), encoding: 'UTF-8' };
+        if (bytes[0] === 0xFF && bytes[1] === 0xFE) return { text: decode('utf-16le', 2), encoding: 'UTF-16' };
+        if (bytes[0] === 0xFE && bytes[1] === 0xFF) return { text: decode('utf-16be', 2), encoding: 'UTF-16' };
+
+        // Without a mark, ASCII-heavy UTF-16 has a zero in every other byte
+        const sample = bytes.subarray(0, 1024);
+        let evenZeros = 0, oddZeros = 0;
+        sample.forEach((b, i) => { if (b === 0) i % 2 ? oddZeros++ : evenZeros++; });
+        if (oddZeros > sample.length / 4) return { text: decode('utf-16le'), encoding: 'UTF-16' };
+        if (evenZeros > sample.length / 4) return { text: decode('utf-16be'), encoding: 'UTF-16' };
+
+        try {
+            return { text: new TextDecoder('utf-8', { fatal: true }).decode(bytes), encoding: 'UTF-8' };
+        } catch {
+            return { text: decode('windows-1252'), encoding: 'Windows-1252' };
+        }
+    }
+
+    /**
+     * Split delimited text into rows of cells. Quotes follow RFC 4180:
+     * a quoted cell may hold delimiters, line breaks and doubled quotes.
+     * @param {string} text
+     * @param {string} delimiter
+     * @returns {string[][]}
+     */
+    function parseDelimited(text, delimiter) {
+        const rows = [];
+        let row = [];
+        let cell = '';
+        let quoted = false;
+        let start = 0;   // Start of the unquoted run being collected
+
+        for (let i = 0; i < text.length; i++) {
+            const ch = text[i];
+            if (quoted) {
+                if (ch !== '"') continue;
+                cell += text.slice(start, i);
+                if (text[i + 1] === '"') {
+                    cell += '"';
+                    i++;
+                } else {
+                    quoted = false;
+                }
+                start = i + 1;
+            } else if (ch === '"' && cell === '' && i === start) {
+                quoted = true;
+                start = i + 1;
+            } else if (ch === delimiter || ch === '\n' || ch === '\r') {
+                row.push(cell + text.slice(start, i));
+                cell = '';
+                if (ch !== delimiter) {
+                    rows.push(row);
+                    row = [];
+                    if (ch === '\r' && text[i + 1] === '\n') i++;
+                }
+                start = i + 1;
+            }
+        }
+        const rest = cell + text.slice(start);
+        if (rest !== '' || row.length > 0) {
+            row.push(rest);
+            rows.push(row);
+        }
+        return rows;
+    }
+
+    /**
+     * Pick the delimiter that splits the opening rows into the same number
+     * of cells most consistently. Excel's "sep=;" first line is honoured.
+     * @param {string} text
+     * @param {string} [preferred] - Wins ties, e.g. tab for .tsv and pastes
+     * @returns {string}
+     */
+    function detectDelimiter(text, preferred = ',') {
+        const hint = text.match(/^sep=(.)\r?\n/);
+        if (hint) return hint[1];
+
+        let sample = text.slice(0, SAMPLE_CHARS);
+        if (text.length > SAMPLE_CHARS) sample = sample.slice(0, sample.lastIndexOf('\n') + 1) || sample;
+
+        let best = { delimiter: preferred, score: 0, width: 1 };
+        Object.keys(DELIMITERS).forEach(delimiter => {
+            const widths = parseDelimited(sample, delimiter)
+                .filter(row => row.some(cell => cell.trim() !== ''))
+                .map(row => row.length);
+            if (widths.length === 0) return;
+            const counts = {};
+            widths.forEach(w => { counts[w] = (counts[w] || 0) + 1; });
+            const [width, hits] = Object.entries(counts).sort((a, b) => b[1] - a[1] || b[0] - a[0])[0];
+            if (Number(width) < 2) return;
+            const score = hits / widths.length;
+            const better = score > best.score ||
+                (score === best.score && (Number(width) > best.width || (Number(width) === best.width && delimiter === preferred)));
+            if (better) best = { delimiter, score, width: Number(width) };
+        });
+        return best.delimiter;
+    }
+
+    /**
+     * Workbook from delimited text — a file's contents or a clipboard paste.
+     * @param {string} text
+     * @param {Object} [options]
+     * @param {string} [options.delimiter] - Detected when not given
+     * @param {string} [options.preferred] - Delimiter that wins a detection tie
+     * @param {string} [options.sheetName]
+     * @returns {{ workbook: Object, delimiter: string }}
+     */
+    function fromText(text, options = {}) {
+        const delimiter = options.delimiter || detectDelimiter(text, options.preferred);
+        const body = text.replace(/^sep=.\r?\n/, '');
+        return { workbook: book(parseDelimited(body, delimiter), options.sheetName), delimiter };
+    }
+
+    /* ───── JSON ───── */
+
+    /** Nested objects become dotted columns; lists of plain values are joined like multi-file cells */
+    function flatten(record, prefix = '', out = {}) {
+        Object.entries(record).forEach(([key, value]) => {
+            const name = prefix ? `${prefix}.${key}` : key;
+            if (isRecord(value)) flatten(value, name, out);
+            else if (Array.isArray(value)) out[name] = value.some(v => v !== null && typeof v === 'object') ? JSON.stringify(value) : value.join('; ');
+            else out[name] = value ?? '';
+        });
+        return out;
+    }
+
+    /**
+     * Workbook from parsed records: objects (columns in order of first
+     * appearance) or arrays of cells (the first one the header).
+     * @param {Array<Object|Array>} records
+     * @param {string} [sheetName]
+     * @returns {Object} workbook
+     */
+    function fromRecords(records, sheetName) {
+        if (records.length > 0 && records.every(Array.isArray)) return book(records, sheetName);
+
+        const rows = records.map(record => isRecord(record) ? flatten(record) : { value: record });
+        const header = [];
+        const seen = new Set();
+        rows.forEach(row => Object.keys(row).forEach(key => {
+            if (!seen.has(key)) {
+                seen.add(key);
+                header.push(key);
+            }
+        }));
+        return book([header, ...rows.map(row => header.map(key => row[key] ?? ''))], sheetName);
+    }
+
+    /** The records in a JSON document: the array itself, or the first array of records inside an API envelope */
+    function recordsOf(data) {
+        if (Array.isArray(data)) return data;
+        if (isRecord(data)) {
+            const list = Object.values(data).find(v => Array.isArray(v) && v.some(isRecord));
+            return list || [data];
+        }
+        throw new Error('JSON holds no records');
+    }
+
+    /** One JSON value per non-blank line */
+    function parseLines(text) {
+        return text.split(/\r?\n/).reduce((records, line, i) => {
+            if (line.trim() === '') return records;
+            try {
+                records.push(JSON.parse(line));
+            } catch (err) {
+                throw new Error(`Line ${i + 1} is not JSON: ${err.message}`);
+            }
+            return records;
+        }, []);
+    }
+
+    /* ───── files ───── */
+
+    /**
+     * Read a file into a workbook.
+     * @param {ArrayBuffer} buffer - File contents
+     * @param {string} name - File name; its extension picks the reader
+     * @returns {{ workbook: Object, details: string }} details says what was detected, e.g. "semicolon · Windows-1252"
+     * @throws {Error} on an unsupported extension or malformed JSON
+     */
+    function read(buffer, name) {
+        const ext = extensionOf(name);
+        if (!EXTENSIONS.includes(ext)) throw new Error(`Unsupported file type: ${ext || name}`);
+        const bytes = new Uint8Array(buffer);
+
+        if (SPREADSHEETS.includes(ext)) {
+            return { workbook: XLSX.read(bytes, { type: 'array', cellDates: true }), details: '' };
+        }
+
+        const { text, encoding } = decodeText(bytes);
+        if (ext === '.json' || ext === '.ndjson' || ext === '.jsonl') {
+            const records = ext === '.json' ? recordsOf(JSON.parse(text)) : parseLines(text);
+            return { workbook: fromRecords(records), details: `${records.length} records · ${encoding}` };
+        }
+
+        const { workbook, delimiter } = fromText(text, { preferred: ext === '.tsv' ? '\t' : ',' });
+        return { workbook, details: `${DELIMITERS[delimiter] || `"${delimiter}"`}-separated · ${encoding}` };
+    }
+
+    return { read, fromText, fromRecords, decodeText, detectDelimiter, parseDelimited, EXTENSIONS };
+})();
@@ -0,0 +1,103 @@
+/**
+ * Composite selectors that reach into open shadow roots and same-origin frames.
+ * A composite selector is a chain of CSS selectors joined by " >>> "; each link
+ * is resolved inside the shadow root or frame document of the element the
+ * previous link matched:
+ *
+ *   my-form >>> #email                  — input inside <my-form>'s shadow root
+ *   iframe#checkout >>> input[name=card] — input inside a same-origin frame
+ *
+ * Plain CSS selectors are valid composite selectors with a single link.
+ */
+const DomPath = (() => {
+    const SEPARATOR = ' >>> ';
+
+    /** Shadow root or frame document an element opens onto, if it can be reached */
+    function innerRoot(element) {
+        if (element.shadowRoot) return element.shadowRoot;
+        if (element.tagName === 'IFRAME' || element.tagName === 'FRAME') {
+            try {
+                return element.contentDocument || null;
+            } catch (_) {
+                return null;   // Cross-origin
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Resolve a composite selector.
+     * @param {string} selector
+     * @param {Document|ShadowRoot} [root=document]
+     * @returns {Element|null}
+     */
+    function query(selector, root = document) {
+        const links = String(selector).split(SEPARATOR);
+        let scope = root;
+        for (let i = 0; i < links.length; i++) {
+            let element;
+            try {
+                element = scope.querySelector(links[i]);
+            } catch (_) {
+                return null;   // Invalid CSS
+            }
+            if (!element || i === links.length - 1) return element;
+            scope = innerRoot(element);
+            if (!scope) return null;
+        }
+        return null;
+    }
+
+    /**
+     * Every reachable root: the document, open shadow roots (nested too)
+     * and same-origin frame documents.
+     * @returns {Array<Document|ShadowRoot>}
+     */
+    function roots(root = document) {
+        const found = [root];
+        for (let i = 0; i < found.length; i++) {
+            found[i].querySelectorAll('*').forEach(el => {
+                const inner = innerRoot(el);
+                if (inner) found.push(inner);
+            });
+        }
+        return found;
+    }
+
+    /**
+     * querySelectorAll across every reachable root.
+     * @param {string} css - Plain CSS selector
+     * @returns {Element[]}
+     */
+    function queryAll(css, root = document) {
+        return roots(root).flatMap(r => Array.from(r.querySelectorAll(css)));
+    }
+
+    /**
+     * Element an element's root hangs off — the shadow host or the frame
+     * element — or null for elements in the top document.
+     */
+    function hostOf(element) {
+        const root = element.getRootNode();
+        if (root.nodeType === Node.DOCUMENT_FRAGMENT_NODE && root.host) return root.host;
+        if (root.nodeType === Node.DOCUMENT_NODE && root !== document) {
+            try {
+                return root.defaultView?.frameElement || null;
+            } catch (_) {
+                return null;
+            }
+        }
+        return null;
+    }
+
+    /** Append a link to a composite selector */
+    function join(hostSelector, selector) {
+        return hostSelector ? hostSelector + SEPARATOR + selector : selector;
+    }
+
+    function isComposite(selector) {
+        return String(selector).includes(SEPARATOR);
+    }
+
+    return { query, queryAll, roots, hostOf, join, isComposite, SEPARATOR };
+})();
@@ -0,0 +1,173 @@
+/**
+ * Local attachment store.
+ * Files loaded alongside the spreadsheet (a folder or a zip) for file upload
+ * fields. They live in the extension's IndexedDB — chrome.storage is too
+ * small for CVs and scans — where both the popup and the service worker can
+ * read them; the content script asks the service worker for the files a row
+ * needs (see background.js, getAttachments).
+ */
+const FileStore = (() => {
+    const DB_NAME = 'gexcel-attachments';
+    const STORE = 'files';
+
+    /** MIME types for files read out of a zip, which carries none */
+    const MIME_TYPES = {
+        pdf: 'application/pdf',
+        png: 'image/png',
+        jpg: 'image/jpeg',
+        jpeg: 'image/jpeg',
+        gif: 'image/gif',
+        webp: 'image/webp',
+        txt: 'text/plain',
+        csv: 'text/csv',
+        doc: 'application/msword',
+        docx: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+        xls: 'application/vnd.ms-excel',
+        xlsx: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+        zip: 'application/zip'
+    };
+
+    /** Cell values naming several files: "cv.pdf; cover letter.pdf" */
+    const NAME_SEPARATOR = /\s*[;\n]\s*/;
+
+    /* ───── IndexedDB ───── */
+
+    function open() {
+        return new Promise((resolve, reject) => {
+            const request = indexedDB.open(DB_NAME, 1);
+            request.onupgradeneeded = () => request.result.createObjectStore(STORE, { keyPath: 'key' });
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    async function transact(mode, work) {
+        const db = await open();
+        return new Promise((resolve, reject) => {
+            const tx = db.transaction(STORE, mode);
+            const result = work(tx.objectStore(STORE));
+            tx.oncomplete = () => {
+                db.close();
+                resolve(result && 'result' in result ? result.result : undefined);
+            };
+            tx.onerror = () => {
+                db.close();
+                reject(tx.error);
+            };
+        });
+    }
+
+    /* ───── names ───── */
+
+    /** Lookup key: case-insensitive, forward slashes */
+    function keyOf(name) {
+        return String(name || '').trim().replace(/\\/g, '/').replace(/^\.?\//, '').toLowerCase();
+    }
+
+    function baseName(path) {
+        return String(path).split('/').pop();
+    }
+
+    function mimeType(name) {
+        const ext = baseName(name).split('.').pop().toLowerCase();
+        return MIME_TYPES[ext] || 'application/octet-stream';
+    }
+
+    /**
+     * File names in a cell.
+     * @param {*} value
+     * @returns {string[]}
+     */
+    function namesIn(value) {
+        if (value === null || value === undefined) return [];
+        return String(value).split(NAME_SEPARATOR).map(n => n.trim()).filter(Boolean);
+    }
+
+    /**
+     * Find a file by the name a cell gives: a path relative to the folder or
+     * zip root, or just the file name.
+     * @param {Object[]} records - [{ key, path, name }]
+     * @param {string} name
+     */
+    function find(records, name) {
+        const key = keyOf(name);
+        return records.find(r => r.key === key)
+            || records.find(r => r.name.toLowerCase() === baseName(key));
+    }
+
+    /* ───── reading sources ───── */
+
+    /**
+     * Records for files picked from a folder (<input webkitdirectory>) or one by one.
+     * The picked folder's own name is dropped from paths.
+     * @param {FileList|File[]} files
+     */
+    function fromFiles(files) {
+        return Array.from(files).map(file => {
+            const relative = file.webkitRelativePath || file.name;
+            const path = relative.includes('/') ? relative.split('/').slice(1).join('/') : relative;
+            return { key: keyOf(path), path, name: file.name, type: file.type || mimeType(file.name), size: file.size, blob: file };
+        });
+    }
+
+    /**
+     * Records for the files inside a zip, read with the CFB reader bundled in SheetJS.
+     * @param {ArrayBuffer} data
+     */
+    function fromZip(data) {
+        const archive = XLSX.CFB.read(new Uint8Array(data), { type: 'array' });
+        const records = [];
+        archive.FileIndex.forEach((entry, i) => {
+            if (entry.type !== 2 || !entry.content) return;   // Folders
+            const path = archive.FullPaths[i].replace(/^Root Entry\//, '');
+            // SheetJS's marker entry and macOS metadata
+            if (entry.name.endsWith('Sh33tJ5') || path.startsWith('__MACOSX/') || entry.name === '.DS_Store') return;
+            const type = mimeType(path);
+            records.push({
+                key: keyOf(path), path, name: baseName(path), type,
+                size: entry.content.length,
+                blob: new Blob([entry.content], { type })
+            });
+        });
+        return records;
+    }
+
+    /* ───── store ───── */
+
+    /** Replace the stored attachments */
+    function replace(records) {
+        return transact('readwrite', store => {
+            store.clear();
+            records.forEach(r => store.put(r));
+        });
+    }
+
+    function clear() {
+        return transact('readwrite', store => store.clear());
+    }
+
+    /** Stored attachments without their content: [{ key, path, name, type, size }] */
+    async function list() {
+        const records = await transact('readonly', store => store.getAll()) || [];
+        return records.map(({ blob, ...meta }) => meta);
+    }
+
+    /**
+     * Look up files by the names cells give.
+     * @param {string[]} names
+     * @returns {Promise<{ files: Object[], missing: string[] }>} files are full records (with blob)
+     */
+    async function get(names) {
+        const records = await transact('readonly', store => store.getAll()) || [];
+        const files = [];
+        const missing = [];
+        names.forEach(name => {
+            const record = find(records, name);
+            if (record) files.push(record);
+            else missing.push(name);
+        });
+        return { files, missing };
+    }
+
+    return { fromFiles, fromZip, replace, clear, list, get, find, namesIn, mimeType };
+})();
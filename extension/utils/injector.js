@@ -0,0 +1,65 @@
+/**
+ * Content-script injection helper.
+ * Keeps the list of page scripts in one place so every context that
+ * drives a tab (popup, batch runner) injects the same bundle.
+ */
+const Injector = (() => {
+    /** Files injected into the page, in load order */
+    const CONTENT_SCRIPTS = [
+        'utils/logger.js',
+        'utils/synonyms.js',
+        'utils/dompath.js',
+        'utils/filestore.js',
+        'utils/locale.js',
+        'core/validator.js',
+        'core/transformer.js',
+        'core/splitter.js',
+        'core/keyboard.js',
+        'content/widgets.js',
+        'content/adapters/react-select.js',
+        'content/adapters/mui-autocomplete.js',
+        'content/adapters/angular-material.js',
+        'content/adapters/select2.js',
+        'content/adapters/flatpickr.js',
+        'content/adapters/aria-combobox.js',
+        'core/filler.js',
+        'content/detector.js',
+        'content/overlay.js',
+        'content/content.js'
+    ];
+
+    /**
+     * Check whether the content scripts already answer in a tab.
+     * @param {number} tabId
+     * @returns {Promise<boolean>}
+     */
+    async function isInjected(tabId) {
+        const pong = await chrome.tabs.sendMessage(tabId, { action: 'ping' }).catch(() => null);
+        return !!(pong && pong.ready);
+    }
+
+    /**
+     * Make sure the content scripts are running in a tab, injecting them if needed.
+     * Safe to call after every navigation — a fresh page has lost them.
+     * @param {number} tabId
+     * @returns {Promise<boolean>} false if the page cannot be scripted
+     */
+    async function ensure(tabId) {
+        if (await isInjected(tabId)) return true;
+
+        try {
+            await chrome.scripting.executeScript({
+                target: { tabId },
+                files: CONTENT_SCRIPTS
+            });
+            // Small delay to let scripts initialize
+            await new Promise(r => setTimeout(r, 200));
+            return true;
+        } catch (err) {
+            Logger.error('Script injection failed:', err);
+            return false;
+        }
+    }
+
+    return { ensure, isInjected, CONTENT_SCRIPTS };
+})();
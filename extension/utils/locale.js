@@ -0,0 +1,335 @@
+/**
+ * Source-locale parsing for dates and numbers.
+ * A sheet's locale decides how "03/04/2025" and "1.234,56" are read: the
+ * order of day and month, the thousands and decimal separators. Values are
+ * read here and formatted for the target field by the validator.
+ *
+ * Options (saved per file or with a site profile):
+ *   { preset, dateFormat?, thousands?, decimal?, currency? }
+ * Empty dateFormat / thousands / decimal come from the preset; currency:
+ * false keeps currency symbols (the number is then invalid).
+ */
+const Locale = (() => {
+    const MONTHS = ['January', 'February', 'March', 'April', 'May', 'June',
+        'July', 'August', 'September', 'October', 'November', 'December'];
+
+    /** Excel epoch: 1900-01-01, but Excel has a bug treating 1900 as a leap year */
+    const EXCEL_EPOCH = [1899, 11, 30];
+    const DAY_MS = 86400000;
+    /** Largest Excel serial date (9999-12-31) */
+    const MAX_SERIAL = 2958465;
+
+    /**
+     * Date patterns are tried in order; D and M take one or two digits.
+     * 'auto' keeps the browser's reading (US month/day order).
+     */
+    const PRESETS = {
+        auto: { label: 'Auto (browser)', dates: [], thousands: '', decimal: '' },
+        'en-US': { label: 'English (US) — 12/31/2025 · 1,234.56', dates: ['M/D/YYYY', 'M-D-YYYY', 'M/D/YY'], thousands: ',', decimal: '.' },
+        'en-GB': { label: 'English (UK) — 31/12/2025 · 1,234.56', dates: ['D/M/YYYY', 'D-M-YYYY', 'D.M.YYYY', 'D/M/YY'], thousands: ',', decimal: '.' },
+        'en-IN': { label: 'English (India) — 31-12-2025 · 1,23,456.78', dates: ['D-M-YYYY', 'D/M/YYYY', 'D.M.YYYY', 'D-M-YY'], thousands: ',', decimal: '.' },
+        'de-DE': { label: 'Deutsch — 31.12.2025 · 1.234,56', dates: ['D.M.YYYY', 'D.M.YY'], thousands: '.', decimal: ',' },
+        'de-CH': { label: 'Schweiz — 31.12.2025 · 1\'234.56', dates: ['D.M.YYYY', 'D.M.YY'], thousands: '\'', decimal: '.' },
+        'fr-FR': { label: 'Français — 31/12/2025 · 1 234,56', dates: ['D/M/YYYY', 'D-M-YYYY', 'D.M.YYYY'], thousands: ' ', decimal: ',' },
+        'es-ES': { label: 'Español — 31/12/2025 · 1.234,56', dates: ['D/M/YYYY', 'D-M-YYYY'], thousands: '.', decimal: ',' },
+        'it-IT': { label: 'Italiano — 31/12/2025 · 1.234,56', dates: ['D/M/YYYY', 'D-M-YYYY', 'D.M.YYYY'], thousands: '.', decimal: ',' },
+        'pt-BR': { label: 'Português (BR) — 31/12/2025 · 1.234,56', dates: ['D/M/YYYY', 'D-M-YYYY'], thousands: '.', decimal: ',' },
+        'nl-NL': { label: 'Nederlands — 31-12-2025 · 1.234,56', dates: ['D-M-YYYY', 'D/M/YYYY'], thousands: '.', decimal: ',' },
+        'ja-JP': { label: '日本語 — 2025/12/31 · 1,234.56', dates: ['YYYY/M/D', 'YYYY.M.D'], thousands: ',', decimal: '.' },
+        'zh-CN': { label: '中文 — 2025/12/31 · 1,234.56', dates: ['YYYY/M/D', 'YYYY.M.D'], thousands: ',', decimal: '.' }
+    };
+
+    /** Dates with a month name, tried after the locale's numeric patterns */
+    const NAMED_PATTERNS = ['D MMMM YYYY', 'D. MMMM YYYY', 'MMMM D, YYYY', 'MMMM D YYYY', 'D-MMM-YYYY', 'D-MMM-YY', 'MMMM YYYY'];
+
+    /** Placeholder spellings of date parts, in English, French, Spanish and German */
+    const PLACEHOLDER_TOKENS = {
+        d: 'D', dd: 'DD', jj: 'DD', tt: 'DD',
+        m: 'M', mm: 'MM',
+        yy: 'YY', aa: 'YY', yyyy: 'YYYY', aaaa: 'YYYY', jjjj: 'YYYY'
+    };
+
+    /** Symbols and codes around an amount: "$1,200", "1.200,00 €", "USD 1200", "Rs. 500" */
+    const CURRENCY_SYMBOLS = /(?:US|CA|AU|NZ|HK|A|C|R|S)?\p{Sc}/gu;
+    const CURRENCY_CODES = /^(?:[A-Z]{3}|Rs\.?|kr\.?|zł|Kč|Ft)\s*|\s*(?:[A-Z]{3}|Rs\.?|kr\.?|zł|Kč|Ft|,-)$/gu;
+
+    /**
+     * Full options with the preset's defaults filled in.
+     * @param {Object} [options] - { preset, dateFormat, thousands, decimal, currency }
+     * @returns {{ code: string|null, dates: string[], thousands: string, decimal: string, currency: boolean }}
+     */
+    function resolve(options) {
+        const preset = PRESETS[options?.preset] ? options.preset : 'auto';
+        const spec = PRESETS[preset];
+        return {
+            code: preset === 'auto' ? null : preset,
+            dates: options?.dateFormat ? [options.dateFormat] : spec.dates,
+            thousands: options?.thousands || spec.thousands,
+            decimal: options?.decimal || spec.decimal,
+            currency: options?.currency !== false
+        };
+    }
+
+    /* ───── numbers ───── */
+
+    /**
+     * Separators for a number written in an unknown locale: with both
+     * "," and "." the last one is the decimal point; a lone "," before
+     * exactly three digits groups thousands, as in English.
+     */
+    function guessSeparators(str) {
+        const comma = str.lastIndexOf(',');
+        const dot = str.lastIndexOf('.');
+        if (comma >= 0 && dot >= 0) return comma > dot ? ['.', ','] : [',', '.'];
+        if (comma >= 0) {
+            const once = str.indexOf(',') === comma;
+            return once && !/,\d{3}$/.test(str) ? ['', ','] : [',', '.'];
+        }
+        if (dot >= 0 && str.indexOf('.') !== dot) return ['.', ','];
+        return [',', '.'];
+    }
+
+    /**
+     * Read a number written the source locale's way: thousands separators,
+     * a decimal comma, currency, a leading minus or accounting parentheses.
+     * @param {*} value
+     * @param {Object} [options]
+     * @returns {number} NaN when the value is not a number
+     */
+    function parseNumber(value, options) {
+        if (typeof value === 'number') return value;
+        const locale = resolve(options);
+        let str = String(value ?? '').trim();
+        let negative = false;
+
+        // Accounting negatives: (1,234.00)
+        if (/^\(.*\)$/.test(str)) {
+            negative = true;
+            str = str.slice(1, -1).trim();
+        }
+        if (locale.currency) str = str.replace(CURRENCY_SYMBOLS, '').trim().replace(CURRENCY_CODES, '').trim();
+        if (/^[-−]/.test(str)) {
+            negative = !negative;
+            str = str.slice(1);
+        }
+        // Spaces group thousands in many locales (including no-break and narrow no-break spaces);
+        // a percentage is read as the number written
+        str = str.replace(/\s/g, '').replace(/[\u2019']/g, '\'').replace(/%$/, '');
+        if (str === '') return NaN;
+
+        const [thousands, decimal] = locale.thousands && locale.decimal
+            ? [locale.thousands, locale.decimal]
+            : guessSeparators(str);
+        if (thousands.trim()) str = str.split(thousands).join('');
+        if (decimal !== '.') {
+            if (str.includes('.')) return NaN;
+            str = str.replace(decimal, '.');
+        }
+        if (!/^(\d+\.?\d*|\.\d+)(e[+-]?\d+)?$/i.test(str)) return NaN;
+        const num = parseFloat(str);
+        return negative ? -num : num;
+    }
+
+    /* ───── dates ───── */
+
+    /** Turn a pattern like DD/MM/YYYY into a regex plus the order of its tokens */
+    function patternToRegex(pattern) {
+        const tokens = [];
+        const source = pattern.replace(/YYYY|YY|MMMM|MMM|MM|M|DD|D|HH|H|mm|ss|[.*+?^${}()|[\]\\]/g, (tok) => {
+            const groups = {
+                YYYY: '(\\d{4})', YY: '(\\d{2})', MMMM: '([\\p{L}.]+)', MMM: '([\\p{L}.]{3,5})',
+                MM: '(\\d{2})', M: '(\\d{1,2})', DD: '(\\d{2})', D: '(\\d{1,2})',
+                HH: '(\\d{2})', H: '(\\d{1,2})', mm: '(\\d{2})', ss: '(\\d{2})'
+            };
+            if (groups[tok]) {
+                tokens.push(tok);
+                return groups[tok];
+            }
+            return '\\' + tok;
+        });
+        return { regex: new RegExp(`^${source}$`, 'iu'), tokens };
+    }
+
+    /** Lower-case, accent-free, without trailing dots: "Mär." → "mar" */
+    function foldName(name) {
+        return name.normalize('NFD').replace(/[\u0300-\u036f]/g, '').replace(/\.$/, '').toLowerCase();
+    }
+
+    /** Month names for a locale (plus English), cached */
+    const monthNames = {};
+    function monthsOf(code) {
+        const key = code || 'en';
+        if (!monthNames[key]) {
+            const names = MONTHS.map(m => [foldName(m)]);
+            if (code) {
+                ['long', 'short'].forEach(month => {
+                    const format = new Intl.DateTimeFormat(code, { month });
+                    names.forEach((list, i) => list.push(foldName(format.format(new Date(2024, i, 15)))));
+                });
+            }
+            monthNames[key] = names;
+        }
+        return monthNames[key];
+    }
+
+    function monthFromName(name, code) {
+        const folded = foldName(name);
+        const names = monthsOf(code);
+        const exact = names.findIndex(list => list.includes(folded));
+        if (exact >= 0) return exact;
+        // Abbreviations: "Sept", "Dez"
+        return folded.length >= 3 ? names.findIndex(list => list.some(n => n.startsWith(folded))) : -1;
+    }
+
+    /**
+     * Parse a date with one explicit pattern (tokens YYYY YY MMMM MMM MM M
+     * DD D HH H mm ss). Month names are read in English and the locale.
+     * @param {string} str
+     * @param {string} pattern
+     * @param {string} [code] - Locale code for month names
+     * @returns {Date|null}
+     */
+    function parseWith(str, pattern, code) {
+        const { regex, tokens } = patternToRegex(pattern);
+        const match = String(str).trim().match(regex);
+        if (!match) return null;
+
+        const parts = { year: 1970, month: 0, day: 1, hour: 0, minute: 0, second: 0 };
+        tokens.forEach((tok, i) => {
+            const raw = match[i + 1];
+            if (tok === 'YYYY') parts.year = parseInt(raw, 10);
+            else if (tok === 'YY') parts.year = 2000 + parseInt(raw, 10) - (parseInt(raw, 10) > 68 ? 100 : 0);
+            else if (tok === 'MMMM' || tok === 'MMM') parts.month = monthFromName(raw, code);
+            else if (tok === 'MM' || tok === 'M') parts.month = parseInt(raw, 10) - 1;
+            else if (tok === 'DD' || tok === 'D') parts.day = parseInt(raw, 10);
+            else if (tok === 'HH' || tok === 'H') parts.hour = parseInt(raw, 10);
+            else if (tok === 'mm') parts.minute = parseInt(raw, 10);
+            else if (tok === 'ss') parts.second = parseInt(raw, 10);
+        });
+
+        const date = new Date(parts.year, parts.month, parts.day, parts.hour, parts.minute, parts.second);
+        // Reject roll-overs like 31/02
+        if (isNaN(date.getTime()) || date.getMonth() !== parts.month || date.getDate() !== parts.day) return null;
+        return date;
+    }
+
+    /**
+     * Read a clock time: "14:30", "14:30:15.250", "2:30 PM", "9am", "14h30".
+     * @returns {number[]|null} [hours, minutes, seconds, milliseconds]
+     */
+    function parseTime(value) {
+        const m = String(value ?? '').trim()
+            .match(/^(\d{1,2})(?:[:h](\d{2}))?(?::(\d{2})(?:\.(\d{1,3}))?)?\s*([ap])?\.?\s*(m\.?)?$/i);
+        if (!m || (m[2] === undefined && !m[5])) return null;
+        let hours = +m[1];
+        const meridiem = (m[5] || '').toLowerCase();
+        if (meridiem && (hours < 1 || hours > 12)) return null;
+        if (meridiem === 'p' && hours < 12) hours += 12;
+        if (meridiem === 'a' && hours === 12) hours = 0;
+        const parts = [hours, +(m[2] || 0), +(m[3] || 0), +(m[4] || '0').padEnd(3, '0')];
+        return parts[0] > 23 || parts[1] > 59 || parts[2] > 59 ? null : parts;
+    }
+
+    /** Excel serial date (45678.5 = 2025-01-21 12:00); the fraction is the time of day */
+    function fromSerial(serial) {
+        const days = Math.floor(serial);
+        const date = new Date(EXCEL_EPOCH[0], EXCEL_EPOCH[1], EXCEL_EPOCH[2] + days);
+        date.setMilliseconds(Math.round((serial - days) * DAY_MS));
+        return date;
+    }
+
+    /**
+     * Read a cell as a local date and time, in the source locale's order.
+     * Always understood: Date objects, ISO dates (as local, not UTC,
+     * midnight), ISO timestamps and Excel serial numbers. Then the locale's
+     * date patterns, each optionally followed by a time, then dates with
+     * month names. Without a locale the browser's parser has the last word;
+     * with one it only reads dates spelled out in words, since it would
+     * read 03/04/2025 as March 4.
+     * @param {*} value
+     * @param {Object} [options]
+     * @returns {Date|null}
+     */
+    function parseDate(value, options) {
+        if (value instanceof Date) return isNaN(value.getTime()) ? null : value;
+        const str = String(value ?? '').trim();
+        if (str === '') return null;
+        const locale = resolve(options);
+
+        const iso = str.match(/^(\d{4})-(\d{2})-(\d{2})(?:[T ](\d{2}):(\d{2})(?::(\d{2}))?)?$/);
+        if (iso) {
+            const [, y, m, d, hh, mm, ss] = iso.map(v => Number(v || 0));
+            return new Date(y, m - 1, d, hh, mm, ss);
+        }
+        if (/^\d{4}-\d{2}-\d{2}T[\d:.]+(Z|[+-]\d{2}:?\d{2})$/.test(str)) return new Date(str);
+
+        // Four digits alone read as a year
+        if (/^\d+(\.\d+)?$/.test(str) && !/^\d{4}$/.test(str) && parseFloat(str) <= MAX_SERIAL) {
+            return fromSerial(parseFloat(str));
+        }
+
+        // "31/12/2025 14:30", "31.12.2025, 2:30 PM"
+        const [, datePart, timePart] = str.match(/^(.*?)(?:[T,\s]+(\d{1,2}[:h]\d{2}(?::\d{2}(?:\.\d+)?)?\s*(?:[ap]\.?\s*m\.?)?))?$/i);
+        const time = timePart ? parseTime(timePart) : null;
+        for (const pattern of locale.dates.concat(NAMED_PATTERNS)) {
+            const whole = parseWith(str, pattern, locale.code);
+            if (whole) return whole;
+            const date = timePart && time ? parseWith(datePart, pattern, locale.code) : null;
+            if (date) {
+                date.setHours(...time);
+                return date;
+            }
+        }
+
+        if (locale.code && !/\p{L}{3}/u.test(str)) return null;
+        const date = new Date(str);
+        return isNaN(date.getTime()) ? null : date;
+    }
+
+    /** A date's local calendar day, YYYY-MM-DD — toISOString would give the UTC day, a day early east of UTC */
+    function isoDate(date) {
+        return formatDate(date, 'YYYY-MM-DD');
+    }
+
+    /** Format a date with the same token set parseWith understands */
+    function formatDate(date, pattern) {
+        const pad = (n) => String(n).padStart(2, '0');
+        const values = {
+            YYYY: String(date.getFullYear()),
+            YY: pad(date.getFullYear() % 100),
+            MMMM: MONTHS[date.getMonth()],
+            MMM: MONTHS[date.getMonth()].slice(0, 3),
+            MM: pad(date.getMonth() + 1),
+            M: String(date.getMonth() + 1),
+            DD: pad(date.getDate()),
+            D: String(date.getDate()),
+            HH: pad(date.getHours()),
+            H: String(date.getHours()),
+            mm: pad(date.getMinutes()),
+            ss: pad(date.getSeconds())
+        };
+        return pattern.replace(/YYYY|YY|MMMM|MMM|MM|M|DD|D|HH|H|mm|ss/g, tok => values[tok]);
+    }
+
+    /**
+     * The date format a text field's placeholder spells out:
+     * "dd/mm/yyyy" → DD/MM/YYYY, "MM-YYYY" → MM-YYYY, "jj/mm/aaaa" → DD/MM/YYYY.
+     * @param {string} placeholder
+     * @returns {string|null}
+     */
+    function placeholderFormat(placeholder) {
+        const parts = String(placeholder || '').trim().toLowerCase().split(/([/.\- ])/);
+        const separators = parts.filter((_, i) => i % 2 === 1);
+        if (separators.some(s => s !== separators[0])) return null;
+
+        const tokens = parts.filter((_, i) => i % 2 === 0).map(p => PLACEHOLDER_TOKENS[p]);
+        if (tokens.some(t => !t)) return null;
+        const kinds = tokens.map(t => t[0]).sort().join('');
+        if (kinds !== 'DMY' && kinds !== 'MY') return null;
+        return tokens.join(separators[0]);
+    }
+
+    return {
+        PRESETS, resolve, parseNumber, parseDate, parseWith, parseTime, fromSerial, formatDate, isoDate, placeholderFormat
+    };
+})();
@@ -0,0 +1,181 @@
+/**
+ * Remembered session — the loaded workbook and where the user was in it
+ * (sheet, layout, row, mapping), kept between popup openings when the
+ * "persistData" setting is on. Lives in IndexedDB next to the attachments:
+ * a workbook can be far larger than chrome.storage allows.
+ * It can be encrypted at rest with a passphrase (PBKDF2 → AES-GCM); the
+ * passphrase itself is never stored. Every session carries an expiry, after
+ * which it is deleted — by the service worker's alarm, or on the next read.
+ */
+const SessionStore = (() => {
+    const DB_NAME = 'gexcel-session';
+    const STORE = 'session';
+    const KEY = 'current';
+    const ALARM = 'session-expiry';
+    const PBKDF2_ITERATIONS = 250000;
+
+    let cachedKey = null;   // { passphrase, salt, key } — deriving takes a moment, and saves come often
+
+    /* ───── IndexedDB ───── */
+
+    function open() {
+        return new Promise((resolve, reject) => {
+            const request = indexedDB.open(DB_NAME, 1);
+            request.onupgradeneeded = () => request.result.createObjectStore(STORE, { keyPath: 'key' });
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    async function transact(mode, work) {
+        const db = await open();
+        return new Promise((resolve, reject) => {
+            const tx = db.transaction(STORE, mode);
+            const result = work(tx.objectStore(STORE));
+            tx.oncomplete = () => {
+                db.close();
+                resolve(result && 'result' in result ? result.result : undefined);
+            };
+            tx.onerror = () => {
+                db.close();
+                reject(tx.error);
+            };
+        });
+    }
+
+    /* ───── crypto ───── */
+
+    async function deriveKey(passphrase, salt) {
+        if (cachedKey && cachedKey.passphrase === passphrase && sameBytes(cachedKey.salt, salt)) return cachedKey.key;
+        const key = await derive(passphrase, salt);
+        cachedKey = { passphrase, salt, key };
+        return key;
+    }
+
+    function sameBytes(a, b) {
+        return a.length === b.length && a.every((byte, i) => byte === b[i]);
+    }
+
+    async function derive(passphrase, salt) {
+        const material = await crypto.subtle.importKey('raw', new TextEncoder().encode(passphrase), 'PBKDF2', false, ['deriveKey']);
+        return crypto.subtle.deriveKey(
+            { name: 'PBKDF2', salt, iterations: PBKDF2_ITERATIONS, hash: 'SHA-256' },
+            material,
+            { name: 'AES-GCM', length: 256 },
+            false,
+            ['encrypt', 'decrypt']
+        );
+    }
+
+    async function encrypt(key, bytes) {
+        const iv = crypto.getRandomValues(new Uint8Array(12));
+        return { iv, data: await crypto.subtle.encrypt({ name: 'AES-GCM', iv }, key, bytes) };
+    }
+
+    async function decrypt(key, { iv, data }) {
+        return crypto.subtle.decrypt({ name: 'AES-GCM', iv }, key, data);
+    }
+
+    /* ───── expiry ───── */
+
+    const expired = (record) => !!record.expiresAt && Date.now() >= record.expiresAt;
+
+    /** Have the service worker wake up and delete the session when it expires */
+    function scheduleExpiry(expiresAt) {
+        if (!chrome.alarms) return;
+        if (expiresAt) chrome.alarms.create(ALARM, { when: expiresAt });
+        else chrome.alarms.clear(ALARM);
+    }
+
+    /* ───── public ───── */
+
+    /**
+     * Remember a session, replacing the one before.
+     * @param {Object} state - JSON-safe popup state (file name, sheet, row, mapping, …)
+     * @param {Uint8Array|null} workbook - The workbook written out by SheetJS; null keeps the
+     *   remembered one, which must have been saved with the same passphrase
+     * @param {Object} [options]
+     * @param {string} [options.passphrase] - Encrypt with it
+     * @param {number} [options.hours] - Delete after this long; 0 keeps it until cleared
+     * @throws {Error} when asked to keep a workbook that is missing or encrypted differently
+     */
+    async function save(state, workbook, options = {}) {
+        const savedAt = Date.now();
+        const expiresAt = options.hours > 0 ? savedAt + options.hours * 3600 * 1000 : null;
+        const stateBytes = new TextEncoder().encode(JSON.stringify(state));
+        const record = { key: KEY, savedAt, expiresAt, encrypted: !!options.passphrase };
+
+        const kept = workbook ? null : await transact('readonly', store => store.get(KEY));
+        if (!workbook && (!kept || kept.encrypted !== record.encrypted)) {
+            throw new Error('No remembered workbook to keep');
+        }
+
+        if (options.passphrase) {
+            record.salt = kept ? kept.salt : crypto.getRandomValues(new Uint8Array(16));
+            const key = await deriveKey(options.passphrase, record.salt);
+            record.state = await encrypt(key, stateBytes);
+            record.workbook = kept ? kept.workbook : await encrypt(key, workbook);
+        } else {
+            record.state = stateBytes;
+            record.workbook = kept ? kept.workbook : workbook;
+        }
+
+        await transact('readwrite', store => store.put(record));
+        scheduleExpiry(expiresAt);
+    }
+
+    /**
+     * What is remembered, without opening it. An expired session is deleted instead.
+     * @returns {Promise<{ savedAt: number, expiresAt: number|null, encrypted: boolean }|null>}
+     */
+    async function peek() {
+        const record = await transact('readonly', store => store.get(KEY));
+        if (!record) return null;
+        if (expired(record)) {
+            await clear();
+            return null;
+        }
+        return { savedAt: record.savedAt, expiresAt: record.expiresAt, encrypted: record.encrypted };
+    }
+
+    /**
+     * Open the remembered session.
+     * @param {string} [passphrase] - Needed when it was saved encrypted
+     * @returns {Promise<{ state: Object, workbook: Uint8Array }|null>} null when there is none
+     * @throws {Error} when the passphrase is missing or wrong
+     */
+    async function load(passphrase) {
+        const record = await transact('readonly', store => store.get(KEY));
+        if (!record || expired(record)) return null;
+
+        let stateBytes = record.state;
+        let workbook = record.workbook;
+        if (record.encrypted) {
+            if (!passphrase) throw new Error('Enter the passphrase to open the remembered data');
+            const key = await deriveKey(passphrase, record.salt);
+            try {
+                stateBytes = await decrypt(key, record.state);
+                workbook = await decrypt(key, record.workbook);
+            } catch {
+                throw new Error('Wrong passphrase');
+            }
+        }
+        return {
+            state: JSON.parse(new TextDecoder().decode(stateBytes)),
+            workbook: new Uint8Array(workbook)
+        };
+    }
+
+    async function clear() {
+        await transact('readwrite', store => store.delete(KEY));
+        scheduleExpiry(null);
+    }
+
+    /** Delete the session if it has expired; the service worker calls this from its alarm */
+    async function clearExpired() {
+        const record = await transact('readonly', store => store.get(KEY));
+        if (record && expired(record)) await clear();
+    }
+
+    return { save, peek, load, clear, clearExpired, ALARM };
+})();
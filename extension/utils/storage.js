@@ -5,16 +5,31 @@
 const Storage = (() => {
     const PROFILES_KEY = 'profiles';
     const SETTINGS_KEY = 'globalSettings';
+    const CHECKPOINT_PREFIX = 'checkpoint:';
+    const CHECKPOINT_INDEX_KEY = 'checkpointIndex';
+    const MAX_CHECKPOINTS = 20;
+    const FILE_LOCALES_KEY = 'fileLocales';
+    const MAX_FILE_LOCALES = 50;
+    const LEARNED_KEY = 'learnedMatches';
+    const MAX_LEARNED = 500;
 
     const DEFAULT_SETTINGS = {
         fillMode: 'single',
         delay: 500,
         autoSubmit: false,
+        submitTimeout: 10000,
+        fieldTimeout: 5000,
+        fillStrategy: 'set',
+        charDelay: 30,
+        commitMode: 'none',
+        readbackSelector: '',
         skipFilled: false,
         highlightFields: true,
         stopOnError: true,
         enableLogging: false,
-        persistData: false
+        persistData: false,
+        persistEncrypt: false,
+        persistHours: 24
     };
 
     /* ───── helpers ───── */
@@ -33,6 +48,12 @@ const Storage = (() => {
         });
     }
 
+    function _remove(keys) {
+        return new Promise((resolve) => {
+            chrome.storage.local.remove(keys, resolve);
+        });
+    }
+
     /* ───── profiles ───── */
 
     async function getAllProfiles() {
@@ -64,9 +85,14 @@ const Storage = (() => {
         }
     }
 
-    async function saveProfile(domain, mapping, settings) {
+    /**
+     * Save the mapping for a site.
+     * @param {Object} [extras] - Other per-site config stored alongside, e.g. { computed }
+     */
+    async function saveProfile(domain, mapping, settings, extras = {}) {
         const profiles = await getAllProfiles();
         profiles[domain] = {
+            ...extras,
             mapping,
             settings: settings || {},
             lastUsed: new Date().toISOString(),
@@ -105,6 +131,122 @@ const Storage = (() => {
         await _set(SETTINGS_KEY, DEFAULT_SETTINGS);
     }
 
+    /* ───── batch checkpoints ───── */
+
+    /**
+     * Per-row batch progress, keyed by file fingerprint + sheet. Each checkpoint
+     * is stored under its own key, listed in an index { key: updatedAt }.
+     * Shape: { label, sheet, rows: ['pending'|'unconfirmed'|'filled'|'submitted'|'failed'|'skipped'],
+     *         errors: { rowIndex: message }, times: { rowIndex: iso }, readback: { rowIndex: value }, updatedAt }
+     * A row is 'unconfirmed' from just before its submit until the outcome is recorded.
+     */
+    function checkpointStorageKey(key) {
+        return CHECKPOINT_PREFIX + key;
+    }
+
+    async function getCheckpoint(key) {
+        return _get(checkpointStorageKey(key));
+    }
+
+    /** Save a whole checkpoint, e.g. when a run starts; only the most recent files are kept */
+    async function saveCheckpoint(key, checkpoint) {
+        const updatedAt = new Date().toISOString();
+        await _set(checkpointStorageKey(key), { ...checkpoint, updatedAt });
+
+        const index = (await _get(CHECKPOINT_INDEX_KEY)) || {};
+        index[key] = updatedAt;
+        const dropped = Object.keys(index)
+            .sort((a, b) => new Date(index[b]) - new Date(index[a]))
+            .slice(MAX_CHECKPOINTS);
+        dropped.forEach(k => delete index[k]);
+        if (dropped.length > 0) await _remove(dropped.map(checkpointStorageKey));
+        await _set(CHECKPOINT_INDEX_KEY, index);
+    }
+
+    /** Write a running batch's progress into its checkpoint, leaving the index and other files alone */
+    async function updateCheckpoint(key, checkpoint) {
+        await _set(checkpointStorageKey(key), { ...checkpoint, updatedAt: new Date().toISOString() });
+    }
+
+    async function deleteCheckpoint(key) {
+        await _remove(checkpointStorageKey(key));
+        const index = (await _get(CHECKPOINT_INDEX_KEY)) || {};
+        delete index[key];
+        await _set(CHECKPOINT_INDEX_KEY, index);
+    }
+
+    /* ───── per-file source locale ───── */
+
+    /**
+     * How a file writes dates and numbers, keyed by file fingerprint.
+     * Shape: { preset, dateFormat, thousands, decimal, currency, updatedAt } (see Locale)
+     */
+    async function getFileLocale(key) {
+        const locales = (await _get(FILE_LOCALES_KEY)) || {};
+        return locales[key] || null;
+    }
+
+    async function saveFileLocale(key, locale) {
+        const locales = (await _get(FILE_LOCALES_KEY)) || {};
+        locales[key] = { ...locale, updatedAt: new Date().toISOString() };
+
+        Object.keys(locales)
+            .sort((a, b) => new Date(locales[b].updatedAt) - new Date(locales[a].updatedAt))
+            .slice(MAX_FILE_LOCALES)
+            .forEach(k => delete locales[k]);
+
+        await _set(FILE_LOCALES_KEY, locales);
+    }
+
+    /* ───── learned matches ───── */
+
+    /**
+     * Column headers the user mapped by hand, and the field each went to — on any site.
+     * Shape: [{ column, field: { name, id, label, placeholder }, count, updatedAt }] (see Matcher)
+     */
+    async function getLearnedMatches() {
+        return (await _get(LEARNED_KEY)) || [];
+    }
+
+    async function saveLearnedMatches(entries) {
+        const kept = entries
+            .slice()
+            .sort((a, b) => new Date(b.updatedAt) - new Date(a.updatedAt))
+            .slice(0, MAX_LEARNED);
+        await _set(LEARNED_KEY, kept);
+        return kept;
+    }
+
+    /**
+     * Record a column mapped to a field; mapping the same pair again counts it again.
+     * A pick replaces what the column learned for another field of the same form —
+     * it corrects that one, which would otherwise keep scoring as high.
+     * @param {string} column
+     * @param {Object} field - Field signature from Matcher.fieldSignature
+     * @param {Object[]} [formFields] - Signatures of every field on the form
+     * @returns {Promise<Object[]>} The learned matches, newest first
+     */
+    async function learnMatch(column, field, formFields = []) {
+        const key = column.trim().toLowerCase();
+        const signature = JSON.stringify(field);
+        const onForm = new Set(formFields.map(f => JSON.stringify(f)));
+        const entries = (await getLearnedMatches()).filter(e => e.column.trim().toLowerCase() !== key ||
+            JSON.stringify(e.field) === signature || !onForm.has(JSON.stringify(e.field)));
+        const known = entries.find(e => e.column.trim().toLowerCase() === key && JSON.stringify(e.field) === signature);
+        const updatedAt = new Date().toISOString();
+        if (known) {
+            known.count++;
+            known.updatedAt = updatedAt;
+        } else {
+            entries.push({ column: column.trim(), field, count: 1, updatedAt });
+        }
+        return saveLearnedMatches(entries);
+    }
+
+    async function clearLearnedMatches() {
+        await _set(LEARNED_KEY, []);
+    }
+
     /* ───── clear all ───── */
 
     async function clearAll() {
@@ -125,6 +267,17 @@ const Storage = (() => {
         getSettings,
         saveSettings,
         resetSettings,
+        getCheckpoint,
+        saveCheckpoint,
+        updateCheckpoint,
+        deleteCheckpoint,
+        checkpointStorageKey,
+        getFileLocale,
+        saveFileLocale,
+        getLearnedMatches,
+        saveLearnedMatches,
+        learnMatch,
+        clearLearnedMatches,
         clearAll,
         DEFAULT_SETTINGS
     };